@@ -0,0 +1,244 @@
+const { pool } = require('../database/connection');
+
+// 技術指標與訊號預設是否使用還原股價（可在個別呼叫時覆寫）
+const USE_ADJUSTED_PRICES = process.env.ADJUSTED_PRICES === 'true';
+
+// 股票股利以面額 10 元計算配股比例
+const PAR_VALUE = 10;
+
+/**
+ * DATE 欄位（Date 物件或字串）轉為 YYYY-MM-DD
+ */
+function toDateString(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const y = value.getFullYear();
+  const m = String(value.getMonth() + 1).padStart(2, '0');
+  const d = String(value.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * 事件日前一交易日收盤價
+ * 事件日當天或之後尚無股價時回傳 null（預告中的除權息還不能計算）
+ */
+async function findPrevClose(connection, stockId, eventDate) {
+  const [after] = await connection.query(
+    `SELECT 1 FROM daily_prices WHERE stock_id = ? AND trade_date >= ? LIMIT 1`,
+    [stockId, eventDate]
+  );
+  if (after.length === 0) return null;
+
+  const [rows] = await connection.query(
+    `SELECT close_price FROM daily_prices
+     WHERE stock_id = ? AND trade_date < ? ORDER BY trade_date DESC LIMIT 1`,
+    [stockId, eventDate]
+  );
+  return rows.length > 0 ? parseFloat(rows[0].close_price) : null;
+}
+
+/**
+ * 由股利與減資資料計算單一股票的調整事件
+ * 除權息參考價 = (前日收盤 - 現金股利) / (1 + 股票股利 / 10)
+ * 減資直接使用交易所公告的恢復買賣參考價
+ */
+async function buildAdjustmentEvents(connection, stockId) {
+  const byDate = new Map();
+  const eventAt = (date) => {
+    if (!byDate.has(date)) byDate.set(date, { event_date: date, cash_dividend: 0, stock_dividend: 0 });
+    return byDate.get(date);
+  };
+
+  const [dividends] = await connection.query(
+    `SELECT cash_dividend, stock_dividend,
+       DATE_FORMAT(ex_dividend_date, '%Y-%m-%d') AS ex_dividend_date,
+       DATE_FORMAT(ex_right_date, '%Y-%m-%d') AS ex_right_date
+     FROM dividend_distributions WHERE stock_id = ?`,
+    [stockId]
+  );
+
+  for (const d of dividends) {
+    const cash = parseFloat(d.cash_dividend) || 0;
+    const stock = parseFloat(d.stock_dividend) || 0;
+    if (cash > 0 && d.ex_dividend_date) eventAt(d.ex_dividend_date).cash_dividend += cash;
+    const rightDate = d.ex_right_date || d.ex_dividend_date;
+    if (stock > 0 && rightDate) eventAt(rightDate).stock_dividend += stock;
+  }
+
+  const events = [];
+
+  for (const e of byDate.values()) {
+    const prevClose = await findPrevClose(connection, stockId, e.event_date);
+    if (!prevClose) continue;
+
+    const referencePrice = (prevClose - e.cash_dividend) / (1 + e.stock_dividend / PAR_VALUE);
+    if (referencePrice <= 0) continue;
+
+    let eventType = 'ex_right_dividend';
+    if (e.stock_dividend === 0) eventType = 'ex_dividend';
+    else if (e.cash_dividend === 0) eventType = 'ex_right';
+
+    events.push({
+      ...e,
+      event_type: eventType,
+      prev_close: prevClose,
+      reference_price: referencePrice,
+      factor: referencePrice / prevClose
+    });
+  }
+
+  const [reductions] = await connection.query(
+    `SELECT DATE_FORMAT(resume_date, '%Y-%m-%d') AS resume_date, prev_close, reference_price
+     FROM capital_changes WHERE stock_id = ?`,
+    [stockId]
+  );
+
+  for (const r of reductions) {
+    const prevClose = parseFloat(r.prev_close);
+    const referencePrice = parseFloat(r.reference_price);
+    if (!(prevClose > 0) || !(referencePrice > 0)) continue;
+
+    // 同日另有除權息時，減資參考價已包含在內
+    const index = events.findIndex(e => e.event_date === r.resume_date);
+    if (index >= 0) events.splice(index, 1);
+
+    events.push({
+      event_date: r.resume_date,
+      event_type: 'capital_reduction',
+      cash_dividend: 0,
+      stock_dividend: 0,
+      prev_close: prevClose,
+      reference_price: referencePrice,
+      factor: referencePrice / prevClose
+    });
+  }
+
+  return events;
+}
+
+/**
+ * 重新計算還原股價調整因子
+ * @param {Object} [options]
+ * @param {Array} [options.stockIds] - 指定股票，預設為所有有除權息或減資紀錄的股票
+ * @param {string} [options.since] - YYYY-MM-DD，只重算此日期後有事件的股票
+ * @returns {Promise<number>} 寫入的事件數
+ */
+async function rebuildPriceAdjustments({ stockIds, since } = {}) {
+  let targets = stockIds;
+
+  if (!targets) {
+    const sinceDate = since || '1900-01-01';
+    const [rows] = await pool.query(
+      `SELECT stock_id FROM dividend_distributions
+       WHERE ex_dividend_date >= ? OR ex_right_date >= ?
+       UNION
+       SELECT stock_id FROM capital_changes WHERE resume_date >= ?`,
+      [sinceDate, sinceDate, sinceDate]
+    );
+    targets = rows.map(r => r.stock_id);
+  }
+
+  console.log(`重新計算 ${targets.length} 檔股票的還原股價因子...`);
+  let total = 0;
+
+  for (const stockId of targets) {
+    const connection = await pool.getConnection();
+    try {
+      const events = await buildAdjustmentEvents(connection, stockId);
+
+      await connection.beginTransaction();
+      await connection.query('DELETE FROM price_adjustments WHERE stock_id = ?', [stockId]);
+      for (const e of events) {
+        await connection.query(
+          `INSERT INTO price_adjustments
+          (stock_id, event_date, event_type, cash_dividend, stock_dividend, prev_close, reference_price, factor)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [stockId, e.event_date, e.event_type, e.cash_dividend, e.stock_dividend,
+           e.prev_close, e.reference_price.toFixed(4), e.factor.toFixed(8)]
+        );
+      }
+      await connection.commit();
+      total += events.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error(`計算 ${stockId} 還原因子失敗:`, error.message);
+    } finally {
+      connection.release();
+    }
+  }
+
+  console.log(`✓ 共寫入 ${total} 個除權息 / 減資事件`);
+  return total;
+}
+
+/**
+ * 讀取單一股票的調整事件
+ */
+async function loadAdjustmentEvents(stockId) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(event_date, '%Y-%m-%d') AS event_date, factor
+     FROM price_adjustments WHERE stock_id = ? ORDER BY event_date`,
+    [stockId]
+  );
+  return rows.map(r => ({ event_date: r.event_date, factor: parseFloat(r.factor) }));
+}
+
+/**
+ * 將原始日K轉為還原日K
+ * 每筆價格乘上「交易日之後所有事件 factor 的乘積」；成交量不調整
+ * @param {Array} rows - daily_prices 資料列
+ * @param {Array} events - loadAdjustmentEvents 的結果
+ */
+function applyAdjustments(rows, events) {
+  const adjust = (value, factor) => (value == null ? value : (parseFloat(value) * factor).toFixed(2));
+
+  return rows.map(row => {
+    const date = toDateString(row.trade_date);
+    const factor = events.reduce((f, e) => (e.event_date > date ? f * e.factor : f), 1);
+
+    return {
+      ...row,
+      open_price: adjust(row.open_price, factor),
+      high_price: adjust(row.high_price, factor),
+      low_price: adjust(row.low_price, factor),
+      close_price: adjust(row.close_price, factor),
+      adj_factor: factor.toFixed(8)
+    };
+  });
+}
+
+/**
+ * 取得日K序列（由舊到新）
+ * @param {string} stockId - 股票代號
+ * @param {Object} [options]
+ * @param {boolean} [options.adjusted] - 是否還原，預設依 ADJUSTED_PRICES 設定
+ * @param {number} [options.limit=30] - 最近幾筆
+ */
+async function getPriceSeries(stockId, { adjusted = USE_ADJUSTED_PRICES, limit = 30 } = {}) {
+  const [rows] = await pool.query(
+    `SELECT * FROM daily_prices WHERE stock_id = ? ORDER BY trade_date DESC LIMIT ?`,
+    [stockId, limit]
+  );
+  rows.reverse();
+
+  if (!adjusted) return rows;
+  return applyAdjustments(rows, await loadAdjustmentEvents(stockId));
+}
+
+// 用法：node adjustedPrices.js [stockId ...]   重算指定股票（預設全部）的還原因子
+if (require.main === module) {
+  const stockIds = process.argv.slice(2);
+
+  rebuildPriceAdjustments(stockIds.length > 0 ? { stockIds } : {})
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  USE_ADJUSTED_PRICES,
+  toDateString,
+  rebuildPriceAdjustments,
+  loadAdjustmentEvents,
+  applyAdjustments,
+  getPriceSeries
+};
@@ -1,4 +1,5 @@
 const { pool } = require('../database/connection');
+const { USE_ADJUSTED_PRICES, loadAdjustmentEvents, applyAdjustments } = require('./adjustedPrices');
 
 /**
  * 計算移動平均線 (MA)
@@ -287,14 +288,59 @@ function calculateOBV(closes, volumes) {
   return obv;
 }
 
+/**
+ * 以日K序列（由舊到新）計算最新一日的所有技術指標
+ * 股票與指數共用；沒有成交量的序列（指數）不計算 VWAP / OBV
+ * @param {Array} rows - { open_price, high_price, low_price, close_price, volume }
+ */
+function computeIndicators(rows) {
+  const closes = rows.map(r => parseFloat(r.close_price));
+  // 類股指數可能只有收盤價，高低點以收盤價代替
+  const highs = rows.map((r, i) => (r.high_price == null ? closes[i] : parseFloat(r.high_price)));
+  const lows = rows.map((r, i) => (r.low_price == null ? closes[i] : parseFloat(r.low_price)));
+  const hasVolume = rows.some(r => r.volume != null);
+  const volumes = rows.map(r => parseInt(r.volume) || 0);
+
+  const macd = calculateMACD(closes);
+  const kd = calculateKD(highs, lows, closes);
+  const bollinger = calculateBollinger(closes);
+  const dmi = calculateDMI(highs, lows, closes);
+
+  return {
+    ma5: calculateMA(closes, 5),
+    ma10: calculateMA(closes, 10),
+    ma20: calculateMA(closes, 20),
+    ma60: calculateMA(closes, 60),
+    rsi: calculateRSI(closes, 14),
+    macd: macd.macd,
+    macd_signal: macd.signal,
+    macd_histogram: macd.histogram,
+    kd_k: kd.k,
+    kd_d: kd.d,
+    bollinger_upper: bollinger.upper,
+    bollinger_middle: bollinger.middle,
+    bollinger_lower: bollinger.lower,
+    vwap: hasVolume ? calculateVWAP(highs, lows, closes, volumes) : null,
+    atr: calculateATR(highs, lows, closes),
+    adx: dmi.adx,
+    plus_di: dmi.plusDI,
+    minus_di: dmi.minusDI,
+    williams_r: calculateWilliamsR(highs, lows, closes),
+    obv: hasVolume ? calculateOBV(closes, volumes) : null
+  };
+}
+
 /**
  * 為指定股票計算所有技術指標
+ * @param {string} stockId - 股票代號
+ * @param {Object} [options]
+ * @param {boolean} [options.adjusted] - 以還原股價計算，避免除權息缺口被當成下跌；預設依 ADJUSTED_PRICES 設定
  */
-async function calculateIndicatorsForStock(stockId) {
+async function calculateIndicatorsForStock(stockId, { adjusted = USE_ADJUSTED_PRICES } = {}) {
   const connection = await pool.getConnection();
 
   try {
-    const [rows] = await connection.query(
+    let [rows] = await connection.query(
       `SELECT trade_date, open_price, high_price, low_price, close_price, volume
        FROM daily_prices
        WHERE stock_id = ?
@@ -308,40 +354,14 @@ async function calculateIndicatorsForStock(stockId) {
       return;
     }
 
-    const closes = rows.map(r => parseFloat(r.close_price));
-    const highs = rows.map(r => parseFloat(r.high_price));
-    const lows = rows.map(r => parseFloat(r.low_price));
-    const volumes = rows.map(r => parseInt(r.volume) || 0);
-    const latestDate = rows[rows.length - 1].trade_date;
-
-    const macd = calculateMACD(closes);
-    const kd = calculateKD(highs, lows, closes);
-    const bollinger = calculateBollinger(closes);
-    const dmi = calculateDMI(highs, lows, closes);
+    if (adjusted) {
+      rows = applyAdjustments(rows, await loadAdjustmentEvents(stockId));
+    }
 
     const indicators = {
       stock_id: stockId,
-      trade_date: latestDate,
-      ma5: calculateMA(closes, 5),
-      ma10: calculateMA(closes, 10),
-      ma20: calculateMA(closes, 20),
-      ma60: calculateMA(closes, 60),
-      rsi: calculateRSI(closes, 14),
-      macd: macd.macd,
-      macd_signal: macd.signal,
-      macd_histogram: macd.histogram,
-      kd_k: kd.k,
-      kd_d: kd.d,
-      bollinger_upper: bollinger.upper,
-      bollinger_middle: bollinger.middle,
-      bollinger_lower: bollinger.lower,
-      vwap: calculateVWAP(highs, lows, closes, volumes),
-      atr: calculateATR(highs, lows, closes),
-      adx: dmi.adx,
-      plus_di: dmi.plusDI,
-      minus_di: dmi.minusDI,
-      williams_r: calculateWilliamsR(highs, lows, closes),
-      obv: calculateOBV(closes, volumes)
+      trade_date: rows[rows.length - 1].trade_date,
+      ...computeIndicators(rows.map(r => ({ ...r, volume: parseInt(r.volume) || 0 })))
     };
 
     await connection.query(
@@ -380,8 +400,9 @@ async function calculateIndicatorsForStock(stockId) {
 
 /**
  * 計算所有股票的技術指標
+ * @param {Object} [options] - 同 calculateIndicatorsForStock
  */
-async function calculateAllIndicators() {
+async function calculateAllIndicators(options = {}) {
   const connection = await pool.getConnection();
 
   try {
@@ -392,7 +413,7 @@ async function calculateAllIndicators() {
     console.log(`開始計算 ${stocks.length} 檔股票的技術指標...`);
 
     for (let i = 0; i < stocks.length; i++) {
-      await calculateIndicatorsForStock(stocks[i].stock_id);
+      await calculateIndicatorsForStock(stocks[i].stock_id, options);
       console.log(`進度: ${i + 1}/${stocks.length}`);
     }
 
@@ -406,8 +427,89 @@ async function calculateAllIndicators() {
   }
 }
 
+/**
+ * 為指定指數計算技術指標（寫入 index_indicators）
+ * @param {string} indexId - 指數代號
+ */
+async function calculateIndicatorsForIndex(indexId) {
+  const connection = await pool.getConnection();
+
+  try {
+    const [rows] = await connection.query(
+      `SELECT trade_date, open_price, high_price, low_price, close_price, NULL AS volume
+       FROM (
+         SELECT * FROM index_prices WHERE index_id = ? ORDER BY trade_date DESC LIMIT 250
+       ) recent
+       ORDER BY trade_date ASC`,
+      [indexId]
+    );
+
+    if (rows.length < 20) {
+      console.log(`指數 ${indexId} 資料不足，無法計算指標`);
+      return false;
+    }
+
+    const ind = computeIndicators(rows);
+
+    await connection.query(
+      `INSERT INTO index_indicators
+      (index_id, trade_date, ma5, ma10, ma20, ma60, rsi, macd, macd_signal, macd_histogram,
+       kd_k, kd_d, bollinger_upper, bollinger_middle, bollinger_lower,
+       atr, adx, plus_di, minus_di, williams_r)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+      ma5 = VALUES(ma5), ma10 = VALUES(ma10), ma20 = VALUES(ma20), ma60 = VALUES(ma60),
+      rsi = VALUES(rsi), macd = VALUES(macd), macd_signal = VALUES(macd_signal),
+      macd_histogram = VALUES(macd_histogram), kd_k = VALUES(kd_k), kd_d = VALUES(kd_d),
+      bollinger_upper = VALUES(bollinger_upper), bollinger_middle = VALUES(bollinger_middle),
+      bollinger_lower = VALUES(bollinger_lower), atr = VALUES(atr), adx = VALUES(adx),
+      plus_di = VALUES(plus_di), minus_di = VALUES(minus_di), williams_r = VALUES(williams_r)`,
+      [
+        indexId, rows[rows.length - 1].trade_date, ind.ma5, ind.ma10, ind.ma20, ind.ma60,
+        ind.rsi, ind.macd, ind.macd_signal, ind.macd_histogram, ind.kd_k, ind.kd_d,
+        ind.bollinger_upper, ind.bollinger_middle, ind.bollinger_lower,
+        ind.atr, ind.adx, ind.plus_di, ind.minus_di, ind.williams_r
+      ]
+    );
+    return true;
+
+  } catch (error) {
+    console.error(`計算指數 ${indexId} 指標失敗:`, error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * 計算所有指數的技術指標
+ * @returns {Promise<number>} 計算的指數數量
+ */
+async function calculateAllIndexIndicators() {
+  const [indices] = await pool.query('SELECT DISTINCT index_id FROM index_prices');
+
+  console.log(`開始計算 ${indices.length} 個指數的技術指標...`);
+  const skipped = [];
+  for (const { index_id: indexId } of indices) {
+    if (!await calculateIndicatorsForIndex(indexId)) skipped.push(indexId);
+  }
+  if (skipped.length > 0) {
+    console.log(`⚠ ${skipped.length} 個指數未能計算指標（資料不足 20 個交易日或計算失敗），略過: ${skipped.join(', ')}`);
+    console.log('  可用 npm run fetch-indices -- --from YYYY-MM 回補歷史指數');
+  }
+  console.log('✓ 指數技術指標計算完成');
+  return indices.length;
+}
+
+// 用法：node calculateIndicators.js [--adjusted]   個股
+//       node calculateIndicators.js --indices      大盤與類股指數
 if (require.main === module) {
-  calculateAllIndicators()
+  const options = process.argv.includes('--adjusted') ? { adjusted: true } : {};
+  const fn = process.argv.includes('--indices')
+    ? calculateAllIndexIndicators
+    : () => calculateAllIndicators(options);
+
+  fn()
     .then(() => {
       console.log('完成！');
       process.exit(0);
@@ -419,6 +521,9 @@ if (require.main === module) {
 }
 
 module.exports = {
+  computeIndicators,
   calculateIndicatorsForStock,
-  calculateAllIndicators
+  calculateAllIndicators,
+  calculateIndicatorsForIndex,
+  calculateAllIndexIndicators
 };
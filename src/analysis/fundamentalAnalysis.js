@@ -1,4 +1,19 @@
 const { pool } = require('../database/connection');
+const { latestReportedQuarter } = require('../utils/tradingCalendar');
+
+const periodIndex = (r) => r.year * 4 + r.quarter;
+
+/**
+ * 近四季合計（TTM）
+ * rows 需由新到舊排序的單季資料；不足四季、季度不連續或有缺值時回傳 null
+ */
+function sumTrailingFour(rows, field) {
+  const recent = rows.slice(0, 4);
+  if (recent.length < 4) return null;
+  if (periodIndex(recent[0]) - periodIndex(recent[3]) !== 3) return null;
+  if (recent.some(r => r[field] === null)) return null;
+  return recent.reduce((sum, r) => sum + parseFloat(r[field]), 0);
+}
 
 /**
  * 營收成長趨勢分析（MoM / YoY）
@@ -49,83 +64,268 @@ async function analyzeRevenueTrend(stockId, months = 12) {
   };
 }
 
+const VALUATION_METRICS = ['pe_ratio', 'pb_ratio', 'dividend_yield'];
+
+/**
+ * 計算值與官方值的相對差異 (%)，任一方缺值時為 null
+ */
+function relativeDifference(computed, official) {
+  const c = parseFloat(computed);
+  const o = parseFloat(official);
+  if (isNaN(c) || isNaN(o) || o === 0) return null;
+  return parseFloat(((c - o) / o * 100).toFixed(2));
+}
+
+/**
+ * 指定日期可取得的最新財報季度（依法定申報期限，periodIndex 表示）
+ * 未指定日期時不限制，使用資料庫中最新的財報
+ */
+function reportedPeriodLimit(date) {
+  if (!date) return null;
+  return periodIndex(latestReportedQuarter(date));
+}
+
+/**
+ * 由股價、單季 EPS、每股淨值與近一年現金股利計算 PE/PB/殖利率
+ * @param {number} price - 收盤價
+ * @param {Array} epsRows - 由新到舊排序的單季 EPS
+ * @param {number|null} bookValue - 每股淨值
+ * @param {number} cashDividend - 近一年現金股利合計
+ */
+function computeValuationFigures(price, epsRows, bookValue, cashDividend) {
+  const figures = { pe_ratio: null, pb_ratio: null, dividend_yield: null, eps_ttm: null, book_value: null };
+
+  const epsTTM = sumTrailingFour(epsRows, 'eps');
+  if (epsTTM !== null) {
+    figures.eps_ttm = epsTTM.toFixed(2);
+    if (epsTTM > 0) {
+      figures.pe_ratio = (price / epsTTM).toFixed(2);
+    }
+  }
+
+  if (bookValue !== null) {
+    figures.book_value = bookValue;
+    if (bookValue > 0) {
+      figures.pb_ratio = (price / bookValue).toFixed(2);
+    }
+  }
+
+  if (cashDividend > 0 && price > 0) {
+    figures.dividend_yield = (cashDividend / price * 100).toFixed(2);
+  }
+
+  return figures;
+}
+
+/**
+ * 證交所／櫃買中心公布的本益比、股價淨值比、殖利率（指定日期當日或之前最近一筆）
+ */
+async function getOfficialValuation(stockId, date) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(trade_date, '%Y-%m-%d') AS trade_date, pe_ratio, pb_ratio, dividend_yield,
+       dividend_per_share, dividend_year, fiscal_period
+     FROM valuation_history
+     WHERE stock_id = ? AND trade_date <= ?
+     ORDER BY trade_date DESC LIMIT 1`,
+    [stockId, date]
+  );
+  return rows[0] || null;
+}
+
 /**
  * 估值指標計算（PE/PB/殖利率）
+ * pe_ratio、pb_ratio、dividend_yield 為依財報與股利自行計算的值，
+ * official 為交易所公布值，differences 為計算值相對官方值的差異 (%)
+ * @param {string} stockId - 股票代號
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD，以該日（含）之前最近的收盤價，
+ *   及依申報期限該日已公布的財報計算，預設為最新
  */
-async function calculateValuation(stockId) {
+async function calculateValuation(stockId, { date } = {}) {
   // 取得最新股價
   const [priceRows] = await pool.query(
     `SELECT close_price, trade_date FROM daily_prices
-     WHERE stock_id = ? ORDER BY trade_date DESC LIMIT 1`,
-    [stockId]
+     WHERE stock_id = ? ${date ? 'AND trade_date <= ?' : ''}
+     ORDER BY trade_date DESC LIMIT 1`,
+    date ? [stockId, date] : [stockId]
   );
 
   if (priceRows.length === 0) return null;
 
   const price = parseFloat(priceRows[0].close_price);
-  const result = {
-    stock_id: stockId,
-    price,
-    trade_date: priceRows[0].trade_date,
-    pe_ratio: null,
-    pb_ratio: null,
-    dividend_yield: null,
-    eps_ttm: null,
-    book_value: null
-  };
+  const periodLimit = reportedPeriodLimit(date);
+  const periodFilter = periodLimit === null ? '' : 'AND year * 4 + quarter <= ?';
+  const periodParams = periodLimit === null ? [] : [periodLimit];
 
-  // 計算近四季 EPS (TTM)
+  // 近四季 EPS (TTM)：eps 為單季值
   const [epsRows] = await pool.query(
-    `SELECT eps FROM financial_statements
-     WHERE stock_id = ? AND eps IS NOT NULL
+    `SELECT year, quarter, eps FROM financial_statements
+     WHERE stock_id = ? AND eps IS NOT NULL ${periodFilter}
      ORDER BY year DESC, quarter DESC LIMIT 4`,
-    [stockId]
+    [stockId, ...periodParams]
   );
 
-  if (epsRows.length > 0) {
-    const epsTTM = epsRows.reduce((sum, r) => sum + (parseFloat(r.eps) || 0), 0);
-    result.eps_ttm = epsTTM.toFixed(2);
-    if (epsTTM > 0) {
-      result.pe_ratio = (price / epsTTM).toFixed(2);
-    }
-  }
-
   // 每股淨值 (PB)
   const [bvRows] = await pool.query(
     `SELECT book_value_per_share FROM financial_ratios
-     WHERE stock_id = ? AND book_value_per_share IS NOT NULL
+     WHERE stock_id = ? AND book_value_per_share IS NOT NULL ${periodFilter}
      ORDER BY year DESC, quarter DESC LIMIT 1`,
-    [stockId]
+    [stockId, ...periodParams]
   );
 
-  if (bvRows.length > 0) {
-    const bv = parseFloat(bvRows[0].book_value_per_share);
-    result.book_value = bv;
-    if (bv > 0) {
-      result.pb_ratio = (price / bv).toFixed(2);
-    }
+  // 殖利率：近一年除息的現金股利合計（季配、半年配公司一年有多次）
+  const [divRows] = await pool.query(
+    `SELECT SUM(cash_dividend) AS cash_dividend FROM dividend_distributions
+     WHERE stock_id = ? AND ex_dividend_date > DATE_SUB(?, INTERVAL 1 YEAR) AND ex_dividend_date <= ?`,
+    [stockId, priceRows[0].trade_date, priceRows[0].trade_date]
+  );
+
+  const result = {
+    stock_id: stockId,
+    price,
+    trade_date: priceRows[0].trade_date,
+    ...computeValuationFigures(
+      price,
+      epsRows,
+      bvRows.length > 0 ? parseFloat(bvRows[0].book_value_per_share) : null,
+      divRows.length > 0 ? parseFloat(divRows[0].cash_dividend) || 0 : 0
+    ),
+    official: null,
+    differences: null
+  };
+
+  const official = await getOfficialValuation(stockId, priceRows[0].trade_date);
+  if (official) {
+    result.official = official;
+    result.differences = Object.fromEntries(
+      VALUATION_METRICS.map(m => [m, relativeDifference(result[m], official[m])])
+    );
+  }
+
+  return result;
+}
+
+const groupByStock = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.stock_id)) groups.set(row.stock_id, []);
+    groups.get(row.stock_id).push(row);
+  }
+  return groups;
+};
+
+/**
+ * 官方估值與自行計算值差異過大的股票
+ * 全市場一次查詢股價、近八季 EPS、每股淨值與近一年股利後計算，財報以該日依申報期限已公布者為限
+ * 只比較兩者皆有值的指標；計算值缺漏（例如每股淨值未入庫）另計於 missing_computed
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD，預設為 valuation_history 最新日期
+ * @param {number} [options.threshold=20] - 相對差異門檻 (%)
+ * @param {string} [options.metric] - 只比較單一指標：pe_ratio / pb_ratio / dividend_yield
+ */
+async function findValuationDiscrepancies({ date, threshold = 20, metric } = {}) {
+  if (metric && !VALUATION_METRICS.includes(metric)) {
+    throw new Error(`未知的估值指標: ${metric}`);
+  }
+  const metrics = metric ? [metric] : VALUATION_METRICS;
+
+  if (!date) {
+    const [latest] = await pool.query(
+      `SELECT DATE_FORMAT(MAX(trade_date), '%Y-%m-%d') AS trade_date FROM valuation_history`
+    );
+    date = latest[0].trade_date;
+    if (!date) return null;
   }
 
-  // 殖利率
+  const [stocks] = await pool.query(
+    `SELECT v.stock_id, s.stock_name, dp.close_price, v.pe_ratio, v.pb_ratio, v.dividend_yield
+     FROM valuation_history v
+     JOIN stocks s ON s.stock_id = v.stock_id
+     JOIN daily_prices dp ON dp.stock_id = v.stock_id AND dp.trade_date = v.trade_date
+     WHERE v.trade_date = ? ORDER BY v.stock_id`,
+    [date]
+  );
+
+  // 近八季財報：足以在個股最新一季落後時仍取到連續四季
+  const periodLimit = reportedPeriodLimit(date);
+  const periodWindow = [Math.floor((periodLimit - 7) / 4) - 1, periodLimit - 7, periodLimit];
+
+  const [epsRows] = await pool.query(
+    `SELECT stock_id, year, quarter, eps FROM financial_statements
+     WHERE eps IS NOT NULL AND year >= ? AND year * 4 + quarter BETWEEN ? AND ?
+     ORDER BY stock_id, year DESC, quarter DESC`,
+    periodWindow
+  );
+
+  const [bvRows] = await pool.query(
+    `SELECT stock_id, book_value_per_share FROM financial_ratios
+     WHERE book_value_per_share IS NOT NULL AND year >= ? AND year * 4 + quarter BETWEEN ? AND ?
+     ORDER BY stock_id, year DESC, quarter DESC`,
+    periodWindow
+  );
+
   const [divRows] = await pool.query(
-    `SELECT cash_dividend FROM dividends
-     WHERE stock_id = ?
-     ORDER BY year DESC LIMIT 1`,
-    [stockId]
+    `SELECT stock_id, SUM(cash_dividend) AS cash_dividend FROM dividend_distributions
+     WHERE ex_dividend_date > DATE_SUB(?, INTERVAL 1 YEAR) AND ex_dividend_date <= ?
+     GROUP BY stock_id`,
+    [date, date]
   );
 
-  if (divRows.length > 0) {
-    const cashDiv = parseFloat(divRows[0].cash_dividend) || 0;
-    if (cashDiv > 0 && price > 0) {
-      result.dividend_yield = (cashDiv / price * 100).toFixed(2);
+  const epsByStock = groupByStock(epsRows);
+  const bvByStock = groupByStock(bvRows);
+  const dividends = new Map(divRows.map(r => [r.stock_id, parseFloat(r.cash_dividend) || 0]));
+
+  const missingComputed = Object.fromEntries(metrics.map(m => [m, 0]));
+  const results = [];
+
+  for (const stock of stocks) {
+    const price = parseFloat(stock.close_price);
+    const bv = bvByStock.get(stock.stock_id);
+    const computed = computeValuationFigures(
+      price,
+      epsByStock.get(stock.stock_id) || [],
+      bv ? parseFloat(bv[0].book_value_per_share) : null,
+      dividends.get(stock.stock_id) || 0
+    );
+
+    const mismatches = [];
+    for (const m of metrics) {
+      // 官方殖利率 0 代表未配息，不算計算值缺漏
+      if (parseFloat(stock[m]) > 0 && computed[m] === null) {
+        missingComputed[m]++;
+        continue;
+      }
+      const diff = relativeDifference(computed[m], stock[m]);
+      if (diff !== null && Math.abs(diff) > threshold) {
+        mismatches.push({ metric: m, computed: computed[m], official: stock[m], difference: diff });
+      }
+    }
+
+    if (mismatches.length > 0) {
+      results.push({
+        stock_id: stock.stock_id,
+        stock_name: stock.stock_name,
+        price,
+        max_difference: Math.max(...mismatches.map(x => Math.abs(x.difference))),
+        mismatches
+      });
     }
   }
 
-  return result;
+  results.sort((a, b) => b.max_difference - a.max_difference);
+
+  return {
+    date,
+    threshold,
+    checked: stocks.length,
+    missing_computed: missingComputed,
+    count: results.length,
+    data: results
+  };
 }
 
 /**
- * EPS 成長趨勢
+ * EPS 成長趨勢（單季 EPS 與去年同季比較）
  */
 async function analyzeEPSTrend(stockId) {
   const [rows] = await pool.query(
@@ -137,16 +337,20 @@ async function analyzeEPSTrend(stockId) {
 
   if (rows.length === 0) return null;
 
+  const epsTTM = sumTrailingFour(rows, 'eps');
   const data = rows.reverse();
+  const byPeriod = new Map(data.map(r => [periodIndex(r), r]));
 
-  // 計算 YoY 同季比較
+  // 計算 YoY 同季比較（以年季對應，季度有缺漏時不會錯位）
   const epsGrowth = [];
-  for (let i = 4; i < data.length; i++) {
-    const current = parseFloat(data[i].eps);
-    const prev = parseFloat(data[i - 4].eps);
+  for (const r of data) {
+    const lastYear = byPeriod.get(periodIndex(r) - 4);
+    if (!lastYear) continue;
+    const current = parseFloat(r.eps);
+    const prev = parseFloat(lastYear.eps);
     if (prev !== 0) {
       epsGrowth.push({
-        period: `${data[i].year}Q${data[i].quarter}`,
+        period: `${r.year}Q${r.quarter}`,
         eps: current,
         yoy_growth: (((current - prev) / Math.abs(prev)) * 100).toFixed(2)
       });
@@ -159,11 +363,9 @@ async function analyzeEPSTrend(stockId) {
     eps: parseFloat(r.eps)
   }));
 
-  const epsTTM = recentEPS.reduce((s, r) => s + r.eps, 0);
-
   return {
     stock_id: stockId,
-    eps_ttm: epsTTM.toFixed(2),
+    eps_ttm: epsTTM === null ? null : epsTTM.toFixed(2),
     quarterly_eps: recentEPS,
     yoy_growth: epsGrowth,
     trend: epsGrowth.length > 0 && parseFloat(epsGrowth[epsGrowth.length - 1].yoy_growth) > 0
@@ -196,7 +398,7 @@ async function scoreFundamental(stockId) {
   // EPS
   const eps = await analyzeEPSTrend(stockId);
   if (eps) {
-    const epsTTM = parseFloat(eps.eps_ttm);
+    const epsTTM = eps.eps_ttm === null ? null : parseFloat(eps.eps_ttm);
     if (epsTTM > 0) score += 5;
     if (eps.yoy_growth.length > 0) {
       const lastGrowth = parseFloat(eps.yoy_growth[eps.yoy_growth.length - 1].yoy_growth);
@@ -211,14 +413,16 @@ async function scoreFundamental(stockId) {
   // 估值
   const valuation = await calculateValuation(stockId);
   if (valuation) {
-    const pe = parseFloat(valuation.pe_ratio);
+    // 有交易所公布值時優先使用，自行計算值可能因財報或股利資料缺漏而失真
+    const source = valuation.official || valuation;
+    const pe = parseFloat(source.pe_ratio);
     if (!isNaN(pe)) {
       if (pe > 0 && pe < 12) score += 10;      // 低本益比
       else if (pe >= 12 && pe < 20) score += 5; // 合理
       else if (pe >= 30) score -= 5;             // 偏高
     }
 
-    const dy = parseFloat(valuation.dividend_yield);
+    const dy = parseFloat(source.dividend_yield);
     if (!isNaN(dy) && dy > 5) score += 5;
 
     details.pe_ratio = pe;
@@ -254,13 +458,60 @@ async function getFinancialSummary(stockId) {
     stock_id: stockId,
     financial_statements: fsRows,
     financial_ratios: frRows,
-    valuation
+    valuation,
+    cash_flow: await analyzeCashFlow(stockId, valuation)
   };
 }
 
+/**
+ * 現金流指標
+ * - FCF 殖利率：近四季自由現金流 / 市值
+ * - 盈餘品質：營業現金流 / 稅後淨利（年初至今累計值），長期低於 1 代表獲利未轉為現金
+ * 財報金額與股本單位皆為仟元
+ */
+async function analyzeCashFlow(stockId, valuation) {
+  const [rows] = await pool.query(
+    `SELECT year, quarter, free_cash_flow, operating_cash_flow_ytd, net_income_ytd, share_capital
+     FROM financial_statements
+     WHERE stock_id = ? AND operating_cash_flow_ytd IS NOT NULL
+     ORDER BY year DESC, quarter DESC LIMIT 4`,
+    [stockId]
+  );
+
+  if (rows.length === 0) return null;
+
+  const latest = rows[0];
+  const result = {
+    period: `${latest.year}Q${latest.quarter}`,
+    fcf_ttm: null,
+    fcf_yield: null,
+    ocf_to_net_income: null
+  };
+
+  const fcfTTM = sumTrailingFour(rows, 'free_cash_flow');
+  if (fcfTTM !== null) {
+    result.fcf_ttm = fcfTTM;
+
+    const shareCapital = parseFloat(rows.find(r => r.share_capital !== null)?.share_capital);
+    if (valuation && valuation.price > 0 && shareCapital > 0) {
+      // 市值(仟元) = 股價 × 股本(仟元) / 面額 10 元
+      const marketCap = valuation.price * shareCapital / 10;
+      result.fcf_yield = (fcfTTM / marketCap * 100).toFixed(2);
+    }
+  }
+
+  const netIncome = parseFloat(latest.net_income_ytd);
+  if (netIncome > 0) {
+    result.ocf_to_net_income = (parseFloat(latest.operating_cash_flow_ytd) / netIncome).toFixed(2);
+  }
+
+  return result;
+}
+
 module.exports = {
   analyzeRevenueTrend,
   calculateValuation,
+  findValuationDiscrepancies,
   analyzeEPSTrend,
   scoreFundamental,
   getFinancialSummary
@@ -1,4 +1,6 @@
 const { pool } = require('../database/connection');
+const { previousTradingDay } = require('../utils/tradingCalendar');
+const { EXCLUDE_RESTRICTED, restrictedStockFilter } = require('./tradingRestrictions');
 
 /**
  * 三大法人買賣超趨勢分析
@@ -24,6 +26,7 @@ async function analyzeInstitutionalTrend(stockId, days = 20) {
   const totalNet = data.reduce((s, r) => s + (parseInt(r.total_net) || 0), 0);
 
   const foreignBuyDays = data.filter(r => parseInt(r.foreign_net) > 0).length;
+  const foreignHolding = await analyzeForeignHolding(stockId, days);
   const trustBuyDays = data.filter(r => parseInt(r.trust_net) > 0).length;
   const dealerBuyDays = data.filter(r => parseInt(r.dealer_net) > 0).length;
 
@@ -34,7 +37,8 @@ async function analyzeInstitutionalTrend(stockId, days = 20) {
       net_total: foreignTotal,
       buy_days: foreignBuyDays,
       sell_days: data.length - foreignBuyDays,
-      trend: foreignTotal > 0 ? '買超' : '賣超'
+      trend: foreignTotal > 0 ? '買超' : '賣超',
+      holding: foreignHolding
     },
     trust: {
       net_total: trustTotal,
@@ -53,6 +57,57 @@ async function analyzeInstitutionalTrend(stockId, days = 20) {
   };
 }
 
+// 外資尚可投資比率低於此值視為接近持股上限
+const FOREIGN_ROOM_WARNING = 5;
+
+/**
+ * 外資持股比率趨勢
+ * @returns {Object|null} 無外資持股資料時回傳 null
+ */
+async function analyzeForeignHolding(stockId, days = 20) {
+  const [rows] = await pool.query(
+    `SELECT trade_date, holding_ratio, available_ratio, available_shares, limit_ratio
+     FROM foreign_holdings
+     WHERE stock_id = ? AND holding_ratio IS NOT NULL
+     ORDER BY trade_date DESC LIMIT ?`,
+    [stockId, days]
+  );
+
+  if (rows.length === 0) return null;
+
+  const data = rows.reverse();
+  const first = data[0];
+  const last = data[data.length - 1];
+  const ratioChange = parseFloat(last.holding_ratio) - parseFloat(first.holding_ratio);
+
+  let upDays = 0;
+  let downDays = 0;
+  for (let i = 1; i < data.length; i++) {
+    const diff = parseFloat(data[i].holding_ratio) - parseFloat(data[i - 1].holding_ratio);
+    if (diff > 0) upDays++;
+    else if (diff < 0) downDays++;
+  }
+
+  const availableRatio = last.available_ratio === null ? null : parseFloat(last.available_ratio);
+
+  let trend = '持平';
+  if (ratioChange > 0) trend = '持股增加';
+  else if (ratioChange < 0) trend = '持股減少';
+
+  return {
+    trade_date: last.trade_date,
+    holding_ratio: parseFloat(last.holding_ratio),
+    ratio_change: +ratioChange.toFixed(2),
+    up_days: upDays,
+    down_days: downDays,
+    available_ratio: availableRatio,
+    available_shares: last.available_shares === null ? null : parseInt(last.available_shares),
+    limit_ratio: last.limit_ratio === null ? null : parseFloat(last.limit_ratio),
+    near_limit: availableRatio !== null && availableRatio < FOREIGN_ROOM_WARNING,
+    trend
+  };
+}
+
 /**
  * 主力吸籌偵測（連續買超天數 + 累計淨買超）
  */
@@ -183,10 +238,184 @@ async function analyzeMarginTrend(stockId, days = 20) {
     short_balance: lastShort,
     short_change: shortChange,
     short_margin_ratio: shortMarginRatio,
-    interpretation
+    interpretation,
+    short_interest: await analyzeShortInterest(stockId, days)
   };
 }
 
+/**
+ * 合併融券與借券賣出的總空單
+ * 融券餘額單位為張、借券賣出餘額為股，統一換算為張
+ */
+function totalShortLots(row) {
+  return (parseInt(row.short_balance) || 0) + Math.round((parseInt(row.sbl_balance) || 0) / 1000);
+}
+
+/**
+ * 總空單（融券 + 借券賣出）與回補天數
+ * 回補天數 = 總空單 / 區間平均成交量（張）
+ * 借券餘額扣除借券賣出餘額為已借入尚未賣出的股數，為潛在的放空賣壓
+ */
+async function analyzeShortInterest(stockId, days = 20) {
+  const [rows] = await pool.query(
+    `SELECT m.trade_date, m.short_balance, s.sbl_balance, s.lending_balance, p.volume
+     FROM margin_trading m
+     LEFT JOIN sbl_trading s ON s.stock_id = m.stock_id AND s.trade_date = m.trade_date
+     LEFT JOIN daily_prices p ON p.stock_id = m.stock_id AND p.trade_date = m.trade_date
+     WHERE m.stock_id = ?
+     ORDER BY m.trade_date DESC LIMIT ?`,
+    [stockId, days]
+  );
+
+  if (rows.length === 0) return null;
+
+  const data = rows.reverse();
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  const totalShort = totalShortLots(last);
+  const firstTotal = totalShortLots(first);
+  const volumes = data.filter(r => r.volume !== null).map(r => parseInt(r.volume) / 1000);
+  const avgVolume = volumes.length > 0 ? volumes.reduce((a, b) => a + b, 0) / volumes.length : 0;
+  const toLots = (shares) => shares === null ? null : Math.round(parseInt(shares) / 1000);
+  const lending = toLots(last.lending_balance);
+  const firstLending = toLots(first.lending_balance);
+
+  return {
+    trade_date: last.trade_date,
+    margin_short: parseInt(last.short_balance) || 0,
+    sbl_short: last.sbl_balance === null ? null : Math.round(parseInt(last.sbl_balance) / 1000),
+    total_short: totalShort,
+    total_short_change: totalShort - firstTotal,
+    sbl_share: totalShort > 0 && last.sbl_balance !== null
+      ? +(Math.round(parseInt(last.sbl_balance) / 1000) / totalShort * 100).toFixed(2) : null,
+    lending_balance: lending,
+    lending_change: lending !== null && firstLending !== null ? lending - firstLending : null,
+    lending_unsold: lending !== null ? Math.max(lending - (toLots(last.sbl_balance) || 0), 0) : null,
+    avg_volume: Math.round(avgVolume),
+    days_to_cover: avgVolume > 0 ? +(totalShort / avgVolume).toFixed(2) : null
+  };
+}
+
+/**
+ * 當沖統計：每日當沖成交量、比率與區間平均
+ * 當沖比率偏高代表量能多為短線換手，量能訊號可信度較低
+ */
+async function analyzeDayTrading(stockId, days = 20) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(dt.trade_date, '%Y-%m-%d') AS trade_date, dp.volume,
+       dt.day_trade_volume, dt.day_trade_buy_value, dt.day_trade_sell_value, dt.day_trade_ratio,
+       dt.suspended_flag
+     FROM day_trading dt
+     LEFT JOIN daily_prices dp ON dp.stock_id = dt.stock_id AND dp.trade_date = dt.trade_date
+     WHERE dt.stock_id = ?
+     ORDER BY dt.trade_date DESC LIMIT ?`,
+    [stockId, days]
+  );
+
+  if (rows.length === 0) return null;
+
+  const data = rows.reverse().map(r => ({
+    trade_date: r.trade_date,
+    volume: r.volume === null ? null : parseInt(r.volume),
+    day_trade_volume: parseInt(r.day_trade_volume) || 0,
+    non_day_trade_volume: r.volume === null ? null : parseInt(r.volume) - (parseInt(r.day_trade_volume) || 0),
+    day_trade_buy_value: parseInt(r.day_trade_buy_value) || 0,
+    day_trade_sell_value: parseInt(r.day_trade_sell_value) || 0,
+    day_trade_ratio: r.day_trade_ratio === null ? null : parseFloat(r.day_trade_ratio),
+    suspended: !!r.suspended_flag
+  }));
+
+  const ratios = data.filter(d => d.day_trade_ratio !== null).map(d => d.day_trade_ratio);
+  const last = data[data.length - 1];
+
+  return {
+    stock_id: stockId,
+    period_days: data.length,
+    latest_ratio: last.day_trade_ratio,
+    avg_ratio: ratios.length > 0 ? +(ratios.reduce((a, b) => a + b, 0) / ratios.length).toFixed(2) : null,
+    max_ratio: ratios.length > 0 ? Math.max(...ratios) : null,
+    data
+  };
+}
+
+/**
+ * 軋空候選股篩選
+ * 條件：總空單回補天數高、空單仍在增加，且股價站上 20 日均線（空方開始承壓）
+ */
+async function screenShortSqueeze(criteria = {}) {
+  const {
+    days = 20,                 // 平均成交量與空單變化的觀察交易日數
+    min_days_to_cover = 3,     // 回補天數下限
+    min_short_change_pct = 0,  // 總空單區間增幅下限 (%)
+    require_uptrend = true,    // 收盤需高於 MA20
+    exclude_restricted = EXCLUDE_RESTRICTED // 排除處置股與變更交易方法股票
+  } = criteria;
+
+  const [latestRows] = await pool.query(
+    `SELECT DATE_FORMAT(MAX(trade_date), '%Y-%m-%d') AS latest FROM margin_trading`
+  );
+  if (!latestRows[0].latest) return { count: 0, data: [] };
+
+  const latest = latestRows[0].latest;
+  const startDate = await previousTradingDay(days - 1, latest);
+
+  const [rows] = await pool.query(
+    `SELECT m.stock_id, st.stock_name, DATE_FORMAT(m.trade_date, '%Y-%m-%d') AS trade_date,
+       m.short_balance, s.sbl_balance, p.volume, p.close_price, ti.ma20
+     FROM margin_trading m
+     JOIN stocks st ON st.stock_id = m.stock_id
+     LEFT JOIN sbl_trading s ON s.stock_id = m.stock_id AND s.trade_date = m.trade_date
+     LEFT JOIN daily_prices p ON p.stock_id = m.stock_id AND p.trade_date = m.trade_date
+     LEFT JOIN technical_indicators ti ON ti.stock_id = m.stock_id AND ti.trade_date = m.trade_date
+     WHERE m.trade_date >= ?
+       ${exclude_restricted ? `AND ${restrictedStockFilter('m.stock_id')}` : ''}
+     ORDER BY m.stock_id, m.trade_date`,
+    [startDate]
+  );
+
+  const byStock = new Map();
+  for (const row of rows) {
+    if (!byStock.has(row.stock_id)) byStock.set(row.stock_id, []);
+    byStock.get(row.stock_id).push(row);
+  }
+
+  const results = [];
+  for (const [stockId, series] of byStock) {
+    const last = series[series.length - 1];
+    if (last.trade_date !== latest) continue;
+
+    const totalShort = totalShortLots(last);
+    const firstTotal = totalShortLots(series[0]);
+    const volumes = series.filter(r => r.volume !== null).map(r => parseInt(r.volume) / 1000);
+    const avgVolume = volumes.length > 0 ? volumes.reduce((a, b) => a + b, 0) / volumes.length : 0;
+    if (totalShort <= 0 || avgVolume <= 0) continue;
+
+    const daysToCover = totalShort / avgVolume;
+    const shortChangePct = firstTotal > 0 ? (totalShort - firstTotal) / firstTotal * 100 : null;
+    const close = parseFloat(last.close_price);
+    const ma20 = last.ma20 === null ? null : parseFloat(last.ma20);
+
+    if (daysToCover < min_days_to_cover) continue;
+    if (shortChangePct === null || shortChangePct < min_short_change_pct) continue;
+    if (require_uptrend && !(ma20 && close > ma20)) continue;
+
+    results.push({
+      stock_id: stockId,
+      stock_name: last.stock_name,
+      close_price: close,
+      ma20,
+      total_short: totalShort,
+      short_change_pct: +shortChangePct.toFixed(2),
+      avg_volume: Math.round(avgVolume),
+      days_to_cover: +daysToCover.toFixed(2)
+    });
+  }
+
+  results.sort((a, b) => b.days_to_cover - a.days_to_cover);
+  return { count: Math.min(results.length, 50), data: results.slice(0, 50) };
+}
+
 /**
  * 依籌碼面篩選股票
  */
@@ -195,9 +424,18 @@ async function screenByInstitutional(criteria = {}) {
     foreign_net_min,       // 外資淨買超最低
     trust_net_min,         // 投信淨買超最低
     consecutive_buy_days,  // 連續買超天數
-    days = 5              // 累計天數
+    days = 5,             // 累計交易日數
+    exclude_restricted = EXCLUDE_RESTRICTED // 排除處置股與變更交易方法股票
   } = criteria;
 
+  const [latestRows] = await pool.query(
+    `SELECT DATE_FORMAT(MAX(trade_date), '%Y-%m-%d') AS latest FROM institutional_trading`
+  );
+  if (!latestRows[0].latest) return { count: 0, data: [] };
+
+  // 以交易日曆往前推 days 個交易日（含最新一日），避免週末與連假縮短統計區間
+  const startDate = await previousTradingDay(days - 1, latestRows[0].latest);
+
   let query = `
     SELECT it.stock_id, s.stock_name,
       SUM(it.foreign_net) as foreign_total,
@@ -207,13 +445,12 @@ async function screenByInstitutional(criteria = {}) {
       COUNT(*) as data_days
     FROM institutional_trading it
     JOIN stocks s ON it.stock_id = s.stock_id
-    WHERE it.trade_date >= (
-      SELECT MAX(trade_date) FROM institutional_trading
-    ) - INTERVAL ? DAY
+    WHERE it.trade_date >= ?
+      ${exclude_restricted ? `AND ${restrictedStockFilter('it.stock_id')}` : ''}
     GROUP BY it.stock_id, s.stock_name
     HAVING 1=1
   `;
-  const params = [days];
+  const params = [startDate];
 
   if (foreign_net_min !== undefined) {
     query += ' AND SUM(it.foreign_net) >= ?';
@@ -230,10 +467,221 @@ async function screenByInstitutional(criteria = {}) {
   return { count: rows.length, data: rows };
 }
 
+/**
+ * 篩選外資持股比率穩定上升的股票
+ * 條件：區間內持股比率增加至少 min_increase 個百分點，且上升天數占比達 min_up_ratio
+ */
+async function screenForeignHoldingRising(criteria = {}) {
+  const {
+    days = 20,              // 觀察交易日數
+    min_increase = 1,       // 持股比率最少增加（百分點）
+    min_up_ratio = 0.6,     // 上升天數占比
+    min_available_ratio,    // 尚可投資比率下限（排除接近上限、外資已無法再買的股票）
+    exclude_restricted = EXCLUDE_RESTRICTED // 排除處置股與變更交易方法股票
+  } = criteria;
+
+  const [latestRows] = await pool.query(
+    `SELECT DATE_FORMAT(MAX(trade_date), '%Y-%m-%d') AS latest FROM foreign_holdings`
+  );
+  if (!latestRows[0].latest) return { count: 0, data: [] };
+
+  const startDate = await previousTradingDay(days - 1, latestRows[0].latest);
+
+  const [rows] = await pool.query(
+    `SELECT fh.stock_id, s.stock_name, fh.trade_date, fh.holding_ratio, fh.available_ratio
+     FROM foreign_holdings fh
+     JOIN stocks s ON fh.stock_id = s.stock_id
+     WHERE fh.trade_date >= ? AND fh.holding_ratio IS NOT NULL
+       ${exclude_restricted ? `AND ${restrictedStockFilter('fh.stock_id')}` : ''}
+     ORDER BY fh.stock_id, fh.trade_date`,
+    [startDate]
+  );
+
+  const byStock = new Map();
+  for (const row of rows) {
+    if (!byStock.has(row.stock_id)) byStock.set(row.stock_id, []);
+    byStock.get(row.stock_id).push(row);
+  }
+
+  const results = [];
+  for (const [stockId, series] of byStock) {
+    if (series.length < 2) continue;
+
+    const first = series[0];
+    const last = series[series.length - 1];
+    const increase = parseFloat(last.holding_ratio) - parseFloat(first.holding_ratio);
+
+    let upDays = 0;
+    for (let i = 1; i < series.length; i++) {
+      if (parseFloat(series[i].holding_ratio) > parseFloat(series[i - 1].holding_ratio)) upDays++;
+    }
+    const upRatio = upDays / (series.length - 1);
+    const availableRatio = last.available_ratio === null ? null : parseFloat(last.available_ratio);
+
+    if (increase < min_increase || upRatio < min_up_ratio) continue;
+    if (min_available_ratio !== undefined && (availableRatio === null || availableRatio < min_available_ratio)) continue;
+
+    results.push({
+      stock_id: stockId,
+      stock_name: last.stock_name,
+      holding_ratio: parseFloat(last.holding_ratio),
+      ratio_change: +increase.toFixed(2),
+      up_days: upDays,
+      data_days: series.length,
+      available_ratio: availableRatio
+    });
+  }
+
+  results.sort((a, b) => b.ratio_change - a.ratio_change);
+  return { count: Math.min(results.length, 50), data: results.slice(0, 50) };
+}
+
+// 集保持股分級：12~15 為 400 張以上大戶，15 為千張大戶，1~8 為 50 張以下散戶
+const BIG_HOLDER_TIERS = [12, 15];
+const THOUSAND_LOT_TIER = 15;
+const RETAIL_TIERS = [1, 8];
+
+/**
+ * 讀取最近幾週的集保股權分散彙總（由舊到新）
+ */
+async function loadShareholdingWeeks(stockId, weeks) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(data_date, '%Y-%m-%d') AS data_date,
+       SUM(CASE WHEN tier BETWEEN ? AND ? THEN ratio END) AS big_holder_ratio,
+       SUM(CASE WHEN tier BETWEEN ? AND ? THEN holders END) AS big_holders,
+       SUM(CASE WHEN tier = ? THEN ratio END) AS thousand_lot_ratio,
+       SUM(CASE WHEN tier BETWEEN ? AND ? THEN ratio END) AS retail_ratio,
+       SUM(CASE WHEN tier BETWEEN ? AND ? THEN holders END) AS retail_holders,
+       MAX(CASE WHEN tier = 17 THEN holders END) AS total_holders
+     FROM shareholding_distribution
+     WHERE stock_id = ?
+     GROUP BY data_date
+     ORDER BY data_date DESC LIMIT ?`,
+    [...BIG_HOLDER_TIERS, ...BIG_HOLDER_TIERS, THOUSAND_LOT_TIER, ...RETAIL_TIERS, ...RETAIL_TIERS,
+     stockId, weeks]
+  );
+
+  return rows.reverse().map(r => ({
+    data_date: r.data_date,
+    big_holder_ratio: parseFloat(r.big_holder_ratio) || 0,
+    big_holders: parseInt(r.big_holders) || 0,
+    thousand_lot_ratio: parseFloat(r.thousand_lot_ratio) || 0,
+    retail_ratio: parseFloat(r.retail_ratio) || 0,
+    retail_holders: parseInt(r.retail_holders) || 0,
+    total_holders: parseInt(r.total_holders) || 0
+  }));
+}
+
+function summarizeBigHolders(data) {
+  const first = data[0];
+  const prev = data[data.length - 2];
+  const last = data[data.length - 1];
+
+  return {
+    data_date: last.data_date,
+    big_holder_ratio: last.big_holder_ratio,
+    big_holders: last.big_holders,
+    thousand_lot_ratio: last.thousand_lot_ratio,
+    week_change: +(last.big_holder_ratio - prev.big_holder_ratio).toFixed(2),
+    period_change: +(last.big_holder_ratio - first.big_holder_ratio).toFixed(2),
+    thousand_lot_period_change: +(last.thousand_lot_ratio - first.thousand_lot_ratio).toFixed(2)
+  };
+}
+
+function summarizeRetailHolders(data) {
+  const first = data[0];
+  const prev = data[data.length - 2];
+  const last = data[data.length - 1];
+  const pct = (change, base) => (base > 0 ? +(change / base * 100).toFixed(2) : null);
+
+  return {
+    data_date: last.data_date,
+    retail_holders: last.retail_holders,
+    retail_ratio: last.retail_ratio,
+    total_holders: last.total_holders,
+    week_change: last.retail_holders - prev.retail_holders,
+    week_change_pct: pct(last.retail_holders - prev.retail_holders, prev.retail_holders),
+    period_change: last.retail_holders - first.retail_holders,
+    period_change_pct: pct(last.retail_holders - first.retail_holders, first.retail_holders)
+  };
+}
+
+/**
+ * 大戶（400 張以上）持股比例變化
+ * @param {string} stockId - 股票代號
+ * @param {number} weeks - 分析週數（預設 8）
+ */
+async function analyzeBigHolderChange(stockId, weeks = 8) {
+  const data = await loadShareholdingWeeks(stockId, weeks);
+  if (data.length < 2) return null;
+
+  return { stock_id: stockId, period_weeks: data.length, ...summarizeBigHolders(data) };
+}
+
+/**
+ * 散戶（50 張以下）人數變化
+ * @param {string} stockId - 股票代號
+ * @param {number} weeks - 分析週數（預設 8）
+ */
+async function analyzeRetailHolderChange(stockId, weeks = 8) {
+  const data = await loadShareholdingWeeks(stockId, weeks);
+  if (data.length < 2) return null;
+
+  return { stock_id: stockId, period_weeks: data.length, ...summarizeRetailHolders(data) };
+}
+
+/**
+ * 籌碼集中度趨勢
+ * 大戶持股增加且散戶人數減少 = 籌碼集中；反之為籌碼渙散
+ * @param {string} stockId - 股票代號
+ * @param {number} weeks - 分析週數（預設 8）
+ */
+async function analyzeConcentrationTrend(stockId, weeks = 8) {
+  const data = await loadShareholdingWeeks(stockId, weeks);
+  if (data.length < 2) return null;
+
+  const bigHolders = summarizeBigHolders(data);
+  const retailHolders = summarizeRetailHolders(data);
+
+  // 大戶持股比例連續增加 / 減少的週數（由最新一週往回算）
+  let risingWeeks = 0;
+  let fallingWeeks = 0;
+  for (let i = data.length - 1; i > 0; i--) {
+    if (data[i].big_holder_ratio > data[i - 1].big_holder_ratio && fallingWeeks === 0) risingWeeks++;
+    else if (data[i].big_holder_ratio < data[i - 1].big_holder_ratio && risingWeeks === 0) fallingWeeks++;
+    else break;
+  }
+
+  let trend = '持平';
+  if (bigHolders.period_change > 0 && retailHolders.period_change < 0) trend = '籌碼集中';
+  else if (bigHolders.period_change < 0 && retailHolders.period_change > 0) trend = '籌碼渙散';
+  else if (bigHolders.period_change > 0) trend = '大戶加碼、散戶未退';
+  else if (bigHolders.period_change < 0) trend = '大戶減碼';
+
+  return {
+    stock_id: stockId,
+    period_weeks: data.length,
+    trend,
+    big_holder_rising_weeks: risingWeeks,
+    big_holder_falling_weeks: fallingWeeks,
+    big_holders: bigHolders,
+    retail_holders: retailHolders,
+    history: data
+  };
+}
+
 module.exports = {
   analyzeInstitutionalTrend,
   detectAccumulation,
   analyzeConsensus,
   analyzeMarginTrend,
-  screenByInstitutional
+  analyzeShortInterest,
+  analyzeDayTrading,
+  analyzeForeignHolding,
+  analyzeBigHolderChange,
+  analyzeRetailHolderChange,
+  analyzeConcentrationTrend,
+  screenByInstitutional,
+  screenForeignHoldingRising,
+  screenShortSqueeze
 };
@@ -0,0 +1,169 @@
+const { pool } = require('../database/connection');
+const { volumeBreakoutSignal, bollingerSignal } = require('./strategies');
+
+// 一般交易時段 09:00~13:30 共 270 分鐘
+const SESSION_START_MINUTES = 9 * 60;
+const SESSION_MINUTES = 270;
+// 開盤初期成交集中、樣本太少，前 15 分鐘不判斷量能突破
+const MIN_ELAPSED_MINUTES = 15;
+
+/**
+ * 報價時間已經過一般交易時段的比例（0~1），開盤未滿 MIN_ELAPSED_MINUTES 時回傳 null
+ * @param {string} quoteTime - YYYY-MM-DD HH:MM:SS
+ */
+function sessionElapsedRatio(quoteTime) {
+  const [hour, minute] = quoteTime.slice(11, 16).split(':').map(Number);
+  const elapsed = hour * 60 + minute - SESSION_START_MINUTES;
+  if (isNaN(elapsed) || elapsed < MIN_ELAPSED_MINUTES) return null;
+  return Math.min(elapsed / SESSION_MINUTES, 1);
+}
+
+/**
+ * 載入盤中訊號判斷所需的前一交易日資料
+ * 技術指標只在收盤後計算，盤中以前一交易日的均線、布林通道與 20 日均量為基準
+ * @param {string} stockId - 股票代號
+ * @param {string} date - 今日 YYYY-MM-DD，取此日期之前最近一筆
+ * @returns {Promise<Object|null>}
+ */
+async function loadIntradayContext(stockId, date) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(ti.trade_date, '%Y-%m-%d') AS trade_date, dp.close_price,
+       ti.ma20, ti.bollinger_upper, ti.bollinger_lower
+     FROM technical_indicators ti
+     JOIN daily_prices dp ON dp.stock_id = ti.stock_id AND dp.trade_date = ti.trade_date
+     WHERE ti.stock_id = ? AND ti.trade_date < ?
+     ORDER BY ti.trade_date DESC LIMIT 1`,
+    [stockId, date]
+  );
+  if (rows.length === 0) return null;
+
+  const [[volume]] = await pool.query(
+    `SELECT AVG(volume) AS avg_volume FROM (
+       SELECT volume FROM daily_prices
+       WHERE stock_id = ? AND trade_date < ?
+       ORDER BY trade_date DESC LIMIT 20
+     ) recent`,
+    [stockId, date]
+  );
+
+  const num = (value) => (value === null ? null : parseFloat(value));
+  return {
+    trade_date: rows[0].trade_date,
+    prev_close: num(rows[0].close_price),
+    ma20: num(rows[0].ma20),
+    bollinger_upper: num(rows[0].bollinger_upper),
+    bollinger_lower: num(rows[0].bollinger_lower),
+    avg_volume: num(volume.avg_volume)
+  };
+}
+
+/**
+ * 以即時報價判斷盤中訊號
+ * 布林通道突破、量能突破沿用日K判斷邏輯；MA20 以前一日收盤與即時價判斷是否穿越
+ * 量能以累計成交量對比依經過時間比例換算的 20 日均量，判斷的是成交速度而非全日量
+ * @param {Object} quote - parseRealtimeQuote 的結果
+ * @param {Object} context - loadIntradayContext 的結果
+ * @returns {Array} 訊號陣列 { signal, date, description }
+ */
+function evaluateIntradaySignals(quote, context) {
+  if (!context || quote.price === null) return [];
+
+  const date = quote.quote_time.slice(0, 10);
+  const signals = [];
+
+  if (context.bollinger_upper !== null && context.bollinger_lower !== null) {
+    const result = bollingerSignal(date, quote.price, context.bollinger_upper, context.bollinger_lower);
+    if (result) signals.push(result);
+  }
+
+  if (context.ma20 !== null && context.prev_close !== null) {
+    if (context.prev_close <= context.ma20 && quote.price > context.ma20) {
+      signals.push({ signal: 'ma20_cross_up', date, description: `股價盤中站上 MA20 (${context.ma20})` });
+    } else if (context.prev_close >= context.ma20 && quote.price < context.ma20) {
+      signals.push({ signal: 'ma20_cross_down', date, description: `股價盤中跌破 MA20 (${context.ma20})` });
+    }
+  }
+
+  const elapsedRatio = sessionElapsedRatio(quote.quote_time);
+  if (context.avg_volume && elapsedRatio) {
+    const paceVolume = context.avg_volume * elapsedRatio;
+    const result = volumeBreakoutSignal(date, quote.volume, paceVolume, '盤中累計成交量（對比同時段換算均量）');
+    if (result) signals.push(result);
+  }
+
+  return signals;
+}
+
+/**
+ * 取得盤中分K
+ * @param {string} stockId - 股票代號
+ * @param {Object} [options]
+ * @param {number} [options.interval=1] - 1 或 5 分鐘
+ * @param {string} [options.date] - YYYY-MM-DD，預設為最近有分K的日期
+ */
+async function getIntradayBars(stockId, { interval = 1, date } = {}) {
+  let targetDate = date;
+  if (!targetDate) {
+    const [[latest]] = await pool.query(
+      `SELECT DATE_FORMAT(MAX(bar_time), '%Y-%m-%d') AS latest
+       FROM intraday_bars WHERE stock_id = ? AND interval_minutes = ?`,
+      [stockId, interval]
+    );
+    if (!latest.latest) return null;
+    targetDate = latest.latest;
+  }
+
+  const [bars] = await pool.query(
+    `SELECT DATE_FORMAT(bar_time, '%Y-%m-%d %H:%i') AS bar_time,
+       open_price, high_price, low_price, close_price, volume
+     FROM intraday_bars
+     WHERE stock_id = ? AND interval_minutes = ? AND bar_time >= ? AND bar_time < ? + INTERVAL 1 DAY
+     ORDER BY bar_time`,
+    [stockId, interval, targetDate, targetDate]
+  );
+
+  return {
+    stock_id: stockId,
+    date: targetDate,
+    interval,
+    bars,
+    signals: await getIntradaySignals({ date: targetDate, stockId })
+  };
+}
+
+/**
+ * 取得盤中訊號
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD，預設為最近有訊號的日期
+ * @param {string} [options.stockId] - 指定股票
+ */
+async function getIntradaySignals({ date, stockId } = {}) {
+  let targetDate = date;
+  if (!targetDate) {
+    const [[latest]] = await pool.query(
+      `SELECT DATE_FORMAT(MAX(signal_date), '%Y-%m-%d') AS latest FROM intraday_signals`
+    );
+    if (!latest.latest) return [];
+    targetDate = latest.latest;
+  }
+
+  let query = `
+    SELECT i.stock_id, s.stock_name, i.signal_type, i.description, i.price,
+      DATE_FORMAT(i.signal_time, '%Y-%m-%d %H:%i:%s') AS signal_time
+    FROM intraday_signals i
+    JOIN stocks s ON s.stock_id = i.stock_id
+    WHERE i.signal_date = ?`;
+  const params = [targetDate];
+  if (stockId) { query += ' AND i.stock_id = ?'; params.push(stockId); }
+  query += ' ORDER BY i.signal_time';
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+module.exports = {
+  loadIntradayContext,
+  evaluateIntradaySignals,
+  getIntradayBars,
+  getIntradaySignals
+};
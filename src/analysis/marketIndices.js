@@ -0,0 +1,57 @@
+const { pool } = require('../database/connection');
+
+/**
+ * 指數清單與最新收盤
+ * @param {Object} [options]
+ * @param {string} [options.category] - market（大盤） / sector（類股）
+ */
+async function listIndices({ category } = {}) {
+  let query = `
+    SELECT mi.index_id, mi.index_name, mi.market_type, mi.category, mi.industry,
+      DATE_FORMAT(ip.trade_date, '%Y-%m-%d') AS trade_date, ip.close_price,
+      ip.change_amount, ip.change_percent
+    FROM market_indices mi
+    LEFT JOIN index_prices ip ON ip.index_id = mi.index_id
+      AND ip.trade_date = (SELECT MAX(trade_date) FROM index_prices WHERE index_id = mi.index_id)
+    WHERE 1=1`;
+  const params = [];
+
+  if (category) { query += ' AND mi.category = ?'; params.push(category); }
+  query += ` ORDER BY mi.category = 'market' DESC, mi.index_id`;
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+/**
+ * 指數日K與技術指標（由舊到新）
+ * 指標每日收盤後只計算最新一日，較早的日期在開始累積前為 NULL
+ * @param {string} indexId - 指數代號（TAIEX、TPEX、SEMICONDUCTOR…）
+ * @param {Object} [options]
+ * @param {number} [options.limit=30] - 最近幾筆
+ * @returns {Promise<Object|null>} 查無指數時回傳 null
+ */
+async function getIndexPrices(indexId, { limit = 30 } = {}) {
+  const [indices] = await pool.query('SELECT * FROM market_indices WHERE index_id = ?', [indexId]);
+  if (indices.length === 0) return null;
+
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(ip.trade_date, '%Y-%m-%d') AS trade_date,
+       ip.open_price, ip.high_price, ip.low_price, ip.close_price, ip.change_amount, ip.change_percent,
+       ii.ma5, ii.ma10, ii.ma20, ii.ma60, ii.rsi, ii.macd, ii.macd_signal, ii.macd_histogram,
+       ii.kd_k, ii.kd_d, ii.bollinger_upper, ii.bollinger_middle, ii.bollinger_lower,
+       ii.atr, ii.adx, ii.plus_di, ii.minus_di, ii.williams_r
+     FROM index_prices ip
+     LEFT JOIN index_indicators ii ON ii.index_id = ip.index_id AND ii.trade_date = ip.trade_date
+     WHERE ip.index_id = ?
+     ORDER BY ip.trade_date DESC LIMIT ?`,
+    [indexId, limit]
+  );
+
+  return { ...indices[0], count: rows.length, data: rows.reverse() };
+}
+
+module.exports = {
+  listIndices,
+  getIndexPrices
+};
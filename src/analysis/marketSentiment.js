@@ -0,0 +1,303 @@
+const { pool } = require('../database/connection');
+
+const INVESTOR_TYPES = ['foreign', 'trust', 'dealer'];
+
+const num = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * 序列首尾差距（資料由舊到新）
+ */
+function seriesChange(values) {
+  const valid = values.filter(v => v !== null);
+  if (valid.length < 2) return null;
+  return valid[valid.length - 1] - valid[0];
+}
+
+/**
+ * 依淨部位與區間變化判斷方向
+ */
+function positionTrend(latest, change) {
+  if (latest === null) return null;
+  const side = latest > 0 ? '淨多單' : '淨空單';
+  if (change === null || change === 0) return side;
+  return `${side}${(latest > 0) === (change > 0) ? '增加' : '減少'}`;
+}
+
+/**
+ * 三大法人臺股期貨（大台 + 小台折算）未平倉趨勢
+ * 小台 4 口折算 1 口大台
+ * @param {number} days - 分析天數（預設 20）
+ */
+async function analyzeFuturesPositioning(days = 20) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(trade_date, '%Y-%m-%d') AS trade_date, investor_type,
+       SUM(CASE product_id WHEN 'TX' THEN net_oi ELSE net_oi / 4 END) AS net_oi,
+       SUM(net_oi_value) AS net_oi_value,
+       SUM(CASE product_id WHEN 'TX' THEN net_trade_volume ELSE net_trade_volume / 4 END) AS net_trade_volume
+     FROM futures_institutional
+     WHERE trade_date IN (
+       SELECT trade_date FROM (
+         SELECT DISTINCT trade_date FROM futures_institutional ORDER BY trade_date DESC LIMIT ?
+       ) recent
+     )
+     GROUP BY trade_date, investor_type
+     ORDER BY trade_date`,
+    [days]
+  );
+
+  if (rows.length === 0) return null;
+
+  const dates = [...new Set(rows.map(r => r.trade_date))];
+  const result = { period_days: dates.length, latest_date: dates[dates.length - 1] };
+
+  for (const type of INVESTOR_TYPES) {
+    const series = dates.map(date => rows.find(r => r.trade_date === date && r.investor_type === type));
+    const netOi = series.map(r => (r ? Math.round(num(r.net_oi)) : null));
+    const latest = netOi[netOi.length - 1];
+    const change = seriesChange(netOi);
+
+    result[type] = {
+      net_oi: latest,
+      net_oi_change: change,
+      net_oi_value: series[series.length - 1] ? num(series[series.length - 1].net_oi_value) : null,
+      trend: positionTrend(latest, change),
+      history: dates.map((date, i) => ({ trade_date: date, net_oi: netOi[i] }))
+    };
+  }
+
+  return result;
+}
+
+/**
+ * 三大法人臺指選擇權買賣權未平倉與 Put/Call Ratio
+ * @param {number} days - 分析天數（預設 20）
+ */
+async function analyzeOptionsPositioning(days = 20) {
+  const [pcRows] = await pool.query(
+    `SELECT DATE_FORMAT(trade_date, '%Y-%m-%d') AS trade_date,
+       put_volume, call_volume, volume_ratio, put_oi, call_oi, oi_ratio
+     FROM put_call_ratio
+     ORDER BY trade_date DESC LIMIT ?`,
+    [days]
+  );
+
+  const [[latestOptions]] = await pool.query(
+    `SELECT DATE_FORMAT(MAX(trade_date), '%Y-%m-%d') AS latest FROM options_institutional`
+  );
+
+  if (pcRows.length === 0 && !latestOptions.latest) return null;
+
+  const pcData = pcRows.reverse();
+  const oiRatios = pcData.map(r => num(r.oi_ratio));
+  const validRatios = oiRatios.filter(v => v !== null);
+  const latestRatio = oiRatios.length > 0 ? oiRatios[oiRatios.length - 1] : null;
+  const avgRatio = validRatios.length > 0
+    ? validRatios.reduce((s, v) => s + v, 0) / validRatios.length
+    : null;
+
+  const institutional = {};
+  if (latestOptions.latest) {
+    const [rows] = await pool.query(
+      `SELECT investor_type, call_put, buy_oi, sell_oi, net_oi, net_oi_value
+       FROM options_institutional
+       WHERE trade_date = ? AND product_id = 'TXO'`,
+      [latestOptions.latest]
+    );
+
+    for (const type of INVESTOR_TYPES) {
+      const call = rows.find(r => r.investor_type === type && r.call_put === 'call');
+      const put = rows.find(r => r.investor_type === type && r.call_put === 'put');
+      const callValue = call ? num(call.net_oi_value) : null;
+      const putValue = put ? num(put.net_oi_value) : null;
+
+      institutional[type] = {
+        call_net_oi: call ? num(call.net_oi) : null,
+        put_net_oi: put ? num(put.net_oi) : null,
+        call_net_oi_value: callValue,
+        put_net_oi_value: putValue,
+        // 買權淨買方金額減賣權淨買方金額，正值偏多
+        bias_value: callValue !== null && putValue !== null ? callValue - putValue : null
+      };
+    }
+  }
+
+  return {
+    period_days: pcData.length,
+    latest_date: pcData.length > 0 ? pcData[pcData.length - 1].trade_date : latestOptions.latest,
+    put_call_ratio: {
+      latest_oi_ratio: latestRatio,
+      avg_oi_ratio: avgRatio !== null ? Math.round(avgRatio * 100) / 100 : null,
+      latest_volume_ratio: pcData.length > 0 ? num(pcData[pcData.length - 1].volume_ratio) : null,
+      trend: latestRatio === null || avgRatio === null ? null
+        : latestRatio > avgRatio ? '高於區間平均' : '低於區間平均',
+      history: pcData.map(r => ({
+        trade_date: r.trade_date,
+        oi_ratio: num(r.oi_ratio),
+        volume_ratio: num(r.volume_ratio)
+      }))
+    },
+    institutional_date: latestOptions.latest,
+    institutional
+  };
+}
+
+/**
+ * 臺股期貨大額交易人（所有月份合計）前十大淨部位
+ * @param {number} days - 分析天數（預設 20）
+ */
+async function analyzeLargeTraders(days = 20) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(trade_date, '%Y-%m-%d') AS trade_date, trader_type,
+       top5_long, top5_short, top10_long, top10_short, market_oi
+     FROM large_trader_positions
+     WHERE product_id = 'TX' AND trade_date IN (
+       SELECT trade_date FROM (
+         SELECT DISTINCT trade_date FROM large_trader_positions ORDER BY trade_date DESC LIMIT ?
+       ) recent
+     )
+     ORDER BY trade_date`,
+    [days]
+  );
+
+  if (rows.length === 0) return null;
+
+  const dates = [...new Set(rows.map(r => r.trade_date))];
+  const result = { period_days: dates.length, latest_date: dates[dates.length - 1] };
+
+  for (const type of ['all', 'institution']) {
+    const series = dates.map(date => rows.find(r => r.trade_date === date && r.trader_type === type));
+    const top10Net = series.map(r => (r ? num(r.top10_long) - num(r.top10_short) : null));
+    const last = series[series.length - 1];
+    const latest = top10Net[top10Net.length - 1];
+    const change = seriesChange(top10Net);
+
+    result[type] = {
+      top5_net: last ? num(last.top5_long) - num(last.top5_short) : null,
+      top10_net: latest,
+      top10_net_change: change,
+      market_oi: last ? num(last.market_oi) : null,
+      trend: positionTrend(latest, change)
+    };
+  }
+
+  return result;
+}
+
+/**
+ * 三大法人現貨買賣超金額（全市場，億元）
+ * 以個股買賣超股數 × 當日收盤價估算
+ * @param {number} days - 分析天數（預設 20）
+ */
+async function analyzeSpotFlows(days = 20) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(it.trade_date, '%Y-%m-%d') AS trade_date,
+       SUM(it.foreign_net * dp.close_price) / 1e8 AS foreign_value,
+       SUM(it.trust_net * dp.close_price) / 1e8 AS trust_value,
+       SUM(it.dealer_net * dp.close_price) / 1e8 AS dealer_value,
+       SUM(it.total_net * dp.close_price) / 1e8 AS total_value
+     FROM institutional_trading it
+     JOIN daily_prices dp ON dp.stock_id = it.stock_id AND dp.trade_date = it.trade_date
+     WHERE it.trade_date IN (
+       SELECT trade_date FROM (
+         SELECT DISTINCT trade_date FROM institutional_trading ORDER BY trade_date DESC LIMIT ?
+       ) recent
+     )
+     GROUP BY it.trade_date
+     ORDER BY it.trade_date`,
+    [days]
+  );
+
+  if (rows.length === 0) return null;
+
+  const round = (v) => Math.round(v * 100) / 100;
+  const sum = (key) => round(rows.reduce((s, r) => s + (num(r[key]) || 0), 0));
+  const last = rows[rows.length - 1];
+
+  return {
+    period_days: rows.length,
+    latest_date: last.trade_date,
+    latest: {
+      foreign: round(num(last.foreign_value)),
+      trust: round(num(last.trust_value)),
+      dealer: round(num(last.dealer_value)),
+      total: round(num(last.total_value))
+    },
+    period_total: {
+      foreign: sum('foreign_value'),
+      trust: sum('trust_value'),
+      dealer: sum('dealer_value'),
+      total: sum('total_value')
+    },
+    foreign_buy_days: rows.filter(r => num(r.foreign_value) > 0).length
+  };
+}
+
+/**
+ * 綜合期貨、選擇權、大額交易人與現貨法人動向的市場情緒
+ * 選擇權 P/C Ratio（未平倉）在台灣市場習慣視為賣方（法人）支撐，高於 100% 偏多
+ * @param {number} days - 分析天數（預設 20）
+ */
+async function getMarketSentiment(days = 20) {
+  const futures = await analyzeFuturesPositioning(days);
+  const options = await analyzeOptionsPositioning(days);
+  const largeTraders = await analyzeLargeTraders(days);
+  const spot = await analyzeSpotFlows(days);
+
+  const signals = [];
+  let score = 0;
+  const add = (points, description) => {
+    score += points;
+    signals.push({ points, description });
+  };
+
+  if (futures && futures.foreign.net_oi !== null) {
+    const { net_oi: netOi, net_oi_change: change } = futures.foreign;
+    add(netOi > 0 ? 1 : -1, `外資臺指期${netOi > 0 ? '淨多' : '淨空'} ${Math.abs(netOi)} 口`);
+    if (change !== null && change !== 0) {
+      add(change > 0 ? 1 : -1, `外資期貨淨部位 ${days} 日${change > 0 ? '增加' : '減少'} ${Math.abs(change)} 口`);
+    }
+  }
+
+  if (options) {
+    const ratio = options.put_call_ratio.latest_oi_ratio;
+    if (ratio !== null) {
+      if (ratio >= 100) add(1, `P/C Ratio ${ratio}% 高於 100%`);
+      else add(-1, `P/C Ratio ${ratio}% 低於 100%`);
+    }
+    const foreignBias = options.institutional.foreign && options.institutional.foreign.bias_value;
+    if (foreignBias !== null && foreignBias !== undefined && foreignBias !== 0) {
+      add(foreignBias > 0 ? 1 : -1, `外資選擇權${foreignBias > 0 ? '偏多' : '偏空'}布局`);
+    }
+  }
+
+  if (largeTraders && largeTraders.institution.top10_net !== null) {
+    const net = largeTraders.institution.top10_net;
+    add(net > 0 ? 1 : -1, `前十大特定法人${net > 0 ? '淨多' : '淨空'} ${Math.abs(net)} 口`);
+  }
+
+  if (spot) {
+    const total = spot.period_total.total;
+    add(total > 0 ? 1 : -1, `三大法人現貨 ${spot.period_days} 日${total > 0 ? '買超' : '賣超'} ${Math.abs(total)} 億`);
+  }
+
+  if (signals.length === 0) return null;
+
+  return {
+    period_days: days,
+    score,
+    interpretation: score >= 2 ? '偏多' : score <= -2 ? '偏空' : '中性',
+    signals,
+    futures,
+    options,
+    large_traders: largeTraders,
+    spot
+  };
+}
+
+module.exports = {
+  analyzeFuturesPositioning,
+  analyzeOptionsPositioning,
+  analyzeLargeTraders,
+  analyzeSpotFlows,
+  getMarketSentiment
+};
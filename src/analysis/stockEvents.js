@@ -0,0 +1,54 @@
+const { pool } = require('../database/connection');
+
+/**
+ * 個股重大訊息時間軸（由新到舊）
+ * @param {string} stockId - 股票代號
+ * @param {Object} [options]
+ * @param {number} [options.days=90] - 最近幾個日曆日
+ * @param {string} [options.category] - 只列出指定類別（earnings、dividend、clarification…）
+ */
+async function getStockEvents(stockId, { days = 90, category } = {}) {
+  let query = `
+    SELECT DATE_FORMAT(event_date, '%Y-%m-%d') AS event_date,
+      TIME_FORMAT(event_time, '%H:%i:%s') AS event_time, category, subject
+    FROM stock_events
+    WHERE stock_id = ? AND event_date >= CURDATE() - INTERVAL ? DAY`;
+  const params = [stockId, days];
+
+  if (category) { query += ' AND category = ?'; params.push(category); }
+  query += ' ORDER BY event_date DESC, event_time DESC';
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+/**
+ * 指定日期的重大訊息，依日期分組
+ * @param {string} stockId - 股票代號
+ * @param {Array} dates - YYYY-MM-DD 陣列
+ * @returns {Promise<Map>} YYYY-MM-DD -> 訊息陣列
+ */
+async function getEventsOnDates(stockId, dates) {
+  const result = new Map();
+  if (dates.length === 0) return result;
+
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(event_date, '%Y-%m-%d') AS event_date,
+       TIME_FORMAT(event_time, '%H:%i:%s') AS event_time, category, subject
+     FROM stock_events
+     WHERE stock_id = ? AND event_date IN (?)
+     ORDER BY event_time`,
+    [stockId, dates]
+  );
+
+  for (const row of rows) {
+    if (!result.has(row.event_date)) result.set(row.event_date, []);
+    result.get(row.event_date).push({ event_time: row.event_time, category: row.category, subject: row.subject });
+  }
+  return result;
+}
+
+module.exports = {
+  getStockEvents,
+  getEventsOnDates
+};
@@ -0,0 +1,58 @@
+const { pool } = require('../database/connection');
+
+/**
+ * 指定日期當時掛牌中股票的 SQL 條件（含之後才下市的股票，避免存活者偏差）
+ * listing_date 尚未補齊的股票視為當時已掛牌
+ * @param {string} alias - stocks 資料表別名，不需要時傳空字串
+ * @param {string} date - YYYY-MM-DD
+ */
+function listedOnFilter(alias, date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`日期格式錯誤: ${date}`);
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  return `(${col('listing_date')} IS NULL OR ${col('listing_date')} <= '${date}')
+    AND (${col('is_active')} = TRUE OR ${col('delist_date')} >= '${date}')`;
+}
+
+/**
+ * 個股上下市、暫停交易與名稱／產業別變更紀錄
+ * @param {string} stockId - 股票代號
+ */
+async function getStockHistory(stockId) {
+  const [stocks] = await pool.query(
+    `SELECT stock_id, stock_name, is_active, is_suspended,
+       DATE_FORMAT(listing_date, '%Y-%m-%d') AS listing_date,
+       DATE_FORMAT(delist_date, '%Y-%m-%d') AS delist_date
+     FROM stocks WHERE stock_id = ?`,
+    [stockId]
+  );
+  if (stocks.length === 0) return null;
+
+  const [suspensions] = await pool.query(
+    `SELECT DATE_FORMAT(suspend_date, '%Y-%m-%d') AS suspend_date,
+       DATE_FORMAT(resume_date, '%Y-%m-%d') AS resume_date, reason
+     FROM stock_suspensions WHERE stock_id = ?
+     ORDER BY suspend_date DESC`,
+    [stockId]
+  );
+
+  const [changes] = await pool.query(
+    `SELECT DATE_FORMAT(change_date, '%Y-%m-%d') AS change_date, field, old_value, new_value
+     FROM stock_changes WHERE stock_id = ?
+     ORDER BY change_date DESC, id DESC`,
+    [stockId]
+  );
+
+  const stock = stocks[0];
+  return {
+    ...stock,
+    is_active: Boolean(stock.is_active),
+    is_suspended: Boolean(stock.is_suspended),
+    suspensions,
+    changes
+  };
+}
+
+module.exports = {
+  listedOnFilter,
+  getStockHistory
+};
@@ -1,4 +1,27 @@
 const { pool } = require('../database/connection');
+const { USE_ADJUSTED_PRICES, toDateString, loadAdjustmentEvents, applyAdjustments } = require('./adjustedPrices');
+const { getEventsOnDates } = require('./stockEvents');
+const { EXCLUDE_RESTRICTED, restrictedStockFilter } = require('./tradingRestrictions');
+
+// 量能訊號與評分預設是否扣除當沖成交量（可在個別呼叫時覆寫）
+const EXCLUDE_DAY_TRADE = process.env.EXCLUDE_DAY_TRADE_VOLUME === 'true';
+
+/**
+ * 最近 limit 個交易日的收盤價與成交量（由新到舊）
+ * excludeDayTrade 時成交量扣除當沖成交股數；當日尚無當沖資料則使用原始成交量
+ */
+async function loadVolumeRows(stockId, limit, excludeDayTrade) {
+  const [rows] = await pool.query(
+    `SELECT dp.trade_date, dp.close_price,
+       dp.volume - IF(?, COALESCE(dt.day_trade_volume, 0), 0) AS volume
+     FROM daily_prices dp
+     LEFT JOIN day_trading dt ON dt.stock_id = dp.stock_id AND dt.trade_date = dp.trade_date
+     WHERE dp.stock_id = ?
+     ORDER BY dp.trade_date DESC LIMIT ?`,
+    [excludeDayTrade, stockId, limit]
+  );
+  return rows;
+}
 
 /**
  * 偵測黃金交叉/死亡交叉（MA5 vs MA20）
@@ -82,34 +105,52 @@ async function detectMACDCrossover(stockId) {
   return null;
 }
 
+/**
+ * 成交量是否超過均量 2 倍（日K與盤中訊號共用）
+ */
+function volumeBreakoutSignal(date, volume, avgVolume, label = '成交量') {
+  if (avgVolume > 0 && volume > avgVolume * 2) {
+    const ratio = (volume / avgVolume).toFixed(1);
+    return { signal: 'volume_breakout', date, description: `${label}暴增 (${ratio}x 均量)` };
+  }
+  return null;
+}
+
+/**
+ * 價格相對布林通道上下軌的位置（日K與盤中訊號共用）
+ */
+function bollingerSignal(date, price, upper, lower) {
+  if (price > upper) {
+    return { signal: 'bollinger_breakout_up', date, description: '股價突破布林通道上軌' };
+  }
+  if (price < lower) {
+    return { signal: 'bollinger_breakout_down', date, description: '股價跌破布林通道下軌' };
+  }
+  return null;
+}
+
 /**
  * 量能突破偵測（成交量 > 20日均量 * 2）
+ * 當沖比率高的股票量能多為短線換手，可用 excludeDayTrade 改以非當沖成交量判斷
  */
-async function detectVolumeBreakout(stockId) {
-  const [rows] = await pool.query(
-    `SELECT trade_date, volume FROM daily_prices
-     WHERE stock_id = ?
-     ORDER BY trade_date DESC LIMIT 21`,
-    [stockId]
-  );
+async function detectVolumeBreakout(stockId, { excludeDayTrade = EXCLUDE_DAY_TRADE } = {}) {
+  const rows = await loadVolumeRows(stockId, 21, excludeDayTrade);
 
   if (rows.length < 21) return null;
 
   const todayVolume = parseInt(rows[0].volume);
   const avgVolume = rows.slice(1).reduce((sum, r) => sum + parseInt(r.volume), 0) / 20;
 
-  if (todayVolume > avgVolume * 2) {
-    const ratio = (todayVolume / avgVolume).toFixed(1);
-    return { signal: 'volume_breakout', date: rows[0].trade_date, description: `成交量暴增 (${ratio}x 均量)` };
-  }
-  return null;
+  return volumeBreakoutSignal(rows[0].trade_date, todayVolume, avgVolume,
+    excludeDayTrade ? '非當沖成交量' : '成交量');
 }
 
 /**
  * 布林通道突破偵測
+ * 技術指標以還原股價計算時，收盤價也需還原才能與通道比較
  */
-async function detectBollingerBreakout(stockId) {
-  const [rows] = await pool.query(
+async function detectBollingerBreakout(stockId, { adjusted = USE_ADJUSTED_PRICES } = {}) {
+  let [rows] = await pool.query(
     `SELECT ti.trade_date, dp.close_price, ti.bollinger_upper, ti.bollinger_lower
      FROM technical_indicators ti
      JOIN daily_prices dp ON ti.stock_id = dp.stock_id AND ti.trade_date = dp.trade_date
@@ -120,23 +161,27 @@ async function detectBollingerBreakout(stockId) {
 
   if (rows.length < 1) return null;
 
-  const close = parseFloat(rows[0].close_price);
-  const upper = parseFloat(rows[0].bollinger_upper);
-  const lower = parseFloat(rows[0].bollinger_lower);
-
-  if (close > upper) {
-    return { signal: 'bollinger_breakout_up', date: rows[0].trade_date, description: '股價突破布林通道上軌' };
+  if (adjusted) {
+    rows = applyAdjustments(rows, await loadAdjustmentEvents(stockId));
   }
-  if (close < lower) {
-    return { signal: 'bollinger_breakout_down', date: rows[0].trade_date, description: '股價跌破布林通道下軌' };
-  }
-  return null;
+
+  return bollingerSignal(
+    rows[0].trade_date,
+    parseFloat(rows[0].close_price),
+    parseFloat(rows[0].bollinger_upper),
+    parseFloat(rows[0].bollinger_lower)
+  );
 }
 
 /**
  * 偵測所有交易訊號
+ * 每個訊號附上當日的重大訊息（events），方便判斷量價異動的原因
+ * @param {string} stockId - 股票代號
+ * @param {Object} [options] - { adjusted } 是否以還原股價比較、{ excludeDayTrade } 量能是否扣除當沖、
+ *   { withEvents } 是否附上當日重大訊息（預設 true）
  */
-async function detectAllSignals(stockId) {
+async function detectAllSignals(stockId, options = {}) {
+  const { withEvents = true } = options;
   const signals = [];
   const detectors = [
     detectMACrossover,
@@ -147,29 +192,66 @@ async function detectAllSignals(stockId) {
   ];
 
   for (const detector of detectors) {
-    const result = await detector(stockId);
+    const result = await detector(stockId, options);
     if (result) signals.push(result);
   }
 
+  if (withEvents && signals.length > 0) {
+    const dates = [...new Set(signals.map(s => toDateString(s.date)))];
+    const events = await getEventsOnDates(stockId, dates);
+    for (const s of signals) {
+      s.events = events.get(toDateString(s.date)) || [];
+    }
+  }
+
   return signals;
 }
 
+/**
+ * 掃描全部股票的交易訊號並存入 stock_signals
+ * 只掃描最新交易日有技術指標的股票
+ * @returns {Promise<number>} 寫入的訊號數
+ */
+async function scanAllSignals() {
+  const [stocks] = await pool.query(
+    `SELECT stock_id FROM technical_indicators
+     WHERE trade_date = (SELECT MAX(trade_date) FROM technical_indicators)`
+  );
+
+  console.log(`開始掃描 ${stocks.length} 檔股票的交易訊號...`);
+  let count = 0;
+
+  for (const { stock_id: stockId } of stocks) {
+    const signals = await detectAllSignals(stockId, { withEvents: false });
+    for (const s of signals) {
+      await pool.query(
+        `INSERT INTO stock_signals (stock_id, signal_date, signal_type, description)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE description = VALUES(description)`,
+        [stockId, s.date, s.signal, s.description]
+      );
+      count++;
+    }
+  }
+
+  console.log(`✓ 共偵測到 ${count} 個訊號`);
+  return count;
+}
+
 /**
  * 綜合評分系統 (0-100)
  * 技術面各指標加權計算
+ * @param {string} stockId - 股票代號
+ * @param {Object} [options] - { excludeDayTrade } 量能評分是否扣除當沖成交量
  */
-async function scoreStock(stockId) {
+async function scoreStock(stockId, { excludeDayTrade = EXCLUDE_DAY_TRADE } = {}) {
   const [tiRows] = await pool.query(
     `SELECT * FROM technical_indicators
      WHERE stock_id = ? ORDER BY trade_date DESC LIMIT 1`,
     [stockId]
   );
 
-  const [dpRows] = await pool.query(
-    `SELECT close_price, volume FROM daily_prices
-     WHERE stock_id = ? ORDER BY trade_date DESC LIMIT 21`,
-    [stockId]
-  );
+  const dpRows = await loadVolumeRows(stockId, 21, excludeDayTrade);
 
   if (tiRows.length === 0 || dpRows.length === 0) return null;
 
@@ -261,6 +343,7 @@ async function scoreStock(stockId) {
 
 /**
  * 依策略篩選股票
+ * options.exclude_restricted 排除處置股與變更交易方法股票（預設依 EXCLUDE_RESTRICTED_STOCKS 設定）
  */
 async function screenByStrategy(strategy, options = {}) {
   const connection = await pool.getConnection();
@@ -268,6 +351,16 @@ async function screenByStrategy(strategy, options = {}) {
     let query = '';
     const params = [];
 
+    // 量能策略扣除當沖成交量時，各子查詢的成交量改為 volume - 當沖成交股數
+    const excludeDayTrade = options.exclude_day_trade ?? EXCLUDE_DAY_TRADE;
+    const volumeOf = (dp, dt) => (excludeDayTrade ? `(${dp}.volume - COALESCE(${dt}.day_trade_volume, 0))` : `${dp}.volume`);
+    const joinDayTrade = (dp, dt) => (excludeDayTrade
+      ? `LEFT JOIN day_trading ${dt} ON ${dt}.stock_id = ${dp}.stock_id AND ${dt}.trade_date = ${dp}.trade_date`
+      : '');
+
+    const excludeRestricted = options.exclude_restricted ?? EXCLUDE_RESTRICTED;
+    const restricted = excludeRestricted ? `AND ${restrictedStockFilter('s.stock_id')}` : '';
+
     switch (strategy) {
       case 'golden_cross':
         // 最近 MA5 上穿 MA20
@@ -281,6 +374,7 @@ async function screenByStrategy(strategy, options = {}) {
             AND t2.trade_date = (SELECT MAX(trade_date) FROM technical_indicators WHERE stock_id = t1.stock_id AND trade_date < t1.trade_date)
             AND t1.ma5 > t1.ma20
             AND t2.ma5 <= t2.ma20
+            ${restricted}
           ORDER BY dp.close_price DESC LIMIT 50`;
         break;
 
@@ -292,6 +386,7 @@ async function screenByStrategy(strategy, options = {}) {
           JOIN daily_prices dp ON ti.stock_id = dp.stock_id AND ti.trade_date = dp.trade_date
           WHERE ti.trade_date = (SELECT MAX(trade_date) FROM technical_indicators WHERE stock_id = ti.stock_id)
             AND ti.rsi < ?
+            ${restricted}
           ORDER BY ti.rsi ASC LIMIT 50`;
         params.push(options.rsi_threshold || 30);
         break;
@@ -307,24 +402,33 @@ async function screenByStrategy(strategy, options = {}) {
             AND t2.trade_date = (SELECT MAX(trade_date) FROM technical_indicators WHERE stock_id = t1.stock_id AND trade_date < t1.trade_date)
             AND t1.macd_histogram > 0
             AND t2.macd_histogram <= 0
+            ${restricted}
           ORDER BY t1.macd_histogram DESC LIMIT 50`;
         break;
 
       case 'volume_breakout':
+        // ranked_volume 為排序所用的成交量（exclude_day_trade 時扣除當沖量），volume_ratio 為其相對均量倍數
         query = `
+          SELECT v.*, ROUND(v.ranked_volume / NULLIF(v.avg_volume, 0), 2) as volume_ratio FROM (
           SELECT dp1.stock_id, s.stock_name, dp1.close_price, dp1.volume, dp1.trade_date,
-            (SELECT AVG(volume) FROM daily_prices dp2
+            dt1.day_trade_ratio,
+            ${volumeOf('dp1', 'dt1')} as ranked_volume,
+            (SELECT AVG(${volumeOf('dp2', 'dt2')}) FROM daily_prices dp2 ${joinDayTrade('dp2', 'dt2')}
              WHERE dp2.stock_id = dp1.stock_id AND dp2.trade_date < dp1.trade_date
              ORDER BY dp2.trade_date DESC LIMIT 20) as avg_volume
           FROM daily_prices dp1
           JOIN stocks s ON dp1.stock_id = s.stock_id
+          LEFT JOIN day_trading dt1 ON dt1.stock_id = dp1.stock_id AND dt1.trade_date = dp1.trade_date
           WHERE dp1.trade_date = (SELECT MAX(trade_date) FROM daily_prices WHERE stock_id = dp1.stock_id)
-            AND dp1.volume > (
-              SELECT AVG(volume) * 2 FROM daily_prices dp3
+            AND ${volumeOf('dp1', 'dt1')} > (
+              SELECT AVG(${volumeOf('dp3', 'dt3')}) * 2 FROM daily_prices dp3 ${joinDayTrade('dp3', 'dt3')}
               WHERE dp3.stock_id = dp1.stock_id AND dp3.trade_date < dp1.trade_date
               ORDER BY dp3.trade_date DESC LIMIT 20
             )
-          ORDER BY dp1.volume DESC LIMIT 50`;
+            ${restricted}
+          ORDER BY ranked_volume DESC LIMIT 50
+          ) v
+          ORDER BY v.ranked_volume DESC`;
         break;
 
       case 'bollinger_squeeze':
@@ -336,6 +440,7 @@ async function screenByStrategy(strategy, options = {}) {
           JOIN daily_prices dp ON ti.stock_id = dp.stock_id AND ti.trade_date = dp.trade_date
           WHERE ti.trade_date = (SELECT MAX(trade_date) FROM technical_indicators WHERE stock_id = ti.stock_id)
             AND ti.bollinger_upper IS NOT NULL
+            ${restricted}
           ORDER BY bandwidth ASC LIMIT 50`;
         break;
 
@@ -352,12 +457,16 @@ async function screenByStrategy(strategy, options = {}) {
 }
 
 module.exports = {
+  EXCLUDE_DAY_TRADE,
+  volumeBreakoutSignal,
+  bollingerSignal,
   detectMACrossover,
   detectRSIOversold,
   detectMACDCrossover,
   detectVolumeBreakout,
   detectBollingerBreakout,
   detectAllSignals,
+  scanAllSignals,
   scoreStock,
   screenByStrategy
 };
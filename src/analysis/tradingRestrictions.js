@@ -0,0 +1,70 @@
+const { pool } = require('../database/connection');
+const { taipeiToday } = require('../utils/tradingCalendar');
+
+// 篩選股票預設是否排除處置股與變更交易方法（全額交割）股票（可在個別呼叫時覆寫）
+const EXCLUDE_RESTRICTED = process.env.EXCLUDE_RESTRICTED_STOCKS === 'true';
+
+// 無法正常交易的限制類型；注意股票只是提醒，不影響交易方式
+const RESTRICTIVE_TYPES = ['disposition', 'altered_trading'];
+
+/**
+ * 排除受限股票的 SQL 條件
+ * 已公布但尚未生效（次一交易日起處置）的股票也排除，篩選結果通常用於下一個交易日
+ * @param {string} column - 股票代號欄位，例如 s.stock_id
+ * @param {string} [date] - YYYY-MM-DD，預設為台北時間今日
+ */
+function restrictedStockFilter(column, date = taipeiToday()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`日期格式錯誤: ${date}`);
+  return `${column} NOT IN (
+    SELECT stock_id FROM trading_restrictions
+    WHERE restriction_type IN (${RESTRICTIVE_TYPES.map(t => `'${t}'`).join(', ')})
+      AND (end_date IS NULL OR end_date >= '${date}')
+  )`;
+}
+
+/**
+ * 個股目前的注意／處置／變更交易方法狀態
+ * @param {string} stockId - 股票代號
+ * @param {string} [date] - YYYY-MM-DD，預設為台北時間今日
+ * @returns {Promise<Object>} restricted 為 true 時表示無法以一般方式交易（含已公布、即將生效的處置）
+ */
+async function getTradingStatus(stockId, date = taipeiToday()) {
+  const [rows] = await pool.query(
+    `SELECT restriction_type,
+       DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+       DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+       DATE_FORMAT(announce_date, '%Y-%m-%d') AS announce_date,
+       reason, measure
+     FROM trading_restrictions
+     WHERE stock_id = ? AND (end_date IS NULL OR end_date >= ?)
+     ORDER BY start_date`,
+    [stockId, date]
+  );
+
+  // 注意股票只看最近一次公布（公布日即為資料日期，不會有未來的 end_date）
+  const [attention] = await pool.query(
+    `SELECT DATE_FORMAT(announce_date, '%Y-%m-%d') AS announce_date, reason
+     FROM trading_restrictions
+     WHERE stock_id = ? AND restriction_type = 'attention' AND announce_date <= ?
+     ORDER BY announce_date DESC LIMIT 1`,
+    [stockId, date]
+  );
+
+  const disposition = rows.filter(r => r.restriction_type === 'disposition');
+  const altered = rows.filter(r => r.restriction_type === 'altered_trading');
+  const active = (r) => r.start_date <= date;
+
+  return {
+    as_of: date,
+    restricted: disposition.length > 0 || altered.length > 0,
+    disposition: disposition.map(r => ({ ...r, active: active(r) })),
+    altered_trading: altered.map(r => ({ ...r, active: active(r) })),
+    latest_attention: attention[0] || null
+  };
+}
+
+module.exports = {
+  EXCLUDE_RESTRICTED,
+  restrictedStockFilter,
+  getTradingStatus
+};
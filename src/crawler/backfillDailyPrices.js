@@ -0,0 +1,213 @@
+const { pool } = require('../database/connection');
+const { MARKET_TPEX, getMarketTypes } = require('./markets');
+const { taipeiToday, addDays, hasScheduleForYear, tradingDaysBetween } = require('../utils/tradingCalendar');
+const { fetchTwseDailyPrice, fetchTpexDailyPrice, upsertDailyPrices } = require('./fetchDailyPrices');
+
+/**
+ * 展開年月區間
+ * @param {string} from - YYYY-MM
+ * @param {string} to - YYYY-MM
+ * @returns {Array} ['2019-01', '2019-02', ...]
+ */
+function expandMonths(from, to) {
+  const periods = [];
+  let [year, month] = from.split('-').map(Number);
+  const [endYear, endMonth] = to.split('-').map(Number);
+
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    periods.push(`${year}-${String(month).padStart(2, '0')}`);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return periods;
+}
+
+/**
+ * 解析股票參數：'all' 或逗號分隔的代號
+ * 'all' 包含回補區間內曾經掛牌、之後才下市的股票，避免歷史資料只剩存活的股票
+ * @param {string} stocks - 'all' 或逗號分隔的代號
+ * @param {string} from - 起始年月 YYYY-MM
+ * @param {string} to - 結束年月 YYYY-MM
+ */
+async function resolveStockIds(stocks, from, to) {
+  if (!stocks || stocks === 'all') {
+    const [rows] = await pool.query(
+      `SELECT stock_id FROM stocks
+       WHERE (is_active = TRUE OR delist_date >= ?)
+         AND (listing_date IS NULL OR listing_date < ? + INTERVAL 1 MONTH)
+       ORDER BY stock_id`,
+      [`${from}-01`, `${to}-01`]
+    );
+    return rows.map(r => r.stock_id);
+  }
+  return stocks.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * 各月份應有交易日數
+ * 已載入休市表的年度以交易日曆計算，其餘以全市場已入庫的交易日為準
+ */
+async function loadExpectedDays(from, to, periods) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(trade_date, '%Y-%m') AS period, COUNT(DISTINCT trade_date) AS days
+     FROM daily_prices
+     WHERE trade_date >= ? AND trade_date < ? + INTERVAL 1 MONTH
+     GROUP BY period`,
+    [`${from}-01`, `${to}-01`]
+  );
+  const expected = new Map(rows.map(r => [r.period, parseInt(r.days)]));
+
+  for (const period of periods) {
+    if (!await hasScheduleForYear(period.slice(0, 4))) continue;
+    const nextMonthStart = addDays(`${period}-28`, 4).slice(0, 8) + '01';
+    const days = await tradingDaysBetween(`${period}-01`, addDays(nextMonthStart, -1));
+    expected.set(period, days.length);
+  }
+  return expected;
+}
+
+/**
+ * 單一股票各月份已入庫筆數
+ */
+async function loadExistingCounts(stockId, from, to) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(trade_date, '%Y-%m') AS period, COUNT(*) AS cnt
+     FROM daily_prices
+     WHERE stock_id = ? AND trade_date >= ? AND trade_date < ? + INTERVAL 1 MONTH
+     GROUP BY period`,
+    [stockId, `${from}-01`, `${to}-01`]
+  );
+  return new Map(rows.map(r => [r.period, parseInt(r.cnt)]));
+}
+
+async function saveProgress(stockId, period, status, rowCount, expectedCount, errorMessage = null) {
+  await pool.query(
+    `INSERT INTO price_backfill_progress
+    (stock_id, period, status, row_count, expected_count, error_message)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+    status = VALUES(status), row_count = VALUES(row_count),
+    expected_count = VALUES(expected_count), error_message = VALUES(error_message)`,
+    [stockId, period, status, rowCount, expectedCount,
+     errorMessage ? errorMessage.substring(0, 255) : null]
+  );
+}
+
+/**
+ * 歷史股價回補（可中斷續跑）
+ *
+ * 逐檔、逐月呼叫個股日成交資訊，進度記錄在 price_backfill_progress：
+ * - done / empty 的月份會直接略過（empty 表示來源確認無資料，例如尚未上市）
+ * - daily_prices 筆數已達參考交易日數的月份視為完成，不重新抓取
+ * - failed / partial 的月份下次執行時會重抓
+ *
+ * @param {Object} options
+ * @param {string} options.from - 起始年月 YYYY-MM
+ * @param {string} options.to - 結束年月 YYYY-MM
+ * @param {string} [options.stocks='all'] - 'all' 或逗號分隔的股票代號
+ * @returns {Object} 回補摘要（含無法補齊的缺口清單）
+ */
+async function backfillDailyPrices({ from, to, stocks = 'all' }) {
+  if (!/^\d{4}-\d{2}$/.test(from) || !/^\d{4}-\d{2}$/.test(to)) {
+    throw new Error('--from / --to 需為 YYYY-MM 格式');
+  }
+
+  const currentPeriod = taipeiToday().slice(0, 7);
+  const periods = expandMonths(from, to).filter(p => p <= currentPeriod);
+  const stockIds = await resolveStockIds(stocks, from, to);
+  const marketTypes = await getMarketTypes(stockIds);
+  const expectedDays = await loadExpectedDays(from, to, periods);
+
+  console.log(`開始回補 ${stockIds.length} 檔股票，${periods.length} 個月份 (${from} ~ ${to})`);
+
+  const summary = { fetched: 0, skipped: 0, rows: 0, gaps: [] };
+
+  for (let i = 0; i < stockIds.length; i++) {
+    const stockId = stockIds[i];
+    const fetchMonth = marketTypes.get(stockId) === MARKET_TPEX ? fetchTpexDailyPrice : fetchTwseDailyPrice;
+
+    const [progressRows] = await pool.query(
+      'SELECT period, status FROM price_backfill_progress WHERE stock_id = ?',
+      [stockId]
+    );
+    const progress = new Map(progressRows.map(r => [r.period, r.status]));
+    const existing = await loadExistingCounts(stockId, from, to);
+
+    for (const period of periods) {
+      const status = progress.get(period);
+      const expected = expectedDays.get(period) || null;
+      const have = existing.get(period) || 0;
+
+      // 當月尚未結束，即使先前無資料也要重新抓取
+      if (status === 'done' || (status === 'empty' && period < currentPeriod)) {
+        summary.skipped++;
+        continue;
+      }
+      if (period < currentPeriod && expected && have >= expected) {
+        await saveProgress(stockId, period, 'done', have, expected);
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const records = await fetchMonth(stockId, `${period.replace('-', '')}01`);
+        summary.fetched++;
+
+        if (!records || records.length === 0) {
+          // 月初或當日股價尚未公布時當月為空，記為 partial 以便下次重抓
+          if (period >= currentPeriod) {
+            await saveProgress(stockId, period, 'partial', 0, expected);
+            continue;
+          }
+          await saveProgress(stockId, period, 'empty', 0, expected);
+          summary.gaps.push({ stock_id: stockId, period, reason: '來源無資料', missing: expected });
+          continue;
+        }
+
+        const connection = await pool.getConnection();
+        try {
+          await upsertDailyPrices(connection, records);
+        } finally {
+          connection.release();
+        }
+        summary.rows += records.length;
+
+        const finalStatus = period < currentPeriod ? 'done' : 'partial';
+        await saveProgress(stockId, period, finalStatus, records.length, expected);
+
+        if (period < currentPeriod && expected && records.length < expected) {
+          summary.gaps.push({
+            stock_id: stockId,
+            period,
+            reason: '交易日數不足（可能停牌）',
+            missing: expected - records.length
+          });
+        }
+
+      } catch (error) {
+        await saveProgress(stockId, period, 'failed', 0, expected, error.message);
+        summary.gaps.push({ stock_id: stockId, period, reason: `抓取失敗: ${error.message}`, missing: expected });
+      }
+    }
+
+    console.log(`✓ [${i + 1}/${stockIds.length}] ${stockId} 回補完成`);
+  }
+
+  console.log(`\n回補完成！請求 ${summary.fetched} 次，略過 ${summary.skipped} 個月份，寫入 ${summary.rows} 筆`);
+  if (summary.gaps.length > 0) {
+    console.log(`無法補齊的缺口 ${summary.gaps.length} 個：`);
+    for (const gap of summary.gaps) {
+      console.log(`  ${gap.stock_id} ${gap.period} - ${gap.reason}${gap.missing ? `（缺 ${gap.missing} 日）` : ''}`);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  expandMonths,
+  backfillDailyPrices
+};
@@ -0,0 +1,250 @@
+const { pool } = require('../database/connection');
+const { fetchAndSaveMarketDailyPrices } = require('./fetchDailyPrices');
+const { fetchAndSaveInstitutionalTrading } = require('./fetchInstitutionalTrading');
+const { fetchAndSaveMarginTrading } = require('./fetchMarginTrading');
+const { fetchAndSaveForeignHoldings } = require('./fetchForeignHoldings');
+const { fetchAndSaveSblTrading } = require('./fetchSblTrading');
+const { fetchAndSaveDayTrading } = require('./fetchDayTrading');
+const { fetchAndSaveValuations } = require('./fetchValuations');
+const { fetchAndSaveIndexPrices } = require('./fetchIndices');
+const { fetchAndSaveTaifexPositions } = require('./fetchTaifexPositions');
+const { fetchAndSaveMaterialEvents } = require('./fetchMaterialEvents');
+const { fetchAndSaveTradingRestrictions } = require('./fetchTradingRestrictions');
+const { fetchAndSaveMonthlyRevenue } = require('./fetchMonthlyRevenue');
+const { fetchAndSaveFinancialStatements } = require('./fetchFinancialStatements');
+const { fetchAndSaveBalanceSheets } = require('./fetchBalanceSheets');
+const { fetchAndSaveCashFlows } = require('./fetchCashFlows');
+const { fetchAndSaveDividends } = require('./fetchDividends');
+const { fetchAndSaveCapitalChanges } = require('./fetchCapitalChanges');
+const { DAILY_DATASETS, getFreshnessSummary } = require('./crawlLedger');
+const {
+  taipeiToday, toCompactDate, addDays, lastTradingDay, tradingDaysBetween, latestReportedQuarter
+} = require('../utils/tradingCalendar');
+
+// 依 crawl_runs.target 重新抓取的方式
+const REFETCH_HANDLERS = {
+  daily_prices: (target) => fetchAndSaveMarketDailyPrices(target),
+  institutional: (target) => fetchAndSaveInstitutionalTrading(target),
+  margin: (target) => fetchAndSaveMarginTrading(target),
+  foreign_holdings: (target) => fetchAndSaveForeignHoldings(target),
+  sbl: (target) => fetchAndSaveSblTrading(target),
+  day_trading: (target) => fetchAndSaveDayTrading(target),
+  valuations: (target) => fetchAndSaveValuations(target),
+  index_prices: (target) => fetchAndSaveIndexPrices(target),
+  taifex: (target) => fetchAndSaveTaifexPositions(target),
+  material_events: (target) => fetchAndSaveMaterialEvents(target),
+  trading_restrictions: (target) => fetchAndSaveTradingRestrictions(target),
+  monthly_revenue: (target) => {
+    const [year, month] = target.split('-').map(Number);
+    return fetchAndSaveMonthlyRevenue(year, month);
+  },
+  financial_statements: (target) => {
+    const [year, quarter] = target.split('Q').map(Number);
+    return fetchAndSaveFinancialStatements(year, quarter);
+  },
+  balance_sheets: (target) => {
+    const [year, quarter] = target.split('Q').map(Number);
+    return fetchAndSaveBalanceSheets(year, quarter);
+  },
+  // 依年季重新抓取該季現金流量表；逐家查詢，已有該季累計值的公司會略過（未加 force）
+  cash_flows: (target) => {
+    const [year, quarter] = target.split('Q').map(Number);
+    return fetchAndSaveCashFlows(year, quarter);
+  },
+  dividends: (target) => fetchAndSaveDividends(parseInt(target)),
+  capital_changes: (target) => fetchAndSaveCapitalChanges(parseInt(target))
+};
+
+/**
+ * 取得各目標最近一次執行狀態
+ * @returns {Promise<Map>} target -> status
+ */
+async function loadLatestStatus(dataset, fromTarget, toTarget) {
+  const [rows] = await pool.query(
+    `SELECT cr.target, cr.status
+     FROM crawl_runs cr
+     JOIN (
+       SELECT target, MAX(id) AS id FROM crawl_runs
+       WHERE dataset = ? AND target BETWEEN ? AND ?
+       GROUP BY target
+     ) latest ON cr.id = latest.id`,
+    [dataset, fromTarget, toTarget]
+  );
+  return new Map(rows.map(r => [r.target, r.status]));
+}
+
+/**
+ * 最近已公布的月營收月份（次月 10 日前公布）
+ */
+function latestRevenuePeriod(today = taipeiToday()) {
+  let year = parseInt(today.slice(0, 4));
+  let month = parseInt(today.slice(5, 7)) - (parseInt(today.slice(8, 10)) > 10 ? 1 : 2);
+  while (month <= 0) {
+    month += 12;
+    year -= 1;
+  }
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * 比對執行紀錄與交易日曆，找出缺漏或失敗的抓取單位
+ * @param {Object} [options]
+ * @param {string} [options.from] - YYYY-MM-DD，預設 30 天前
+ * @param {string} [options.to] - YYYY-MM-DD，預設為各資料集最近交易日
+ * @returns {Promise<Array>} [{ dataset, target, reason }]
+ */
+async function detectGaps({ from, to } = {}) {
+  const start = from || addDays(taipeiToday(), -30);
+  const gaps = [];
+
+  // 每日資料：每個交易日都應有一次成功紀錄，交易日回傳 0 筆也視為缺漏
+  for (const [dataset, cutoffKey] of Object.entries(DAILY_DATASETS)) {
+    const end = to || await lastTradingDay({ dataset: cutoffKey });
+    const targets = (await tradingDaysBetween(start, end)).map(toCompactDate);
+    if (targets.length === 0) continue;
+
+    const latest = await loadLatestStatus(dataset, targets[0], targets[targets.length - 1]);
+    for (const target of targets) {
+      const status = latest.get(target);
+      if (!status) gaps.push({ dataset, target, reason: 'missing' });
+      else if (status !== 'success') gaps.push({ dataset, target, reason: status });
+    }
+  }
+
+  // 月營收
+  const endRevenue = latestRevenuePeriod();
+  const revenueTargets = [];
+  for (let period = start.slice(0, 7); period <= endRevenue;) {
+    revenueTargets.push(period);
+    period = addDays(`${period}-28`, 4).slice(0, 7);
+  }
+  if (revenueTargets.length > 0) {
+    const latest = await loadLatestStatus('monthly_revenue', revenueTargets[0], endRevenue);
+    for (const target of revenueTargets) {
+      const status = latest.get(target);
+      if (status !== 'success') gaps.push({ dataset: 'monthly_revenue', target, reason: status || 'missing' });
+    }
+  }
+
+  // 財報：只檢查最近已過申報期限的季度
+  const { year, quarter } = latestReportedQuarter();
+  const financialTarget = `${year}Q${quarter}`;
+  for (const dataset of ['financial_statements', 'balance_sheets', 'cash_flows']) {
+    const status = (await loadLatestStatus(dataset, financialTarget, financialTarget)).get(financialTarget);
+    if (status !== 'success') {
+      gaps.push({ dataset, target: financialTarget, reason: status || 'missing' });
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * 將缺漏單位加入待重抓佇列
+ */
+async function queueGaps(gaps) {
+  for (const gap of gaps) {
+    await pool.query(
+      `INSERT INTO crawl_queue (dataset, target, reason, status, attempts)
+       VALUES (?, ?, ?, 'pending', 0)
+       ON DUPLICATE KEY UPDATE
+       reason = VALUES(reason),
+       attempts = IF(status = 'pending', attempts, 0),
+       status = 'pending'`,
+      [gap.dataset, gap.target, gap.reason]
+    );
+  }
+  return gaps.length;
+}
+
+/**
+ * 處理待重抓佇列
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - 本次最多處理幾筆
+ * @param {number} [options.maxAttempts=3] - 超過次數標記為 failed
+ */
+async function processCrawlQueue({ limit = 50, maxAttempts = 3 } = {}) {
+  const [items] = await pool.query(
+    `SELECT id, dataset, target, attempts FROM crawl_queue
+     WHERE status = 'pending' ORDER BY dataset, target LIMIT ?`,
+    [limit]
+  );
+
+  const summary = { done: 0, pending: 0, failed: 0 };
+
+  for (const item of items) {
+    const handler = REFETCH_HANDLERS[item.dataset];
+    const attempts = item.attempts + 1;
+    let status;
+    let lastError = null;
+
+    if (!handler) {
+      status = 'failed';
+      lastError = `不支援的資料集: ${item.dataset}`;
+    } else {
+      try {
+        const count = await handler(item.target);
+        if (count > 0) {
+          status = 'done';
+        } else {
+          status = attempts >= maxAttempts ? 'failed' : 'pending';
+          lastError = '來源仍無資料';
+        }
+      } catch (error) {
+        status = attempts >= maxAttempts ? 'failed' : 'pending';
+        lastError = error.message;
+      }
+    }
+
+    await pool.query(
+      `UPDATE crawl_queue SET status = ?, attempts = ?, last_error = ? WHERE id = ?`,
+      [status, attempts, lastError ? lastError.substring(0, 500) : null, item.id]
+    );
+    summary[status]++;
+    console.log(`${status === 'done' ? '✓' : '✗'} ${item.dataset} ${item.target} - ${status}${lastError ? ` (${lastError})` : ''}`);
+  }
+
+  console.log(`\n重抓完成！成功: ${summary.done}, 待重試: ${summary.pending}, 放棄: ${summary.failed}`);
+  return summary;
+}
+
+// 用法：
+//   node crawlGaps.js detect [--from 2024-01-01] [--to 2024-03-31]   偵測缺漏並加入佇列
+//   node crawlGaps.js refetch [--limit 50]                           處理待重抓佇列
+//   node crawlGaps.js status                                          顯示各資料集新鮮度
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getFlag = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  const commands = {
+    detect: async () => {
+      const gaps = await detectGaps({ from: getFlag('from'), to: getFlag('to') });
+      for (const gap of gaps) console.log(`  ${gap.dataset} ${gap.target} - ${gap.reason}`);
+      await queueGaps(gaps);
+      console.log(`✓ 發現 ${gaps.length} 個缺漏，已加入待重抓佇列`);
+    },
+    refetch: () => processCrawlQueue({ limit: parseInt(getFlag('limit')) || 50 }),
+    status: async () => {
+      console.table(await getFreshnessSummary());
+    }
+  };
+
+  const fn = commands[args[0] || 'status'];
+  if (!fn) {
+    console.error(`未知指令: ${args[0]}，可用: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  detectGaps,
+  queueGaps,
+  processCrawlQueue
+};
@@ -0,0 +1,137 @@
+const { pool } = require('../database/connection');
+const { toCompactDate, addDays, lastTradingDay, tradingDaysBetween } = require('../utils/tradingCalendar');
+
+// 每日資料集與其對應的公布時間設定（見 tradingCalendar.PUBLISH_CUTOFF）
+const DAILY_DATASETS = {
+  daily_prices: 'prices',
+  index_prices: 'index_prices',
+  institutional: 'institutional',
+  foreign_holdings: 'foreign_holdings',
+  margin: 'margin',
+  sbl: 'sbl',
+  day_trading: 'day_trading',
+  valuations: 'valuations',
+  taifex: 'taifex',
+  material_events: 'material_events',
+  trading_restrictions: 'trading_restrictions'
+};
+
+/**
+ * 寫入一筆爬蟲執行紀錄
+ * 紀錄失敗只印出警告，不影響資料抓取本身（例如尚未執行 migration）
+ */
+async function saveCrawlRun({ dataset, target, status, rowCount, durationMs, errorMessage }) {
+  try {
+    await pool.query(
+      `INSERT INTO crawl_runs (dataset, target, status, row_count, duration_ms, error_message)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [dataset, String(target), status, rowCount, durationMs,
+       errorMessage ? errorMessage.substring(0, 500) : null]
+    );
+  } catch (error) {
+    console.error('寫入爬蟲執行紀錄失敗:', error.message);
+  }
+}
+
+/**
+ * 執行一個抓取單位並記錄結果
+ * fn 回傳寫入筆數；0 筆記為 empty，拋出錯誤記為 failed 並重新拋出
+ * @param {string} dataset - 資料集名稱
+ * @param {string|number} target - 目標日期或期間
+ * @param {Function} fn - async () => rowCount
+ */
+async function recordCrawlRun(dataset, target, fn) {
+  const startedAt = Date.now();
+
+  try {
+    const rowCount = await fn();
+    await saveCrawlRun({
+      dataset,
+      target,
+      status: rowCount > 0 ? 'success' : 'empty',
+      rowCount: rowCount || 0,
+      durationMs: Date.now() - startedAt
+    });
+    return rowCount;
+
+  } catch (error) {
+    await recordCrawlFailure(dataset, target, error, startedAt);
+    throw error;
+  }
+}
+
+/**
+ * 記錄一次失敗的抓取
+ * 供目標須等抓取完成才能決定的資料集使用（例如以來源回傳的資料日期為目標），抓取失敗時以預定目標記錄
+ * @param {string} dataset - 資料集名稱
+ * @param {string|number} target - 目標日期或期間
+ * @param {Error} error - 失敗原因
+ * @param {number} startedAt - 開始時間（Date.now()）
+ */
+async function recordCrawlFailure(dataset, target, error, startedAt) {
+  await saveCrawlRun({
+    dataset,
+    target,
+    status: 'failed',
+    rowCount: 0,
+    durationMs: Date.now() - startedAt,
+    errorMessage: error.message
+  });
+}
+
+/**
+ * 各資料集新鮮度摘要
+ */
+async function getFreshnessSummary() {
+  const [rows] = await pool.query(
+    `SELECT dataset,
+       MAX(CASE WHEN status = 'success' THEN target END) AS latest_target,
+       MAX(started_at) AS last_run_at,
+       SUM(status = 'failed' AND started_at >= NOW() - INTERVAL 7 DAY) AS failures_7d
+     FROM crawl_runs
+     GROUP BY dataset
+     ORDER BY dataset`
+  );
+
+  const [queueRows] = await pool.query(
+    `SELECT dataset, COUNT(*) AS pending FROM crawl_queue WHERE status = 'pending' GROUP BY dataset`
+  );
+  const pending = new Map(queueRows.map(r => [r.dataset, parseInt(r.pending)]));
+
+  const summary = [];
+  for (const row of rows) {
+    const item = {
+      dataset: row.dataset,
+      latest_target: row.latest_target,
+      last_run_at: row.last_run_at,
+      failures_7d: parseInt(row.failures_7d) || 0,
+      pending_refetch: pending.get(row.dataset) || 0,
+      expected_target: null,
+      lag_trading_days: null
+    };
+
+    // 每日資料集：計算落後幾個交易日
+    if (DAILY_DATASETS[row.dataset]) {
+      const expected = await lastTradingDay({ dataset: DAILY_DATASETS[row.dataset] });
+      item.expected_target = toCompactDate(expected);
+      if (row.latest_target) {
+        const latest = `${row.latest_target.slice(0, 4)}-${row.latest_target.slice(4, 6)}-${row.latest_target.slice(6, 8)}`;
+        item.lag_trading_days = latest >= expected
+          ? 0
+          : (await tradingDaysBetween(addDays(latest, 1), expected)).length;
+      }
+    }
+
+    item.status = item.lag_trading_days > 0 || item.pending_refetch > 0 ? 'stale' : 'fresh';
+    summary.push(item);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DAILY_DATASETS,
+  recordCrawlRun,
+  recordCrawlFailure,
+  getFreshnessSummary
+};
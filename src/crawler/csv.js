@@ -0,0 +1,44 @@
+// 欄位可能以雙引號包住含千分位逗號的數字
+function splitCSVLine(line) {
+  const cols = [];
+  let current = '';
+  let quoted = false;
+
+  for (const ch of line) {
+    if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      cols.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cols.push(current.trim());
+  return cols;
+}
+
+/**
+ * 解析有表頭的 CSV，回傳以表頭名稱（去除空白）為鍵的物件陣列
+ * 欄位數少於表頭的列（說明文字、空行）略過
+ */
+function parseCSVWithHeader(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const headers = splitCSVLine(lines[0]).map(h => h.replace(/\s/g, ''));
+  const rows = [];
+
+  for (const line of lines.slice(1)) {
+    const cols = splitCSVLine(line);
+    if (cols.length < headers.length) continue;
+    rows.push(Object.fromEntries(headers.map((h, i) => [h, cols[i]])));
+  }
+
+  return rows;
+}
+
+module.exports = {
+  splitCSVLine,
+  parseCSVWithHeader
+};
@@ -0,0 +1,241 @@
+const cheerio = require('cheerio');
+const { pool } = require('../database/connection');
+const { httpPost } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { latestReportedQuarter } = require('../utils/tradingCalendar');
+const { MOPS_MARKETS } = require('./markets');
+
+// 各產業別報表欄位名稱不同，依序嘗試
+const BALANCE_SHEET_COLUMNS = {
+  current_assets: ['流動資產'],
+  non_current_assets: ['非流動資產'],
+  total_assets: ['資產總計', '資產總額'],
+  current_liabilities: ['流動負債'],
+  non_current_liabilities: ['非流動負債'],
+  total_liabilities: ['負債總計', '負債總額'],
+  share_capital: ['股本'],
+  equity_attributable: ['歸屬於母公司業主之權益合計', '歸屬於母公司業主之權益'],
+  equity: ['權益總計', '權益總額'],
+  book_value_per_share: ['每股參考淨值']
+};
+
+const parseNum = (str) => {
+  if (!str || str === 'N/A' || str.trim() === '' || str.trim() === '--') return null;
+  const cleaned = str.replace(/,/g, '').replace(/\(/g, '-').replace(/\)/g, '');
+  const val = parseFloat(cleaned);
+  return isNaN(val) ? null : val;
+};
+
+/**
+ * 解析 MOPS 資產負債表彙總表
+ * 回應中每個產業別（一般業、金融業、保險業…）各一個表格，依表頭名稱對應欄位
+ */
+function parseBalanceSheetHTML(html, year, quarter) {
+  const $ = cheerio.load(html);
+  const records = [];
+
+  $('table').each((_, table) => {
+    const headers = $(table).find('tr').first().find('th')
+      .map((i, th) => $(th).text().trim()).get();
+
+    const stockIdIndex = headers.indexOf('公司代號');
+    if (stockIdIndex < 0) return;
+
+    const columns = {};
+    for (const [field, names] of Object.entries(BALANCE_SHEET_COLUMNS)) {
+      columns[field] = names.map(n => headers.indexOf(n)).find(i => i >= 0);
+    }
+    if (columns.total_assets === undefined) return;
+
+    $(table).find('tr').each((_, row) => {
+      const cells = $(row).find('td');
+      if (cells.length < headers.length) return;
+
+      const stockId = $(cells[stockIdIndex]).text().trim();
+      if (!/^\d{4}$/.test(stockId)) return;
+
+      const record = { stock_id: stockId, year, quarter };
+      for (const [field, index] of Object.entries(columns)) {
+        record[field] = index === undefined ? null : parseNum($(cells[index]).text());
+      }
+      records.push(record);
+    });
+  });
+
+  return records;
+}
+
+/**
+ * 從 MOPS 抓取指定年/季的資產負債表（上市 + 上櫃）
+ * @param {number} year - 西元年
+ * @param {number} quarter - 季度 (1-4)
+ */
+async function fetchBalanceSheets(year, quarter) {
+  const rocYear = year - 1911;
+  console.log(`抓取 ${year} Q${quarter} 資產負債表...`);
+
+  // MOPS AJAX API - 資產負債表彙總表
+  const url = 'https://mops.twse.com.tw/mops/web/ajax_t163sb05';
+  const records = [];
+
+  for (const { market, typek } of MOPS_MARKETS) {
+    const html = await httpPost(url,
+      `encodeURIComponent=1&step=1&firstin=1&off=1&isQuery=Y&TYPEK=${typek}&year=${rocYear}&season=0${quarter}`,
+      { expect: 'html', archive: { dataset: 'balance_sheets', date: `${year}Q${quarter}`, params: { year, quarter } } }
+    );
+
+    const marketRecords = parseBalanceSheetHTML(html, year, quarter);
+    if (marketRecords.length === 0) {
+      console.log(`${year} Q${quarter} 無${market}資產負債表資料`);
+    }
+    records.push(...marketRecords);
+  }
+
+  return records;
+}
+
+/**
+ * 由資產負債表計算償債能力與每股淨值
+ * 每股淨值優先使用 MOPS 公告的每股參考淨值，否則以 歸屬母公司權益 / (股本 / 面額 10 元) 推算
+ */
+function calculateBalanceSheetRatios(r) {
+  const equity = r.equity_attributable ?? r.equity;
+  const ratio = (a, b, scale = 100) => (a !== null && b ? (a / b * scale).toFixed(2) : null);
+
+  let bookValue = r.book_value_per_share;
+  if (bookValue === null && equity !== null && r.share_capital) {
+    bookValue = equity * 10 / r.share_capital;
+  }
+
+  return {
+    current_ratio: ratio(r.current_assets, r.current_liabilities),
+    debt_ratio: ratio(r.total_liabilities, r.total_assets),
+    debt_to_equity: ratio(r.total_liabilities, equity, 1),
+    book_value_per_share: bookValue === null ? null : bookValue.toFixed(2)
+  };
+}
+
+/**
+ * 以損益表與資產負債表計算 ROE / ROA（年化）
+ * 分子為近四季單季淨利合計，分母為期末權益 / 總資產；不足連續四季時不計算
+ * 兩張報表抓取順序不固定，任一張寫入後都呼叫一次
+ */
+async function updateReturnRatios(connection, year, quarter) {
+  await connection.query(
+    `INSERT INTO financial_ratios (stock_id, year, quarter, roe, roa)
+     SELECT cur.stock_id, cur.year, cur.quarter,
+       CASE WHEN COALESCE(cur.equity_attributable, cur.equity) > 0
+         THEN LEAST(GREATEST(ttm.net_income / COALESCE(cur.equity_attributable, cur.equity) * 100, -999.99), 999.99) END,
+       CASE WHEN cur.total_assets > 0
+         THEN LEAST(GREATEST(ttm.net_income / cur.total_assets * 100, -999.99), 999.99) END
+     FROM financial_statements cur
+     JOIN (
+       SELECT c.stock_id, SUM(p.net_income) AS net_income
+       FROM financial_statements c
+       JOIN financial_statements p ON p.stock_id = c.stock_id
+         AND p.year * 4 + p.quarter BETWEEN c.year * 4 + c.quarter - 3 AND c.year * 4 + c.quarter
+       WHERE c.year = ? AND c.quarter = ?
+       GROUP BY c.stock_id
+       HAVING COUNT(p.net_income) = 4
+     ) ttm ON ttm.stock_id = cur.stock_id
+     WHERE cur.year = ? AND cur.quarter = ? AND cur.total_assets IS NOT NULL
+     ON DUPLICATE KEY UPDATE roe = VALUES(roe), roa = VALUES(roa)`,
+    [year, quarter, year, quarter]
+  );
+}
+
+/**
+ * 抓取並存入資料庫
+ */
+async function fetchAndSaveBalanceSheets(year, quarter) {
+  return await recordCrawlRun('balance_sheets', `${year}Q${quarter}`, async () => {
+    const fetched = await fetchBalanceSheets(year, quarter);
+
+    if (fetched.length === 0) {
+      console.log('無資產負債表資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO financial_statements
+          (stock_id, year, quarter, total_assets, current_assets, non_current_assets,
+           total_liabilities, current_liabilities, non_current_liabilities, equity,
+           share_capital, equity_attributable)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          total_assets = VALUES(total_assets), current_assets = VALUES(current_assets),
+          non_current_assets = VALUES(non_current_assets), total_liabilities = VALUES(total_liabilities),
+          current_liabilities = VALUES(current_liabilities),
+          non_current_liabilities = VALUES(non_current_liabilities), equity = VALUES(equity),
+          share_capital = VALUES(share_capital), equity_attributable = VALUES(equity_attributable)`,
+          [r.stock_id, r.year, r.quarter, r.total_assets, r.current_assets, r.non_current_assets,
+           r.total_liabilities, r.current_liabilities, r.non_current_liabilities, r.equity,
+           r.share_capital, r.equity_attributable]
+        );
+
+        const ratios = calculateBalanceSheetRatios(r);
+        await connection.query(
+          `INSERT INTO financial_ratios
+          (stock_id, year, quarter, current_ratio, debt_ratio, debt_to_equity, book_value_per_share)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          current_ratio = VALUES(current_ratio), debt_ratio = VALUES(debt_ratio),
+          debt_to_equity = VALUES(debt_to_equity), book_value_per_share = VALUES(book_value_per_share)`,
+          [r.stock_id, r.year, r.quarter, ratios.current_ratio, ratios.debt_ratio,
+           ratios.debt_to_equity, ratios.book_value_per_share]
+        );
+      }
+
+      await updateReturnRatios(connection, year, quarter);
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆資產負債表資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入資產負債表失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+/**
+ * 抓取最近季度的資產負債表
+ */
+async function fetchRecentBalanceSheets() {
+  const { year, quarter } = latestReportedQuarter();
+  return await fetchAndSaveBalanceSheets(year, quarter);
+}
+
+if (require.main === module) {
+  const yearArg = process.argv[2] ? parseInt(process.argv[2]) : null;
+  const quarterArg = process.argv[3] ? parseInt(process.argv[3]) : null;
+
+  const fn = (yearArg && quarterArg)
+    ? () => fetchAndSaveBalanceSheets(yearArg, quarterArg)
+    : fetchRecentBalanceSheets;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchBalanceSheets,
+  parseBalanceSheetHTML,
+  fetchAndSaveBalanceSheets,
+  fetchRecentBalanceSheets,
+  updateReturnRatios
+};
@@ -0,0 +1,175 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { taipeiToday } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, rocToISODate } = require('./markets');
+
+const parsePrice = (str) => {
+  if (!str || str === '--' || String(str).trim() === '') return null;
+  return parseFloat(String(str).replace(/,/g, '')) || null;
+};
+
+// 日期欄位可能是民國 (113/01/15) 或西元 (20240115)
+const parseDate = (str) => {
+  const s = String(str).trim();
+  if (/^\d{8}$/.test(s)) return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+  return rocToISODate(s);
+};
+
+/**
+ * 抓取上市股票減資恢復買賣參考價（TWSE TWTAUU）
+ * 欄位：恢復買賣日期、股票代號、名稱、停止買賣前收盤價格、恢復買賣參考價、漲停價格、跌停價格、
+ *       開始交易基準價、除權參考價、減資原因、詳細資料
+ * @param {number} year - 西元年
+ */
+async function fetchTwseCapitalChanges(year) {
+  const url = `https://www.twse.com.tw/rwd/zh/reducation/TWTAUU?response=json&startDate=${year}0101&endDate=${year}1231`;
+
+  const data = await httpGet(url, { archive: { dataset: 'capital_changes', date: year, params: { year } } });
+
+  if (data.stat !== 'OK' || !data.data) {
+    return [];
+  }
+
+  const records = [];
+  for (const row of data.data) {
+    const stockId = String(row[1]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      resume_date: parseDate(row[0]),
+      prev_close: parsePrice(row[3]),
+      reference_price: parsePrice(row[4]),
+      reason: String(row[9] || '').trim() || null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取上櫃股票減資恢復買賣參考價（TPEx）
+ * 欄位：恢復買賣日期、代號、名稱、最後交易日收盤價、恢復買賣參考價、漲停價、跌停價、
+ *       開盤競價基準、除權參考價、減資原因
+ * @param {number} year - 西元年
+ */
+async function fetchTpexCapitalChanges(year) {
+  const rocYear = year - 1911;
+  const url = `https://www.tpex.org.tw/web/stock/exright/revivt/revivt_result.php?l=zh-tw&o=json&d=${rocYear}/01/01&ed=${rocYear}/12/31`;
+
+  const data = await httpGet(url, { archive: { dataset: 'capital_changes', date: year, params: { year } } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    return [];
+  }
+
+  const records = [];
+  for (const row of data.aaData) {
+    const stockId = String(row[1]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      resume_date: parseDate(row[0]),
+      prev_close: parsePrice(row[3]),
+      reference_price: parsePrice(row[4]),
+      reason: String(row[9] || '').trim() || null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定年度的減資資料（上市 + 上櫃）
+ * @param {number} year - 西元年
+ */
+async function fetchCapitalChanges(year) {
+  console.log(`抓取 ${year} 年減資恢復買賣資料...`);
+
+  const sources = [
+    { market: MARKET_TWSE, fetch: fetchTwseCapitalChanges },
+    { market: MARKET_TPEX, fetch: fetchTpexCapitalChanges }
+  ];
+  const records = [];
+
+  for (const source of sources) {
+    const marketRecords = await source.fetch(year);
+    if (marketRecords.length === 0) {
+      console.log(`${year} 年無${source.market}減資資料`);
+    }
+    records.push(...marketRecords);
+  }
+
+  return records.filter(r => r.resume_date && r.prev_close && r.reference_price);
+}
+
+/**
+ * 抓取並存入資料庫
+ */
+async function fetchAndSaveCapitalChanges(year) {
+  return await recordCrawlRun('capital_changes', year, async () => {
+    const fetched = await fetchCapitalChanges(year);
+
+    if (fetched.length === 0) {
+      console.log('無減資資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO capital_changes (stock_id, resume_date, prev_close, reference_price, reason)
+          VALUES (?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          prev_close = VALUES(prev_close), reference_price = VALUES(reference_price),
+          reason = VALUES(reason)`,
+          [r.stock_id, r.resume_date, r.prev_close, r.reference_price, r.reason]
+        );
+      }
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆減資資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入減資資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+async function fetchRecentCapitalChanges() {
+  const year = parseInt(taipeiToday().slice(0, 4));
+  return await fetchAndSaveCapitalChanges(year);
+}
+
+if (require.main === module) {
+  const yearArg = process.argv[2] ? parseInt(process.argv[2]) : null;
+  const fn = yearArg
+    ? () => fetchAndSaveCapitalChanges(yearArg)
+    : fetchRecentCapitalChanges;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchCapitalChanges,
+  fetchTwseCapitalChanges,
+  fetchTpexCapitalChanges,
+  fetchAndSaveCapitalChanges,
+  fetchRecentCapitalChanges
+};
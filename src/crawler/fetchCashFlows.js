@@ -0,0 +1,243 @@
+const cheerio = require('cheerio');
+const { pool } = require('../database/connection');
+const { httpPost } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { latestReportedQuarter } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX } = require('./markets');
+
+// 會計項目名稱（去除空白、括號統一為半形後比對）
+const CASH_FLOW_ITEMS = {
+  operating_cash_flow_ytd: ['營業活動之淨現金流入(流出)'],
+  investing_cash_flow_ytd: ['投資活動之淨現金流入(流出)'],
+  financing_cash_flow_ytd: ['籌資活動之淨現金流入(流出)'],
+  capital_expenditure_ytd: ['取得不動產、廠房及設備']
+};
+
+const normalizeLabel = (str) => str.replace(/\s/g, '').replace(/（/g, '(').replace(/）/g, ')');
+
+const parseNum = (str) => {
+  if (!str || str === 'N/A' || str.trim() === '') return null;
+  const cleaned = str.replace(/,/g, '').replace(/\(/g, '-').replace(/\)/g, '');
+  const val = parseFloat(cleaned);
+  return isNaN(val) ? null : val;
+};
+
+/**
+ * 解析 MOPS 個別公司現金流量表
+ * 第一個數值欄為本期（年初至今累計）金額
+ * @returns {Object|null} 查無資料時回傳 null
+ */
+function parseCashFlowHTML(html) {
+  const $ = cheerio.load(html);
+  const result = {};
+
+  $('tr').each((_, row) => {
+    const cells = $(row).find('td');
+    if (cells.length < 2) return;
+
+    const label = normalizeLabel($(cells[0]).text());
+    for (const [field, names] of Object.entries(CASH_FLOW_ITEMS)) {
+      if (result[field] === undefined && names.includes(label)) {
+        result[field] = parseNum($(cells[1]).text());
+      }
+    }
+  });
+
+  if (result.operating_cash_flow_ytd === undefined || result.operating_cash_flow_ytd === null) {
+    return null;
+  }
+
+  return {
+    operating_cash_flow_ytd: result.operating_cash_flow_ytd,
+    investing_cash_flow_ytd: result.investing_cash_flow_ytd ?? null,
+    financing_cash_flow_ytd: result.financing_cash_flow_ytd ?? null,
+    // 報表以負數表示現金流出，存為正的資本支出；無此項目代表當期沒有購置
+    capital_expenditure_ytd: Math.abs(result.capital_expenditure_ytd || 0)
+  };
+}
+
+/**
+ * 從 MOPS 抓取單一公司的現金流量表
+ * MOPS 沒有現金流量表彙總表，只能逐家查詢
+ * @param {string} stockId - 股票代號
+ * @param {number} year - 西元年
+ * @param {number} quarter - 季度 (1-4)
+ */
+async function fetchCashFlowStatement(stockId, year, quarter) {
+  const rocYear = year - 1911;
+  const url = 'https://mops.twse.com.tw/mops/web/ajax_t164sb05';
+
+  const html = await httpPost(url,
+    `encodeURIComponent=1&step=1&firstin=1&off=1&queryName=co_id&inpuType=co_id&TYPEK=all&isnew=false&co_id=${stockId}&year=${rocYear}&season=0${quarter}`,
+    { expect: 'html', archive: { dataset: 'cash_flows', date: `${year}Q${quarter}`, params: { year, quarter, stockId } } }
+  );
+
+  return parseCashFlowHTML(html);
+}
+
+/**
+ * 由累計值推算單季現金流與自由現金流（FCF = 營業現金流 - 資本支出）
+ * 前一季累計值缺漏時單季值為 NULL，不以累計值代替
+ */
+async function deriveQuarterlyCashFlows(connection, year) {
+  await connection.query(
+    `UPDATE financial_statements cur
+     LEFT JOIN financial_statements prev
+       ON prev.stock_id = cur.stock_id AND prev.year = cur.year AND prev.quarter = cur.quarter - 1
+     SET
+       cur.operating_cash_flow = IF(cur.quarter = 1, cur.operating_cash_flow_ytd,
+         cur.operating_cash_flow_ytd - prev.operating_cash_flow_ytd),
+       cur.investing_cash_flow = IF(cur.quarter = 1, cur.investing_cash_flow_ytd,
+         cur.investing_cash_flow_ytd - prev.investing_cash_flow_ytd),
+       cur.financing_cash_flow = IF(cur.quarter = 1, cur.financing_cash_flow_ytd,
+         cur.financing_cash_flow_ytd - prev.financing_cash_flow_ytd),
+       cur.capital_expenditure = IF(cur.quarter = 1, cur.capital_expenditure_ytd,
+         cur.capital_expenditure_ytd - prev.capital_expenditure_ytd),
+       cur.free_cash_flow = IF(cur.quarter = 1,
+         cur.operating_cash_flow_ytd - cur.capital_expenditure_ytd,
+         (cur.operating_cash_flow_ytd - prev.operating_cash_flow_ytd)
+           - (cur.capital_expenditure_ytd - prev.capital_expenditure_ytd))
+     WHERE cur.year = ? AND cur.operating_cash_flow_ytd IS NOT NULL`,
+    [year]
+  );
+
+  // 每股營業現金流（單季）：金額與股本皆為仟元，股數 = 股本 / 面額 10 元
+  await connection.query(
+    `INSERT INTO financial_ratios (stock_id, year, quarter, operating_cash_per_share)
+     SELECT stock_id, year, quarter, operating_cash_flow * 10 / share_capital
+     FROM financial_statements
+     WHERE year = ? AND operating_cash_flow IS NOT NULL AND share_capital > 0
+     ON DUPLICATE KEY UPDATE operating_cash_per_share = VALUES(operating_cash_per_share)`,
+    [year]
+  );
+}
+
+/**
+ * 抓取並存入資料庫
+ * 已有該季累計值的公司預設略過，中斷後重新執行會從未完成的公司繼續
+ * @param {number} year - 西元年
+ * @param {number} quarter - 季度 (1-4)
+ * @param {Object} [options]
+ * @param {Array} [options.stockIds] - 指定股票，預設為所有上市櫃股票
+ * @param {boolean} [options.force=false] - 重新抓取已有資料的公司
+ */
+async function fetchAndSaveCashFlows(year, quarter, { stockIds, force = false } = {}) {
+  return await recordCrawlRun('cash_flows', `${year}Q${quarter}`, async () => {
+    let targets = stockIds;
+    if (!targets) {
+      const [rows] = await pool.query(
+        `SELECT stock_id FROM stocks WHERE is_active = TRUE AND market_type IN (?, ?) ORDER BY stock_id`,
+        [MARKET_TWSE, MARKET_TPEX]
+      );
+      targets = rows.map(r => r.stock_id);
+    }
+
+    let alreadyDone = 0;
+    if (!force) {
+      const [done] = await pool.query(
+        `SELECT stock_id FROM financial_statements
+         WHERE year = ? AND quarter = ? AND operating_cash_flow_ytd IS NOT NULL`,
+        [year, quarter]
+      );
+      const doneSet = new Set(done.map(r => r.stock_id));
+      const remaining = targets.filter(id => !doneSet.has(id));
+      alreadyDone = targets.length - remaining.length;
+      targets = remaining;
+    }
+
+    console.log(`抓取 ${year} Q${quarter} 現金流量表：${targets.length} 家公司...`);
+    let saved = 0;
+    let empty = 0;
+    const failed = [];
+
+    for (const stockId of targets) {
+      try {
+        const cf = await fetchCashFlowStatement(stockId, year, quarter);
+        if (!cf) {
+          empty++;
+          continue;
+        }
+
+        await pool.query(
+          `INSERT INTO financial_statements
+          (stock_id, year, quarter, operating_cash_flow_ytd, investing_cash_flow_ytd,
+           financing_cash_flow_ytd, capital_expenditure_ytd)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          operating_cash_flow_ytd = VALUES(operating_cash_flow_ytd),
+          investing_cash_flow_ytd = VALUES(investing_cash_flow_ytd),
+          financing_cash_flow_ytd = VALUES(financing_cash_flow_ytd),
+          capital_expenditure_ytd = VALUES(capital_expenditure_ytd)`,
+          [stockId, year, quarter, cf.operating_cash_flow_ytd, cf.investing_cash_flow_ytd,
+           cf.financing_cash_flow_ytd, cf.capital_expenditure_ytd]
+        );
+        saved++;
+
+        if (saved % 100 === 0) console.log(`進度: ${saved + empty + failed.length}/${targets.length}`);
+
+      } catch (error) {
+        // 被封鎖或限流時繼續查詢只會延長封鎖時間
+        if (error.code === 'BLOCKED' || error.code === 'THROTTLED') throw error;
+        failed.push(stockId);
+        console.error(`✗ ${stockId} 現金流量表抓取失敗: ${error.message}`);
+      }
+    }
+
+    // 重算整年度：補抓較早季度後，後續季度的單季值也會跟著更新
+    const connection = await pool.getConnection();
+    try {
+      await deriveQuarterlyCashFlows(connection, year);
+    } finally {
+      connection.release();
+    }
+
+    console.log(`\n現金流量表完成！寫入: ${saved}, 先前已完成: ${alreadyDone}, 無資料: ${empty}, 失敗: ${failed.length}`);
+    if (failed.length > 0 && saved === 0) {
+      throw new Error(`${year} Q${quarter} 現金流量表全部抓取失敗（${failed.length} 家）`);
+    }
+    // 續抓時連同先前已完成的公司一起計數，已全部完成的季度不會被記為 empty
+    return saved + alreadyDone;
+  });
+}
+
+/**
+ * 抓取最近季度的現金流量表
+ */
+async function fetchRecentCashFlows() {
+  const { year, quarter } = latestReportedQuarter();
+  return await fetchAndSaveCashFlows(year, quarter);
+}
+
+// 用法：
+//   node fetchCashFlows.js                      最近一季
+//   node fetchCashFlows.js 2024 2 [--force]     指定年季
+//   node fetchCashFlows.js 2024 2 --stocks 2330,2317
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getFlag = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const yearArg = args[0] && !args[0].startsWith('--') ? parseInt(args[0]) : null;
+  const quarterArg = args[1] && !args[1].startsWith('--') ? parseInt(args[1]) : null;
+
+  const options = {
+    force: args.includes('--force'),
+    stockIds: getFlag('stocks') ? getFlag('stocks').split(',') : undefined
+  };
+
+  const fn = (yearArg && quarterArg)
+    ? () => fetchAndSaveCashFlows(yearArg, quarterArg, options)
+    : fetchRecentCashFlows;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchCashFlowStatement,
+  parseCashFlowHTML,
+  fetchAndSaveCashFlows,
+  fetchRecentCashFlows
+};
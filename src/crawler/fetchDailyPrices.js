@@ -1,144 +1,356 @@
-const axios = require('axios');
 const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { lastTradingDay, toCompactDate } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, toRocDate, toRocMonth, rocToISODate, getMarketTypes } = require('./markets');
+
+// 處理逗號和轉換數字
+function parseNumber(str) {
+  if (!str || str === '--' || str === '---') return null;
+  const val = parseFloat(String(str).replace(/,/g, ''));
+  return isNaN(val) ? null : val;
+}
 
 /**
- * 抓取指定股票的每日股價資料
+ * 組成 daily_prices 紀錄並計算漲跌幅
+ */
+function buildPriceRecord(stockId, tradeDate, fields) {
+  const record = {
+    stock_id: stockId,
+    trade_date: tradeDate,
+    open_price: fields.open,
+    high_price: fields.high,
+    low_price: fields.low,
+    close_price: fields.close,
+    volume: fields.volume,
+    turnover: fields.turnover,
+    transactions: fields.transactions,
+    change_amount: fields.change,
+    change_percent: null // 需要計算
+  };
+
+  // 計算漲跌幅
+  if (record.close_price && record.change_amount) {
+    const prevClose = record.close_price - record.change_amount;
+    if (prevClose !== 0) {
+      record.change_percent = (record.change_amount / prevClose * 100).toFixed(2);
+    }
+  }
+
+  return record;
+}
+
+/**
+ * 抓取上市股票的當月每日股價（TWSE 個股日成交資訊）
  * @param {string} stockId - 股票代號
  * @param {string} date - 日期 (YYYYMMDD 格式)
  */
-async function fetchDailyPrice(stockId, date) {
-  try {
-    // 台灣證交所個股日成交資訊 API
-    const url = `https://www.twse.com.tw/exchangeReport/STOCK_DAY?response=json&date=${date}&stockNo=${stockId}`;
-    
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
+async function fetchTwseDailyPrice(stockId, date) {
+  const url = `https://www.twse.com.tw/exchangeReport/STOCK_DAY?response=json&date=${date}&stockNo=${stockId}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'daily_prices_stock', date, params: { stockId } } });
+
+  if (data.stat !== 'OK') {
+    console.log(`股票 ${stockId} 無資料`);
+    return null;
+  }
+
+  return data.data.map(row => {
+    const [
+      dateStr,        // 日期
+      volume,         // 成交股數
+      turnover,       // 成交金額
+      open,           // 開盤價
+      high,           // 最高價
+      low,            // 最低價
+      close,          // 收盤價
+      change,         // 漲跌價差
+      transactions    // 成交筆數
+    ] = row;
+
+    return buildPriceRecord(stockId, rocToISODate(dateStr), {
+      open: parseNumber(open),
+      high: parseNumber(high),
+      low: parseNumber(low),
+      close: parseNumber(close),
+      volume: parseNumber(volume),
+      turnover: parseNumber(turnover),
+      transactions: parseNumber(transactions),
+      change: parseNumber(change)
     });
+  });
+}
 
-    if (response.data.stat !== 'OK') {
-      console.log(`股票 ${stockId} 無資料`);
-      return null;
-    }
+/**
+ * 抓取上櫃股票的當月每日股價（TPEx 個股日成交資訊）
+ * 成交量與成交金額單位為「仟股」「仟元」，需換算成股、元
+ * @param {string} stockId - 股票代號
+ * @param {string} date - 日期 (YYYYMMDD 格式)
+ */
+async function fetchTpexDailyPrice(stockId, date) {
+  const url = `https://www.tpex.org.tw/web/stock/aftertrading/daily_trading_info/st43_result.php?l=zh-tw&d=${toRocMonth(date)}&stkno=${stockId}`;
 
-    const data = response.data.data;
-    const records = [];
-
-    for (const row of data) {
-      const [
-        dateStr,        // 日期
-        volume,         // 成交股數
-        turnover,       // 成交金額
-        open,           // 開盤價
-        high,           // 最高價
-        low,            // 最低價
-        close,          // 收盤價
-        change,         // 漲跌價差
-        transactions    // 成交筆數
-      ] = row;
-
-      // 轉換日期格式 (民國年/月/日 -> YYYY-MM-DD)
-      const [year, month, day] = dateStr.split('/');
-      const tradeDate = `${parseInt(year) + 1911}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-
-      // 處理逗號和轉換數字
-      const parseNumber = (str) => {
-        if (!str || str === '--') return null;
-        return parseFloat(str.replace(/,/g, ''));
-      };
-
-      const record = {
-        stock_id: stockId,
-        trade_date: tradeDate,
-        open_price: parseNumber(open),
-        high_price: parseNumber(high),
-        low_price: parseNumber(low),
-        close_price: parseNumber(close),
-        volume: parseNumber(volume),
-        turnover: parseNumber(turnover),
-        transactions: parseNumber(transactions),
-        change_amount: parseNumber(change),
-        change_percent: null // 需要計算
-      };
-
-      // 計算漲跌幅
-      if (record.close_price && record.change_amount) {
-        const prevClose = record.close_price - record.change_amount;
-        if (prevClose !== 0) {
-          record.change_percent = (record.change_amount / prevClose * 100).toFixed(2);
-        }
-      }
+  const data = await httpGet(url, { archive: { dataset: 'daily_prices_stock', date, params: { stockId } } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    console.log(`股票 ${stockId} 無資料`);
+    return null;
+  }
+
+  const thousands = (str) => {
+    const val = parseNumber(str);
+    return val === null ? null : val * 1000;
+  };
 
-      records.push(record);
+  return data.aaData.map(row => {
+    const [dateStr, volume, turnover, open, high, low, close, change, transactions] = row;
+
+    return buildPriceRecord(stockId, rocToISODate(dateStr), {
+      open: parseNumber(open),
+      high: parseNumber(high),
+      low: parseNumber(low),
+      close: parseNumber(close),
+      volume: thousands(volume),
+      turnover: thousands(turnover),
+      transactions: parseNumber(transactions),
+      change: parseNumber(change)
+    });
+  });
+}
+
+/**
+ * 抓取指定股票的每日股價資料（依 stocks.market_type 選擇 TWSE 或 TPEx）
+ * @param {string} stockId - 股票代號
+ * @param {string} date - 日期 (YYYYMMDD 格式)
+ * @param {string} [marketType] - 市場別，未指定時從 stocks 表查詢
+ * @returns {Promise<Array|null>} 無資料時回傳 null，請求失敗時拋出 CrawlerError
+ */
+async function fetchDailyPrice(stockId, date, marketType) {
+  if (!marketType) {
+    marketType = (await getMarketTypes([stockId])).get(stockId);
+  }
+
+  return marketType === MARKET_TPEX
+    ? await fetchTpexDailyPrice(stockId, date)
+    : await fetchTwseDailyPrice(stockId, date);
+}
+
+/**
+ * 抓取上市股票指定日期的全市場收盤行情（TWSE MI_INDEX 每日收盤行情）
+ * 欄位：證券代號、證券名稱、成交股數、成交筆數、成交金額、開盤價、最高價、最低價、收盤價、漲跌(+/-)、漲跌價差、...
+ * @param {string} date - 日期 (YYYYMMDD 格式)
+ */
+async function fetchTwseMarketDailyPrices(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/afterTrading/MI_INDEX?response=json&date=${date}&type=ALLBUT0999`;
+
+  const data = await httpGet(url, { archive: { dataset: 'daily_prices', date } });
+
+  if (data.stat !== 'OK' || !data.tables) {
+    return [];
+  }
+
+  // 個股行情表的欄位以「證券代號」開頭且含「收盤價」
+  const table = data.tables.find(t =>
+    t.fields && t.fields[0] === '證券代號' && t.fields.includes('收盤價') && t.data);
+  if (!table) return [];
+
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  const records = [];
+
+  for (const row of table.data) {
+    const stockId = String(row[0]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    // 漲跌(+/-) 欄位為 HTML 片段，例如 <p style= color:green>-</p>
+    const sign = String(row[9]).includes('-') ? -1 : 1;
+    const change = parseNumber(row[10]);
+
+    records.push(buildPriceRecord(stockId, tradeDate, {
+      open: parseNumber(row[5]),
+      high: parseNumber(row[6]),
+      low: parseNumber(row[7]),
+      close: parseNumber(row[8]),
+      volume: parseNumber(row[2]),
+      turnover: parseNumber(row[4]),
+      transactions: parseNumber(row[3]),
+      change: change === null ? null : sign * change
+    }));
+  }
+
+  return records;
+}
+
+/**
+ * 抓取上櫃股票指定日期的全市場收盤行情（TPEx 上櫃股票每日收盤行情）
+ * 欄位：代號、名稱、收盤、漲跌、開盤、最高、最低、均價、成交股數、成交金額(元)、成交筆數、...
+ * @param {string} date - 日期 (YYYYMMDD 格式)
+ */
+async function fetchTpexMarketDailyPrices(date) {
+  const url = `https://www.tpex.org.tw/web/stock/aftertrading/daily_close_quotes/stk_quote_result.php?l=zh-tw&o=json&d=${toRocDate(date)}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'daily_prices', date } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    return [];
+  }
+
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  const records = [];
+
+  for (const row of data.aaData) {
+    const stockId = String(row[0]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push(buildPriceRecord(stockId, tradeDate, {
+      open: parseNumber(row[4]),
+      high: parseNumber(row[5]),
+      low: parseNumber(row[6]),
+      close: parseNumber(row[2]),
+      volume: parseNumber(row[8]),
+      turnover: parseNumber(row[9]),
+      transactions: parseNumber(row[10]),
+      change: parseNumber(row[3])
+    }));
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定日期全市場（上市 + 上櫃）每日股價
+ * @param {string} date - 日期 (YYYYMMDD 格式)
+ */
+async function fetchMarketDailyPrices(date) {
+  console.log(`抓取 ${date} 全市場收盤行情...`);
+
+  const sources = [
+    { market: MARKET_TWSE, fetch: fetchTwseMarketDailyPrices },
+    { market: MARKET_TPEX, fetch: fetchTpexMarketDailyPrices }
+  ];
+  const records = [];
+
+  for (const source of sources) {
+    const marketRecords = await source.fetch(date);
+    if (marketRecords.length === 0) {
+      console.log(`${date} 無${source.market}收盤行情（可能非交易日）`);
     }
+    records.push(...marketRecords);
+  }
 
-    return records;
+  return records;
+}
 
-  } catch (error) {
-    console.error(`抓取股票 ${stockId} 資料失敗:`, error.message);
-    return null;
+/**
+ * 批次寫入 daily_prices（多筆 VALUES 一次 upsert）
+ * @param {Object} connection - 資料庫連線
+ * @param {Array} records - buildPriceRecord 產生的紀錄
+ */
+async function upsertDailyPrices(connection, records) {
+  const CHUNK_SIZE = 500;
+
+  for (let i = 0; i < records.length; i += CHUNK_SIZE) {
+    const values = records.slice(i, i + CHUNK_SIZE).map(r => [
+      r.stock_id, r.trade_date, r.open_price, r.high_price, r.low_price, r.close_price,
+      r.volume, r.turnover, r.transactions, r.change_amount, r.change_percent
+    ]);
+
+    await connection.query(
+      `INSERT INTO daily_prices
+      (stock_id, trade_date, open_price, high_price, low_price, close_price,
+       volume, turnover, transactions, change_amount, change_percent)
+      VALUES ?
+      ON DUPLICATE KEY UPDATE
+      open_price = VALUES(open_price),
+      high_price = VALUES(high_price),
+      low_price = VALUES(low_price),
+      close_price = VALUES(close_price),
+      volume = VALUES(volume),
+      turnover = VALUES(turnover),
+      transactions = VALUES(transactions),
+      change_amount = VALUES(change_amount),
+      change_percent = VALUES(change_percent)`,
+      [values]
+    );
   }
 }
 
 /**
- * 批次抓取多檔股票的資料
+ * 抓取全市場單日股價並批次存入資料庫
+ * 只寫入 stocks 表中已存在的股票（過濾 ETF、權證等）
+ * @param {string} date - 日期 (YYYYMMDD 格式)
+ */
+async function fetchAndSaveMarketDailyPrices(date) {
+  return await recordCrawlRun('daily_prices', date, async () => {
+    const fetched = await fetchMarketDailyPrices(date);
+
+    if (fetched.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id) && r.close_price !== null);
+
+      await connection.beginTransaction();
+      await upsertDailyPrices(connection, records);
+      await connection.commit();
+
+      console.log(`✓ 成功寫入 ${records.length} 筆 ${date} 股價資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入股價資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+/**
+ * 批次抓取多檔股票的資料（逐檔抓取整月，用於回補歷史資料）
  * @param {Array} stockIds - 股票代號陣列
  * @param {string} date - 日期 (YYYYMMDD)
  */
 async function fetchBatchDailyPrices(stockIds, date) {
   console.log(`開始抓取 ${stockIds.length} 檔股票的 ${date} 資料...`);
   
+  const marketTypes = await getMarketTypes(stockIds);
   const connection = await pool.getConnection();
   let successCount = 0;
+  let emptyCount = 0;
   let failCount = 0;
 
   try {
     for (let i = 0; i < stockIds.length; i++) {
       const stockId = stockIds[i];
-      
-      // 避免請求太快被擋，加入延遲
-      if (i > 0 && i % 5 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 3000));
+
+      let records;
+      try {
+        records = await fetchDailyPrice(stockId, date, marketTypes.get(stockId));
+      } catch (error) {
+        failCount++;
+        console.log(`✗ [${i + 1}/${stockIds.length}] ${stockId} - 抓取失敗 (${error.message})`);
+        continue;
       }
 
-      const records = await fetchDailyPrice(stockId, date);
-      
       if (records && records.length > 0) {
         // 寫入資料庫
-        for (const record of records) {
-          await connection.query(
-            `INSERT INTO daily_prices 
-            (stock_id, trade_date, open_price, high_price, low_price, close_price, 
-             volume, turnover, transactions, change_amount, change_percent)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            ON DUPLICATE KEY UPDATE
-            open_price = VALUES(open_price),
-            high_price = VALUES(high_price),
-            low_price = VALUES(low_price),
-            close_price = VALUES(close_price),
-            volume = VALUES(volume),
-            turnover = VALUES(turnover),
-            transactions = VALUES(transactions),
-            change_amount = VALUES(change_amount),
-            change_percent = VALUES(change_percent)`,
-            [
-              record.stock_id, record.trade_date, record.open_price, 
-              record.high_price, record.low_price, record.close_price,
-              record.volume, record.turnover, record.transactions,
-              record.change_amount, record.change_percent
-            ]
-          );
-        }
+        await upsertDailyPrices(connection, records);
         successCount++;
         console.log(`✓ [${i + 1}/${stockIds.length}] ${stockId} - 成功 (${records.length} 筆)`);
       } else {
-        failCount++;
-        console.log(`✗ [${i + 1}/${stockIds.length}] ${stockId} - 無資料`);
+        emptyCount++;
+        console.log(`- [${i + 1}/${stockIds.length}] ${stockId} - 無資料`);
       }
     }
 
-    console.log(`\n完成！成功: ${successCount}, 失敗: ${failCount}`);
+    console.log(`\n完成！成功: ${successCount}, 無資料: ${emptyCount}, 失敗: ${failCount}`);
+    return { success: successCount, empty: emptyCount, failed: failCount };
 
   } catch (error) {
     console.error('批次抓取失敗:', error.message);
@@ -149,37 +361,40 @@ async function fetchBatchDailyPrices(stockIds, date) {
 }
 
 /**
- * 抓取最近一個月的資料（示範用）
+ * 抓取最近交易日的全市場股價
  */
 async function fetchRecentPrices() {
-  try {
-    const connection = await pool.getConnection();
-    
-    // 取得前 10 檔股票（示範用，可改成全部）
-    const [stocks] = await connection.query(
-      'SELECT stock_id FROM stocks WHERE is_active = TRUE LIMIT 10'
-    );
-    connection.release();
-
-    const stockIds = stocks.map(s => s.stock_id);
-    
-    // 取得當前年月（YYYYMM 格式）
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const date = `${year}${month}01`;
-
-    await fetchBatchDailyPrices(stockIds, date);
-
-  } catch (error) {
-    console.error('抓取資料失敗:', error);
-    throw error;
-  }
+  const date = await lastTradingDay({ dataset: 'prices' });
+  return await fetchAndSaveMarketDailyPrices(toCompactDate(date));
 }
 
 // 如果直接執行此檔案
+// 用法：
+//   node fetchDailyPrices.js                                   抓取今日全市場
+//   node fetchDailyPrices.js 20240102                          抓取指定日期全市場
+//   node fetchDailyPrices.js --from 2019-01 --to 2024-12 --stocks all   歷史回補
 if (require.main === module) {
-  fetchRecentPrices()
+  const args = process.argv.slice(2);
+  const getFlag = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  let fn;
+  if (getFlag('from')) {
+    const { backfillDailyPrices } = require('./backfillDailyPrices');
+    fn = () => backfillDailyPrices({
+      from: getFlag('from'),
+      to: getFlag('to') || getFlag('from'),
+      stocks: getFlag('stocks') || 'all'
+    });
+  } else if (args[0]) {
+    fn = () => fetchAndSaveMarketDailyPrices(args[0]);
+  } else {
+    fn = fetchRecentPrices;
+  }
+
+  fn()
     .then(() => {
       console.log('完成！');
       process.exit(0);
@@ -192,6 +407,13 @@ if (require.main === module) {
 
 module.exports = {
   fetchDailyPrice,
+  fetchTwseDailyPrice,
+  fetchTpexDailyPrice,
   fetchBatchDailyPrices,
+  fetchMarketDailyPrices,
+  fetchTwseMarketDailyPrices,
+  fetchTpexMarketDailyPrices,
+  fetchAndSaveMarketDailyPrices,
+  upsertDailyPrices,
   fetchRecentPrices
 };
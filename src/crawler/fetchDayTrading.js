@@ -0,0 +1,213 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { lastTradingDay, toCompactDate } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, toRocDate } = require('./markets');
+
+const parseNum = (str) => {
+  if (str === undefined || str === null || str === '--' || String(str).trim() === '') return null;
+  const val = parseInt(String(str).replace(/,/g, ''), 10);
+  return isNaN(val) ? null : val;
+};
+
+// TWSE TWTB4U 個股當沖表欄位名稱（依 fields 對應，找不到時使用預設位置）
+const TWSE_FIELDS = {
+  stock_id: ['證券代號', 0],
+  suspended_flag: ['暫停現股賣出後現款買進當沖註記', 2],
+  day_trade_volume: ['當日沖銷交易成交股數', 3],
+  day_trade_buy_value: ['當日沖銷交易買進成交金額', 4],
+  day_trade_sell_value: ['當日沖銷交易賣出成交金額', 5]
+};
+
+/**
+ * 抓取上市股票當日沖銷交易標的及成交量值（TWSE TWTB4U）
+ * 回應含多個表格（市場統計、個股明細），取有「證券代號」欄位的表格
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTwseDayTrading(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/dayTrading/TWTB4U?response=json&date=${date}&selectType=All`;
+
+  const data = await httpGet(url, { archive: { dataset: 'day_trading', date } });
+
+  if (data.stat !== 'OK') {
+    return [];
+  }
+
+  const tables = data.tables || [data];
+  const table = tables.find(t => (t.fields || []).some(f => String(f).trim() === '證券代號'));
+  if (!table || !table.data) {
+    return [];
+  }
+
+  const fields = table.fields.map(f => String(f).trim());
+  const index = {};
+  for (const [key, [name, fallback]] of Object.entries(TWSE_FIELDS)) {
+    const found = fields.indexOf(name);
+    index[key] = found >= 0 ? found : fallback;
+  }
+
+  const records = [];
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  for (const row of table.data) {
+    const stockId = String(row[index.stock_id]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      day_trade_volume: parseNum(row[index.day_trade_volume]),
+      day_trade_buy_value: parseNum(row[index.day_trade_buy_value]),
+      day_trade_sell_value: parseNum(row[index.day_trade_sell_value]),
+      suspended_flag: String(row[index.suspended_flag] || '').trim() === 'Y'
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取上櫃股票當日沖銷交易成交量值（TPEx）
+ * 欄位：代號、名稱、暫停先賣後買註記、當沖成交股數、當沖買進金額、當沖賣出金額
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTpexDayTrading(date) {
+  const url = `https://www.tpex.org.tw/web/stock/trading/intraday_trading/intraday_trading_list_result.php?l=zh-tw&o=json&d=${toRocDate(date)}&stock_code=&s=0,asc`;
+
+  const data = await httpGet(url, { archive: { dataset: 'day_trading', date } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    return [];
+  }
+
+  const records = [];
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  for (const row of data.aaData) {
+    const stockId = String(row[0]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      day_trade_volume: parseNum(row[3]),
+      day_trade_buy_value: parseNum(row[4]),
+      day_trade_sell_value: parseNum(row[5]),
+      suspended_flag: String(row[2] || '').trim() === 'Y'
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定日期的當沖資料（上市 + 上櫃）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchDayTrading(date) {
+  console.log(`抓取 ${date} 當沖資料...`);
+
+  const sources = [
+    { market: MARKET_TWSE, fetch: fetchTwseDayTrading },
+    { market: MARKET_TPEX, fetch: fetchTpexDayTrading }
+  ];
+  const records = [];
+
+  for (const source of sources) {
+    const marketRecords = await source.fetch(date);
+    if (marketRecords.length === 0) {
+      console.log(`${date} 無${source.market}當沖資料（可能非交易日）`);
+    }
+    records.push(...marketRecords);
+  }
+
+  return records;
+}
+
+/**
+ * 以當日總成交量計算當沖比率
+ * 當日股價尚未寫入時比率維持 NULL，之後重新抓取當沖資料時補算
+ */
+async function updateDayTradeRatios(connection, tradeDate) {
+  await connection.query(
+    `UPDATE day_trading dt
+     JOIN daily_prices dp ON dp.stock_id = dt.stock_id AND dp.trade_date = dt.trade_date
+     SET dt.day_trade_ratio = LEAST(dt.day_trade_volume / dp.volume * 100, 999.99)
+     WHERE dt.trade_date = ? AND dp.volume > 0`,
+    [tradeDate]
+  );
+}
+
+/**
+ * 抓取並存入資料庫
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchAndSaveDayTrading(date) {
+  return await recordCrawlRun('day_trading', date, async () => {
+    const fetched = await fetchDayTrading(date);
+
+    if (fetched.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO day_trading
+          (stock_id, trade_date, day_trade_volume, day_trade_buy_value, day_trade_sell_value, suspended_flag)
+          VALUES (?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          day_trade_volume = VALUES(day_trade_volume), day_trade_buy_value = VALUES(day_trade_buy_value),
+          day_trade_sell_value = VALUES(day_trade_sell_value), suspended_flag = VALUES(suspended_flag)`,
+          [r.stock_id, r.trade_date, r.day_trade_volume, r.day_trade_buy_value,
+           r.day_trade_sell_value, r.suspended_flag]
+        );
+      }
+
+      await updateDayTradeRatios(connection, fetched[0].trade_date);
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆當沖資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入當沖資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+async function fetchRecentDayTrading() {
+  const date = await lastTradingDay({ dataset: 'day_trading' });
+  return await fetchAndSaveDayTrading(toCompactDate(date));
+}
+
+if (require.main === module) {
+  const dateArg = process.argv[2];
+  const fn = dateArg
+    ? () => fetchAndSaveDayTrading(dateArg)
+    : fetchRecentDayTrading;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchDayTrading,
+  fetchTwseDayTrading,
+  fetchTpexDayTrading,
+  fetchAndSaveDayTrading,
+  fetchRecentDayTrading
+};
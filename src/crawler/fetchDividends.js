@@ -1,146 +1,227 @@
-const axios = require('axios');
+const cheerio = require('cheerio');
 const { pool } = require('../database/connection');
+const { httpPost } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { taipeiToday } = require('../utils/tradingCalendar');
+const { MOPS_MARKETS, rocToISODate } = require('./markets');
+
+// 欄位名稱（去除空白、括號統一為半形後比對）；cash / stock 為多個來源欄位加總
+const DIVIDEND_COLUMNS = {
+  fiscal: ['股利所屬年(季)度', '股利所屬期間', '股利所屬年度'],
+  ex_dividend_date: ['除息交易日'],
+  ex_right_date: ['除權交易日'],
+  pay_date: ['現金股利發放日']
+};
+const CASH_COLUMNS = ['盈餘分配之現金股利(元/股)', '法定盈餘公積、資本公積發放之現金(元/股)'];
+const STOCK_COLUMNS = ['盈餘轉增資配股(元/股)', '法定盈餘公積、資本公積轉增資配股(元/股)'];
+
+const normalizeHeader = (str) => str.replace(/\s/g, '').replace(/（/g, '(').replace(/）/g, ')');
+
+const parseNum = (str) => {
+  if (!str || str.trim() === '' || str.trim() === '--') return 0;
+  return parseFloat(str.replace(/,/g, '')) || 0;
+};
 
 /**
- * 抓取指定年度的除權息資料
- * @param {number} year - 西元年
+ * 解析股利所屬期間，例如「113年 第2季」「113年 上半年」「112年 年度」
+ * @returns {Object|null} { fiscal_year, fiscal_period }，period 為 Q1~Q4 / H1 / H2 / FY
  */
-async function fetchDividends(year) {
-  try {
-    const rocYear = year - 1911;
-    console.log(`抓取 ${year} 年除權息資料...`);
+function parseFiscalPeriod(str) {
+  const text = str.replace(/\s/g, '');
+  const yearMatch = text.match(/(\d{2,3})年/);
+  if (!yearMatch) return null;
+
+  const fiscalYear = parseInt(yearMatch[1]) + 1911;
+  const quarterMatch = text.match(/第([1-4])季/) || text.match(/第([一二三四])季/);
+  let period = 'FY';
+  if (quarterMatch) {
+    const digit = '一二三四'.indexOf(quarterMatch[1]) + 1 || quarterMatch[1];
+    period = `Q${digit}`;
+  } else if (text.includes('上半年')) {
+    period = 'H1';
+  } else if (text.includes('下半年')) {
+    period = 'H2';
+  }
 
-    // TWSE 除權息預告表
-    const url = `https://www.twse.com.tw/rwd/zh/exRight/TWT49U?response=json&startDate=${year}0101&endDate=${year}1231`;
+  return { fiscal_year: fiscalYear, fiscal_period: period };
+}
 
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+/**
+ * 解析 MOPS 股利分派情形彙總表，每一列為一次分派
+ * 尚未訂定除權息日的公告不列入（無法計算還原股價與殖利率）
+ */
+function parseDividendHTML(html) {
+  const $ = cheerio.load(html);
+  const records = [];
+
+  $('table').each((_, table) => {
+    const headers = $(table).find('tr').first().find('th')
+      .map((i, th) => normalizeHeader($(th).text())).get();
 
-    if (response.data.stat !== 'OK' || !response.data.data) {
-      console.log(`${year} 年無除權息資料`);
-      return [];
+    const stockIdIndex = headers.indexOf('公司代號');
+    if (stockIdIndex < 0) return;
+
+    const columns = {};
+    for (const [field, names] of Object.entries(DIVIDEND_COLUMNS)) {
+      columns[field] = names.map(n => headers.indexOf(n)).find(i => i >= 0);
     }
+    const cashColumns = CASH_COLUMNS.map(n => headers.indexOf(n)).filter(i => i >= 0);
+    const stockColumns = STOCK_COLUMNS.map(n => headers.indexOf(n)).filter(i => i >= 0);
+    if (columns.fiscal === undefined || (cashColumns.length === 0 && stockColumns.length === 0)) return;
+
+    $(table).find('tr').each((_, row) => {
+      const cells = $(row).find('td');
+      if (cells.length < headers.length) return;
+
+      const stockId = $(cells[stockIdIndex]).text().trim();
+      if (!/^\d{4}$/.test(stockId)) return;
+
+      const fiscal = parseFiscalPeriod($(cells[columns.fiscal]).text());
+      if (!fiscal) return;
+
+      const text = (index) => (index === undefined ? null : $(cells[index]).text().trim());
+      const record = {
+        stock_id: stockId,
+        ...fiscal,
+        ex_dividend_date: rocToISODate(text(columns.ex_dividend_date)),
+        ex_right_date: rocToISODate(text(columns.ex_right_date)),
+        pay_date: rocToISODate(text(columns.pay_date)),
+        cash_dividend: cashColumns.reduce((sum, i) => sum + parseNum($(cells[i]).text()), 0),
+        stock_dividend: stockColumns.reduce((sum, i) => sum + parseNum($(cells[i]).text()), 0),
+        dividend_yield: null
+      };
 
-    const records = [];
-    const seen = new Map(); // 同一年一檔股票可能多次配息，累加
+      if (!record.ex_dividend_date && !record.ex_right_date) return;
+      records.push(record);
+    });
+  });
 
-    for (const row of response.data.data) {
-      const stockId = row[0].trim();
-      if (!/^\d{4}$/.test(stockId)) continue;
+  return records;
+}
 
-      const parseNum = (str) => {
-        if (!str || str === '--' || str.trim() === '') return 0;
-        return parseFloat(str.replace(/,/g, '')) || 0;
-      };
+/**
+ * 抓取指定年度的股利分派資料（上市 + 上櫃）
+ * @param {number} year - 西元年
+ */
+async function fetchDividends(year) {
+  try {
+    const rocYear = year - 1911;
+    console.log(`抓取 ${year} 年除權息資料...`);
 
-      // 解析民國日期
-      const parseDateStr = (str) => {
-        if (!str || str === '--') return null;
-        const parts = str.trim().split('/');
-        if (parts.length !== 3) return null;
-        const y = parseInt(parts[0]) + 1911;
-        return `${y}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`;
-      };
+    // MOPS AJAX API - 股利分派情形彙總表
+    const url = 'https://mops.twse.com.tw/mops/web/ajax_t108sb27';
+    const records = [];
 
-      const cashDividend = parseNum(row[3]);
-      const stockDividend = parseNum(row[4]);
-      const exDividendDate = parseDateStr(row[1]);
-      const exRightDate = parseDateStr(row[2]);
-
-      const key = `${stockId}-${year}`;
-      if (seen.has(key)) {
-        const existing = seen.get(key);
-        existing.cash_dividend += cashDividend;
-        existing.stock_dividend += stockDividend;
-        existing.total_dividend = existing.cash_dividend + existing.stock_dividend;
-      } else {
-        const record = {
-          stock_id: stockId,
-          year: year,
-          cash_dividend: cashDividend,
-          stock_dividend: stockDividend,
-          total_dividend: cashDividend + stockDividend,
-          ex_dividend_date: exDividendDate,
-          ex_right_date: exRightDate,
-          dividend_yield: null,
-          payout_ratio: null
-        };
-        seen.set(key, record);
+    for (const { market, typek } of MOPS_MARKETS) {
+      const html = await httpPost(url,
+        `encodeURIComponent=1&step=1&firstin=1&off=1&TYPEK=${typek}&year=${rocYear}`,
+        { expect: 'html', archive: { dataset: 'dividends', date: year, params: { year } } }
+      );
+
+      const marketRecords = parseDividendHTML(html);
+      if (marketRecords.length === 0) {
+        console.log(`${year} 年無${market}除權息資料`);
       }
+      records.push(...marketRecords);
     }
 
-    return Array.from(seen.values());
+    return records;
 
   } catch (error) {
     console.error(`抓取 ${year} 年股利資料失敗:`, error.message);
-    return [];
+    throw error;
   }
 }
 
+/**
+ * 以同期間 EPS 計算配息率
+ * 季配使用單季 EPS，上半年使用 Q2 累計，下半年使用全年減上半年，年配使用全年 EPS
+ */
+async function updatePayoutRatios(connection) {
+  const eps = `CASE d.fiscal_period
+       WHEN 'H1' THEN fs.eps_ytd WHEN 'H2' THEN fs.eps_ytd - h1.eps_ytd WHEN 'FY' THEN fs.eps_ytd
+       ELSE fs.eps END`;
+
+  await connection.query(
+    `UPDATE dividend_distributions d
+     LEFT JOIN financial_statements fs
+       ON fs.stock_id = d.stock_id AND fs.year = d.fiscal_year
+       AND fs.quarter = CASE d.fiscal_period
+         WHEN 'Q1' THEN 1 WHEN 'Q2' THEN 2 WHEN 'Q3' THEN 3 WHEN 'H1' THEN 2 ELSE 4 END
+     LEFT JOIN financial_statements h1
+       ON h1.stock_id = d.stock_id AND h1.year = d.fiscal_year AND h1.quarter = 2
+     SET d.payout_ratio = CASE WHEN ${eps} > 0 THEN LEAST(d.cash_dividend / (${eps}) * 100, 999.99) END`
+  );
+}
+
 /**
  * 抓取並存入資料庫
  */
 async function fetchAndSaveDividends(year) {
-  const records = await fetchDividends(year);
+  return await recordCrawlRun('dividends', year, async () => {
+    const fetched = await fetchDividends(year);
 
-  if (records.length === 0) {
-    console.log('無股利資料可寫入');
-    return 0;
-  }
+    if (fetched.length === 0) {
+      console.log('無股利資料可寫入');
+      return 0;
+    }
 
-  const connection = await pool.getConnection();
-  try {
-    await connection.beginTransaction();
-
-    for (const r of records) {
-      // 嘗試取得殖利率（用除息前一日收盤價計算）
-      if (r.ex_dividend_date && r.cash_dividend > 0) {
-        const [priceRows] = await connection.query(
-          `SELECT close_price FROM daily_prices
-           WHERE stock_id = ? AND trade_date <= ? ORDER BY trade_date DESC LIMIT 1`,
-          [r.stock_id, r.ex_dividend_date]
-        );
-        if (priceRows.length > 0) {
-          const price = parseFloat(priceRows[0].close_price);
-          if (price > 0) {
-            r.dividend_yield = ((r.cash_dividend / price) * 100).toFixed(2);
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        // 殖利率以除息前一日收盤價計算
+        if (r.ex_dividend_date && r.cash_dividend > 0) {
+          const [priceRows] = await connection.query(
+            `SELECT close_price FROM daily_prices
+             WHERE stock_id = ? AND trade_date < ? ORDER BY trade_date DESC LIMIT 1`,
+            [r.stock_id, r.ex_dividend_date]
+          );
+          if (priceRows.length > 0) {
+            const price = parseFloat(priceRows[0].close_price);
+            if (price > 0) {
+              r.dividend_yield = ((r.cash_dividend / price) * 100).toFixed(2);
+            }
           }
         }
+
+        await connection.query(
+          `INSERT INTO dividend_distributions
+          (stock_id, fiscal_year, fiscal_period, ex_dividend_date, ex_right_date, pay_date,
+           cash_dividend, stock_dividend, dividend_yield)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          ex_dividend_date = VALUES(ex_dividend_date), ex_right_date = VALUES(ex_right_date),
+          pay_date = VALUES(pay_date), cash_dividend = VALUES(cash_dividend),
+          stock_dividend = VALUES(stock_dividend), dividend_yield = VALUES(dividend_yield)`,
+          [r.stock_id, r.fiscal_year, r.fiscal_period, r.ex_dividend_date, r.ex_right_date,
+           r.pay_date, r.cash_dividend, r.stock_dividend, r.dividend_yield]
+        );
       }
 
-      await connection.query(
-        `INSERT INTO dividends
-        (stock_id, year, cash_dividend, stock_dividend, total_dividend,
-         ex_dividend_date, ex_right_date, dividend_yield, payout_ratio)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-        cash_dividend = VALUES(cash_dividend), stock_dividend = VALUES(stock_dividend),
-        total_dividend = VALUES(total_dividend), ex_dividend_date = VALUES(ex_dividend_date),
-        ex_right_date = VALUES(ex_right_date), dividend_yield = VALUES(dividend_yield),
-        payout_ratio = VALUES(payout_ratio)`,
-        [r.stock_id, r.year, r.cash_dividend, r.stock_dividend, r.total_dividend,
-         r.ex_dividend_date, r.ex_right_date, r.dividend_yield, r.payout_ratio]
-      );
-    }
+      await updatePayoutRatios(connection);
 
-    await connection.commit();
-    console.log(`✓ 成功寫入 ${records.length} 筆股利資料`);
-    return records.length;
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆股利分派資料`);
+      return records.length;
 
-  } catch (error) {
-    await connection.rollback();
-    console.error('寫入股利資料失敗:', error.message);
-    throw error;
-  } finally {
-    connection.release();
-  }
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入股利資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
 }
 
 async function fetchRecentDividends() {
-  const year = new Date().getFullYear();
+  const year = parseInt(taipeiToday().slice(0, 4));
   return await fetchAndSaveDividends(year);
 }
 
@@ -157,6 +238,7 @@ if (require.main === module) {
 
 module.exports = {
   fetchDividends,
+  parseDividendHTML,
   fetchAndSaveDividends,
   fetchRecentDividends
 };
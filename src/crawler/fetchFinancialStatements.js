@@ -1,8 +1,12 @@
-const axios = require('axios');
 const { pool } = require('../database/connection');
+const { httpPost } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { updateReturnRatios } = require('./fetchBalanceSheets');
+const { latestReportedQuarter } = require('../utils/tradingCalendar');
+const { MOPS_MARKETS } = require('./markets');
 
 /**
- * 從 MOPS 抓取指定年/季的綜合損益表資料（上市公司）
+ * 從 MOPS 抓取指定年/季的綜合損益表資料（上市 + 上櫃）
  * @param {number} year - 西元年
  * @param {number} quarter - 季度 (1-4)
  */
@@ -13,156 +17,361 @@ async function fetchFinancialStatements(year, quarter) {
 
     // MOPS AJAX API - 綜合損益表
     const url = 'https://mops.twse.com.tw/mops/web/ajax_t163sb04';
+    const records = [];
 
-    const response = await axios.post(url,
-      `encodeURIComponent=1&step=1&firstin=1&off=1&isQuery=Y&TYPEK=sii&year=${rocYear}&season=0${quarter}`,
-      {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
+    for (const { market, typek } of MOPS_MARKETS) {
+      const html = await httpPost(url,
+        `encodeURIComponent=1&step=1&firstin=1&off=1&isQuery=Y&TYPEK=${typek}&year=${rocYear}&season=0${quarter}`,
+        { expect: 'html', archive: { dataset: 'financial_statements', date: `${year}Q${quarter}`, params: { year, quarter } } }
+      );
+
+      const { records: marketRecords, unmapped } = parseFinancialHTML(html, year, quarter, market);
+      if (marketRecords.length === 0) {
+        console.log(`${year} Q${quarter} 無${market}財報資料`);
+      }
+      for (const table of unmapped) {
+        console.log(`⚠ ${year} Q${quarter} 無法對應的${table.market}損益表格式（${table.stockIds.length} 家，略過）: ${table.stockIds.join(', ')}`);
+        console.log(`  表頭: ${table.headers.join(' | ')}`);
       }
-    );
+      records.push(...marketRecords);
+    }
 
-    const records = parseFinancialHTML(response.data, year, quarter);
     return records;
 
   } catch (error) {
     console.error(`抓取 ${year} Q${quarter} 財報失敗:`, error.message);
-    return [];
+    throw error;
+  }
+}
+
+const normalizeHeader = (str) => str.replace(/\s/g, '').replace(/（/g, '(').replace(/）/g, ')');
+
+const parseNum = (str) => {
+  if (!str || str === 'N/A' || str.trim() === '' || str.trim() === '--') return null;
+  const cleaned = str.replace(/,/g, '').replace(/\(/g, '-').replace(/\)/g, '');
+  const val = parseFloat(cleaned);
+  return isNaN(val) ? null : val;
+};
+
+// 各產業別共用欄位；淨利採歸屬母公司業主，與 EPS、ROE 的計算基礎一致
+const COMMON_COLUMNS = {
+  pretax_income: [
+    '稅前淨利(淨損)', '繼續營業單位稅前淨利(淨損)', '繼續營業單位稅前損益', '繼續營業單位稅前純益(純損)'
+  ],
+  net_income: [
+    '淨利(淨損)歸屬於母公司業主', '淨利(損)歸屬於母公司業主',
+    '本期淨利(淨損)', '本期稅後淨利(淨損)'
+  ],
+  eps: ['基本每股盈餘(元)']
+};
+
+/**
+ * 綜合損益表產業別格式
+ * 依表頭判斷格式（requires 全部存在、excludes 皆不存在，依序比對），再依欄位名稱對應
+ * 金融業沒有營業成本與毛利，營收以淨收益（或利息淨收益 + 利息以外淨損益）代表
+ */
+const INCOME_STATEMENT_TEMPLATES = [
+  {
+    template: 'financial_holding',
+    requires: ['利息淨收益', '保險負債準備淨變動'],
+    columns: {
+      revenue: ['淨收益'],
+      operating_expense: ['營業費用']
+    },
+    revenueParts: ['利息淨收益', '利息以外淨損益']
+  },
+  {
+    template: 'bank',
+    requires: ['利息淨收益'],
+    columns: {
+      revenue: ['淨收益'],
+      operating_expense: ['營業費用']
+    },
+    revenueParts: ['利息淨收益', '利息以外淨損益']
+  },
+  {
+    template: 'securities',
+    requires: ['收益', '支出及費用'],
+    columns: {
+      revenue: ['收益'],
+      operating_expense: ['支出及費用'],
+      operating_income: ['營業利益'],
+      non_operating_income: ['營業外損益']
+    }
+  },
+  {
+    template: 'insurance',
+    requires: ['營業收入', '營業成本'],
+    excludes: ['營業毛利(毛損)'],
+    columns: {
+      revenue: ['營業收入'],
+      operating_expense: ['營業費用'],
+      operating_income: ['營業利益(損失)'],
+      non_operating_income: ['營業外收入及支出']
+    }
+  },
+  {
+    template: 'general',
+    requires: ['營業收入', '營業毛利(毛損)'],
+    columns: {
+      revenue: ['營業收入'],
+      operating_cost: ['營業成本'],
+      gross_profit: ['營業毛利(毛損)淨額', '營業毛利(毛損)'],
+      operating_expense: ['營業費用'],
+      operating_income: ['營業利益(損失)'],
+      non_operating_income: ['營業外收入及支出']
+    }
+  },
+  {
+    template: 'other',
+    requires: ['收入', '支出'],
+    columns: {
+      revenue: ['收入'],
+      operating_expense: ['支出']
+    }
   }
+];
+
+const INCOME_FIELDS = [
+  'revenue', 'operating_cost', 'gross_profit', 'operating_expense', 'operating_income',
+  'non_operating_income', 'pretax_income', 'net_income', 'eps'
+];
+
+/**
+ * 依表頭找出適用的產業別格式與欄位位置
+ * 上市、上櫃的產業別表格格式相同，market 僅隨結果帶回供記錄來源
+ * @param {string[]} headers - 正規化後的表頭
+ * @param {string} [market] - 市場別（上市 / 上櫃）
+ * @returns {Object|null} 無法辨識或缺少淨利 / EPS 欄位時回傳 null
+ */
+function resolveTemplate(headers, market) {
+  const spec = INCOME_STATEMENT_TEMPLATES.find(t =>
+    t.requires.every(h => headers.includes(h)) &&
+    !(t.excludes || []).some(h => headers.includes(h))
+  );
+  if (!spec) return null;
+
+  const columns = {};
+  for (const [field, names] of Object.entries({ ...COMMON_COLUMNS, ...spec.columns })) {
+    columns[field] = names.map(n => headers.indexOf(n)).find(i => i >= 0);
+  }
+  if (columns.net_income === undefined || columns.eps === undefined) return null;
+
+  const revenueParts = columns.revenue === undefined && spec.revenueParts
+    ? spec.revenueParts.map(n => headers.indexOf(n))
+    : null;
+
+  return { template: spec.template, market, columns, revenueParts };
 }
 
 /**
- * 解析 MOPS 回傳的 HTML 表格
+ * 解析 MOPS 綜合損益表彙總表
+ * 回應中每個產業別各一個表格，依表頭名稱對應欄位；無法對應的表格不寫入並列於 unmapped
+ * @param {string} [market] - 市場別（上市 / 上櫃），用於標示無法對應的表格
+ * @returns {Object} { records, unmapped: [{ market, headers, stockIds }] }
  */
-function parseFinancialHTML(html, year, quarter) {
+function parseFinancialHTML(html, year, quarter, market) {
   const cheerio = require('cheerio');
   const $ = cheerio.load(html);
   const records = [];
+  const unmapped = [];
+
+  $('table').each((_, table) => {
+    const headers = $(table).find('tr').first().find('th')
+      .map((i, th) => normalizeHeader($(th).text())).get();
+
+    const stockIdIndex = headers.indexOf('公司代號');
+    if (stockIdIndex < 0) return;
 
-  $('table tr').each((_, row) => {
-    const cells = $(row).find('td');
-    if (cells.length < 8) return;
-
-    const stockId = $(cells[0]).text().trim();
-    if (!/^\d{4}$/.test(stockId)) return;
-
-    const parseNum = (str) => {
-      if (!str || str === 'N/A' || str.trim() === '') return null;
-      const cleaned = str.replace(/,/g, '').replace(/\(/g, '-').replace(/\)/g, '');
-      const val = parseFloat(cleaned);
-      return isNaN(val) ? null : val;
-    };
-
-    records.push({
-      stock_id: stockId,
-      year: year,
-      quarter: quarter,
-      report_type: '合併',
-      revenue: parseNum($(cells[2]).text()),
-      operating_cost: parseNum($(cells[3]).text()),
-      gross_profit: parseNum($(cells[4]).text()),
-      operating_expense: parseNum($(cells[5]).text()),
-      operating_income: parseNum($(cells[6]).text()),
-      non_operating_income: parseNum($(cells[7]).text()),
-      pretax_income: parseNum($(cells[8]).text()),
-      net_income: parseNum($(cells[9]).text()),
-      eps: parseNum($(cells[10]).text())
-    });
+    const rows = $(table).find('tr').toArray()
+      .map(row => $(row).find('td'))
+      .filter(cells => cells.length >= headers.length &&
+        /^\d{4}$/.test($(cells[stockIdIndex]).text().trim()));
+    if (rows.length === 0) return;
+
+    const mapping = resolveTemplate(headers, market);
+    if (!mapping) {
+      unmapped.push({ market, headers, stockIds: rows.map(cells => $(cells[stockIdIndex]).text().trim()) });
+      return;
+    }
+
+    for (const cells of rows) {
+      const record = {
+        stock_id: $(cells[stockIdIndex]).text().trim(),
+        year: year,
+        quarter: quarter,
+        report_type: '合併',
+        statement_template: mapping.template
+      };
+      for (const field of INCOME_FIELDS) {
+        const index = mapping.columns[field];
+        record[field] = index === undefined ? null : parseNum($(cells[index]).text());
+      }
+
+      if (mapping.revenueParts) {
+        const parts = mapping.revenueParts.map(i => (i >= 0 ? parseNum($(cells[i]).text()) : null));
+        record.revenue = parts.some(v => v !== null) ? parts.reduce((sum, v) => sum + (v || 0), 0) : null;
+      }
+
+      records.push(record);
+    }
   });
 
-  return records;
+  return { records, unmapped };
 }
 
+// 損益表累計 / 單季對應欄位
+const INCOME_YTD_FIELDS = [
+  'revenue', 'operating_cost', 'gross_profit', 'operating_expense', 'operating_income',
+  'non_operating_income', 'pretax_income', 'net_income', 'eps'
+];
+
 /**
- * 抓取並存入資料庫
+ * 由累計值推算單季損益，並重算單季利潤率與 ROE / ROA
+ * Q1 即單季；Q2~Q4 為本季累計減前季累計（Q4 = 全年度 - 前三季）
+ * 前一季累計值缺漏時單季值為 NULL，不以累計值代替
+ * 重算整年度：補抓較早季度後，後續季度的單季值也會跟著更新
  */
-async function fetchAndSaveFinancialStatements(year, quarter) {
-  const records = await fetchFinancialStatements(year, quarter);
+async function deriveQuarterlyIncome(connection, year) {
+  const assignments = INCOME_YTD_FIELDS.map(f =>
+    `cur.${f} = IF(cur.quarter = 1, cur.${f}_ytd, cur.${f}_ytd - prev.${f}_ytd)`
+  ).join(',\n       ');
+
+  await connection.query(
+    `UPDATE financial_statements cur
+     LEFT JOIN financial_statements prev
+       ON prev.stock_id = cur.stock_id AND prev.year = cur.year AND prev.quarter = cur.quarter - 1
+     SET
+       ${assignments}
+     WHERE cur.year = ? AND (cur.eps_ytd IS NOT NULL OR cur.revenue_ytd IS NOT NULL)`,
+    [year]
+  );
+
+  // 利潤率欄位為 DECIMAL(5,2)，營收極小時比率可能超出範圍
+  const margin = (field) =>
+    `CASE WHEN revenue > 0 AND ${field} IS NOT NULL
+       THEN LEAST(GREATEST(${field} / revenue * 100, -999.99), 999.99) END`;
+
+  await connection.query(
+    `INSERT INTO financial_ratios (stock_id, year, quarter, gross_margin, operating_margin, net_margin)
+     SELECT stock_id, year, quarter, ${margin('gross_profit')}, ${margin('operating_income')}, ${margin('net_income')}
+     FROM financial_statements
+     WHERE year = ? AND revenue IS NOT NULL
+     ON DUPLICATE KEY UPDATE
+     gross_margin = VALUES(gross_margin), operating_margin = VALUES(operating_margin),
+     net_margin = VALUES(net_margin)`,
+    [year]
+  );
 
-  if (records.length === 0) {
-    console.log('無財報資料可寫入');
-    return 0;
+  // ROE / ROA 以近四季淨利計算，隔年前三季也包含本年度的季度
+  for (let quarter = 1; quarter <= 4; quarter++) {
+    await updateReturnRatios(connection, year, quarter);
   }
+  for (let quarter = 1; quarter <= 3; quarter++) {
+    await updateReturnRatios(connection, year + 1, quarter);
+  }
+}
+
+/**
+ * 以資料庫中的累計值重新推算所有年度的單季損益（不連網）
+ */
+async function rederiveQuarterlyIncome() {
+  const [years] = await pool.query(
+    `SELECT DISTINCT year FROM financial_statements WHERE eps_ytd IS NOT NULL OR revenue_ytd IS NOT NULL ORDER BY year`
+  );
 
   const connection = await pool.getConnection();
   try {
-    await connection.beginTransaction();
-
-    for (const r of records) {
-      // 寫入 financial_statements
-      await connection.query(
-        `INSERT INTO financial_statements
-        (stock_id, year, quarter, report_type, revenue, operating_cost, gross_profit,
-         operating_expense, operating_income, non_operating_income, pretax_income,
-         net_income, eps)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-        report_type = VALUES(report_type), revenue = VALUES(revenue),
-        operating_cost = VALUES(operating_cost), gross_profit = VALUES(gross_profit),
-        operating_expense = VALUES(operating_expense), operating_income = VALUES(operating_income),
-        non_operating_income = VALUES(non_operating_income), pretax_income = VALUES(pretax_income),
-        net_income = VALUES(net_income), eps = VALUES(eps)`,
-        [r.stock_id, r.year, r.quarter, r.report_type, r.revenue, r.operating_cost,
-         r.gross_profit, r.operating_expense, r.operating_income, r.non_operating_income,
-         r.pretax_income, r.net_income, r.eps]
-      );
+    for (const { year } of years) {
+      await connection.beginTransaction();
+      await deriveQuarterlyIncome(connection, year);
+      await connection.commit();
+      console.log(`✓ ${year} 年單季損益已重新推算`);
+    }
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return years.length;
+}
+
+/**
+ * 抓取並存入資料庫
+ */
+async function fetchAndSaveFinancialStatements(year, quarter) {
+  return await recordCrawlRun('financial_statements', `${year}Q${quarter}`, async () => {
+    const records = await fetchFinancialStatements(year, quarter);
+
+    if (records.length === 0) {
+      console.log('無財報資料可寫入');
+      return 0;
+    }
 
-      // 計算並寫入 financial_ratios
-      if (r.revenue && r.revenue !== 0) {
-        const grossMargin = r.gross_profit ? (r.gross_profit / r.revenue * 100) : null;
-        const operatingMargin = r.operating_income ? (r.operating_income / r.revenue * 100) : null;
-        const netMargin = r.net_income ? (r.net_income / r.revenue * 100) : null;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
 
+      for (const r of records) {
+        // MOPS 為年初至今累計值，寫入 *_ytd 欄位後再推算單季
         await connection.query(
-          `INSERT INTO financial_ratios
-          (stock_id, year, quarter, gross_margin, operating_margin, net_margin)
-          VALUES (?, ?, ?, ?, ?, ?)
+          `INSERT INTO financial_statements
+          (stock_id, year, quarter, report_type, statement_template, revenue_ytd, operating_cost_ytd,
+           gross_profit_ytd, operating_expense_ytd, operating_income_ytd, non_operating_income_ytd,
+           pretax_income_ytd, net_income_ytd, eps_ytd)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
           ON DUPLICATE KEY UPDATE
-          gross_margin = VALUES(gross_margin), operating_margin = VALUES(operating_margin),
-          net_margin = VALUES(net_margin)`,
-          [r.stock_id, r.year, r.quarter, grossMargin, operatingMargin, netMargin]
+          report_type = VALUES(report_type), statement_template = VALUES(statement_template),
+          revenue_ytd = VALUES(revenue_ytd), operating_cost_ytd = VALUES(operating_cost_ytd),
+          gross_profit_ytd = VALUES(gross_profit_ytd), operating_expense_ytd = VALUES(operating_expense_ytd),
+          operating_income_ytd = VALUES(operating_income_ytd),
+          non_operating_income_ytd = VALUES(non_operating_income_ytd),
+          pretax_income_ytd = VALUES(pretax_income_ytd), net_income_ytd = VALUES(net_income_ytd),
+          eps_ytd = VALUES(eps_ytd)`,
+          [r.stock_id, r.year, r.quarter, r.report_type, r.statement_template, r.revenue, r.operating_cost,
+           r.gross_profit, r.operating_expense, r.operating_income, r.non_operating_income,
+           r.pretax_income, r.net_income, r.eps]
         );
       }
-    }
 
-    await connection.commit();
-    console.log(`✓ 成功寫入 ${records.length} 筆財報資料`);
-    return records.length;
+      await deriveQuarterlyIncome(connection, year);
 
-  } catch (error) {
-    await connection.rollback();
-    console.error('寫入財報資料失敗:', error.message);
-    throw error;
-  } finally {
-    connection.release();
-  }
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆財報資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入財報資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
 }
 
 /**
- * 抓取最近季度的財報
+ * 抓取最近季度的財報（依申報期限判斷最近已公布的季度）
  */
 async function fetchRecentFinancialStatements() {
-  const now = new Date();
-  let year = now.getFullYear();
-  let quarter = Math.ceil(now.getMonth() / 3); // 當前季度
-  // 財報通常延後一季公佈
-  quarter -= 1;
-  if (quarter <= 0) {
-    year -= 1;
-    quarter = 4;
-  }
+  const { year, quarter } = latestReportedQuarter();
   return await fetchAndSaveFinancialStatements(year, quarter);
 }
 
+// 用法：
+//   node fetchFinancialStatements.js              最近一季
+//   node fetchFinancialStatements.js 2024 2       指定年季
+//   node fetchFinancialStatements.js --rederive   以既有累計值重新推算所有單季損益
 if (require.main === module) {
   const yearArg = process.argv[2] ? parseInt(process.argv[2]) : null;
   const quarterArg = process.argv[3] ? parseInt(process.argv[3]) : null;
 
-  const fn = (yearArg && quarterArg)
+  let fn = (yearArg && quarterArg)
     ? () => fetchAndSaveFinancialStatements(yearArg, quarterArg)
     : fetchRecentFinancialStatements;
+  if (process.argv.includes('--rederive')) fn = rederiveQuarterlyIncome;
 
   fn()
     .then(() => { console.log('完成！'); process.exit(0); })
@@ -171,6 +380,8 @@ if (require.main === module) {
 
 module.exports = {
   fetchFinancialStatements,
+  parseFinancialHTML,
   fetchAndSaveFinancialStatements,
-  fetchRecentFinancialStatements
+  fetchRecentFinancialStatements,
+  rederiveQuarterlyIncome
 };
@@ -0,0 +1,199 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { lastTradingDay, toCompactDate } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, toRocDate } = require('./markets');
+
+const parseNum = (str) => {
+  if (str === undefined || str === null || str === '--' || String(str).trim() === '') return null;
+  const val = parseFloat(String(str).replace(/,/g, '').replace(/%/g, ''));
+  return isNaN(val) ? null : val;
+};
+
+// TWSE MI_QFIIS 欄位名稱（依 fields 對應，找不到時使用預設位置）
+const TWSE_FIELDS = {
+  stock_id: ['證券代號', 0],
+  issued_shares: ['發行股數', 3],
+  available_shares: ['外資及陸資尚可投資股數', 4],
+  foreign_shares: ['全體外資及陸資持有股數', 5],
+  available_ratio: ['外資及陸資尚可投資比率', 6],
+  holding_ratio: ['全體外資及陸資持股比率', 7],
+  limit_ratio: ['外資及陸資共用法令投資上限比率', 8]
+};
+
+/**
+ * 抓取上市股票外資及陸資持股統計（TWSE MI_QFIIS）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTwseForeignHoldings(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/fund/MI_QFIIS?response=json&date=${date}&selectType=ALLBUT0999`;
+
+  const data = await httpGet(url, { archive: { dataset: 'foreign_holdings', date } });
+
+  if (data.stat !== 'OK' || !data.data) {
+    return [];
+  }
+
+  const fields = (data.fields || []).map(f => String(f).trim());
+  const index = {};
+  for (const [key, [name, fallback]] of Object.entries(TWSE_FIELDS)) {
+    const found = fields.indexOf(name);
+    index[key] = found >= 0 ? found : fallback;
+  }
+
+  const records = [];
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  for (const row of data.data) {
+    const stockId = String(row[index.stock_id]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      issued_shares: parseNum(row[index.issued_shares]),
+      foreign_shares: parseNum(row[index.foreign_shares]),
+      available_shares: parseNum(row[index.available_shares]),
+      holding_ratio: parseNum(row[index.holding_ratio]),
+      available_ratio: parseNum(row[index.available_ratio]),
+      limit_ratio: parseNum(row[index.limit_ratio])
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取上櫃股票外資及陸資持股統計（TPEx）
+ * 欄位：代號、名稱、發行股數、外資及陸資尚可投資股數、全體外資及陸資持有股數、
+ *       外資及陸資尚可投資比率、全體外資及陸資持股比率、法令投資上限比率
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTpexForeignHoldings(date) {
+  const url = `https://www.tpex.org.tw/web/stock/3insti/qfii/qfii_result.php?l=zh-tw&o=json&d=${toRocDate(date)}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'foreign_holdings', date } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    return [];
+  }
+
+  const records = [];
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  for (const row of data.aaData) {
+    const stockId = String(row[0]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      issued_shares: parseNum(row[2]),
+      available_shares: parseNum(row[3]),
+      foreign_shares: parseNum(row[4]),
+      available_ratio: parseNum(row[5]),
+      holding_ratio: parseNum(row[6]),
+      limit_ratio: parseNum(row[7])
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定日期的外資持股資料（上市 + 上櫃）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchForeignHoldings(date) {
+  console.log(`抓取 ${date} 外資持股資料...`);
+
+  const sources = [
+    { market: MARKET_TWSE, fetch: fetchTwseForeignHoldings },
+    { market: MARKET_TPEX, fetch: fetchTpexForeignHoldings }
+  ];
+  const records = [];
+
+  for (const source of sources) {
+    const marketRecords = await source.fetch(date);
+    if (marketRecords.length === 0) {
+      console.log(`${date} 無${source.market}外資持股資料（可能非交易日）`);
+    }
+    records.push(...marketRecords);
+  }
+
+  return records;
+}
+
+/**
+ * 抓取並存入資料庫
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchAndSaveForeignHoldings(date) {
+  return await recordCrawlRun('foreign_holdings', date, async () => {
+    const fetched = await fetchForeignHoldings(date);
+
+    if (fetched.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO foreign_holdings
+          (stock_id, trade_date, issued_shares, foreign_shares, available_shares,
+           holding_ratio, available_ratio, limit_ratio)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          issued_shares = VALUES(issued_shares), foreign_shares = VALUES(foreign_shares),
+          available_shares = VALUES(available_shares), holding_ratio = VALUES(holding_ratio),
+          available_ratio = VALUES(available_ratio), limit_ratio = VALUES(limit_ratio)`,
+          [r.stock_id, r.trade_date, r.issued_shares, r.foreign_shares, r.available_shares,
+           r.holding_ratio, r.available_ratio, r.limit_ratio]
+        );
+      }
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆外資持股資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入外資持股資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+async function fetchRecentForeignHoldings() {
+  const date = await lastTradingDay({ dataset: 'foreign_holdings' });
+  return await fetchAndSaveForeignHoldings(toCompactDate(date));
+}
+
+if (require.main === module) {
+  const dateArg = process.argv[2];
+  const fn = dateArg
+    ? () => fetchAndSaveForeignHoldings(dateArg)
+    : fetchRecentForeignHoldings;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchForeignHoldings,
+  fetchTwseForeignHoldings,
+  fetchTpexForeignHoldings,
+  fetchAndSaveForeignHoldings,
+  fetchRecentForeignHoldings
+};
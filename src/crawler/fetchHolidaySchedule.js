@@ -0,0 +1,122 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { rocToISODate } = require('./markets');
+const { clearHolidayCache, taipeiToday } = require('../utils/tradingCalendar');
+
+/**
+ * 抓取證交所市場開休市日期表
+ * 表中「開始交易日」「最後交易日」等說明列本身是交易日，需排除
+ * @param {number} year - 西元年
+ */
+async function fetchHolidaySchedule(year) {
+  try {
+    console.log(`抓取 ${year} 年休市日期表...`);
+
+    const url = `https://www.twse.com.tw/rwd/zh/holidaySchedule/holidaySchedule?response=json&queryYear=${year - 1911}`;
+    const data = await httpGet(url, { archive: { dataset: 'holiday_schedule', date: year, params: { year } } });
+
+    if (data.stat !== 'OK' || !data.data) {
+      console.log(`${year} 年無休市日期資料`);
+      return [];
+    }
+
+    const records = [];
+    for (const row of data.data) {
+      const rawDate = String(row[0]).trim();
+      const name = String(row[1]).trim();
+
+      const holidayDate = /^\d{4}-\d{2}-\d{2}$/.test(rawDate) ? rawDate : rocToISODate(rawDate);
+      if (!holidayDate) continue;
+      if (name.includes('開始交易') || name.includes('最後交易')) continue;
+
+      records.push({ holiday_date: holidayDate, name });
+    }
+
+    return records;
+
+  } catch (error) {
+    console.error(`抓取 ${year} 年休市日期表失敗:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * 抓取並存入資料庫
+ */
+async function fetchAndSaveHolidaySchedule(year) {
+  return await recordCrawlRun('holiday_schedule', year, async () => {
+    const records = await fetchHolidaySchedule(year);
+
+    if (records.length === 0) {
+      console.log('無休市資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO market_holidays (holiday_date, name, source)
+          VALUES (?, ?, 'twse')
+          ON DUPLICATE KEY UPDATE name = VALUES(name)`,
+          [r.holiday_date, r.name]
+        );
+      }
+
+      await connection.commit();
+      clearHolidayCache();
+      console.log(`✓ 成功寫入 ${records.length} 筆休市日`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入休市日失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+/**
+ * 新增臨時休市日（颱風停止交易等）
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} reason - 休市原因
+ */
+async function addMarketClosure(date, reason = '臨時休市') {
+  await pool.query(
+    `INSERT INTO market_holidays (holiday_date, name, source)
+    VALUES (?, ?, 'manual')
+    ON DUPLICATE KEY UPDATE name = VALUES(name), source = VALUES(source)`,
+    [date, reason]
+  );
+  clearHolidayCache();
+  console.log(`✓ 已新增臨時休市日 ${date}（${reason}）`);
+}
+
+// 用法：
+//   node fetchHolidaySchedule.js [year]                     抓取年度休市表（預設今年）
+//   node fetchHolidaySchedule.js --closure 2024-07-25 颱風   新增臨時休市日
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let fn;
+  if (args[0] === '--closure') {
+    fn = () => addMarketClosure(args[1], args[2]);
+  } else {
+    const year = args[0] ? parseInt(args[0]) : parseInt(taipeiToday().slice(0, 4));
+    fn = () => fetchAndSaveHolidaySchedule(year);
+  }
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchHolidaySchedule,
+  fetchAndSaveHolidaySchedule,
+  addMarketClosure
+};
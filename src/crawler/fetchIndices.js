@@ -0,0 +1,386 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { lastTradingDay, toCompactDate, tradingDaysBetween } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, toRocMonth, rocToISODate } = require('./markets');
+
+const parseNum = (str) => {
+  if (str === undefined || str === null) return null;
+  const cleaned = String(str).replace(/<[^>]*>/g, '').replace(/,/g, '').trim();
+  if (cleaned === '' || cleaned === '--') return null;
+  const val = parseFloat(cleaned);
+  return isNaN(val) ? null : val;
+};
+
+const MARKET_INDICES = [
+  { index_id: 'TAIEX', index_name: '發行量加權股價指數', market_type: MARKET_TWSE, category: 'market', industry: null },
+  { index_id: 'TPEX', index_name: '櫃買指數', market_type: MARKET_TPEX, category: 'market', industry: null }
+];
+
+// 證交所類股指數：[代號, 指數名稱, 對應 stocks.industry]
+const TWSE_SECTOR_INDICES = [
+  ['CEMENT', '水泥類指數', '水泥工業'],
+  ['FOOD', '食品類指數', '食品工業'],
+  ['PLASTICS', '塑膠類指數', '塑膠工業'],
+  ['TEXTILES', '紡織纖維類指數', '紡織纖維'],
+  ['ELECTRIC_MACHINERY', '電機機械類指數', '電機機械'],
+  ['ELECTRICAL_CABLE', '電器電纜類指數', '電器電纜'],
+  ['CHEMICAL_BIOTECH', '化學生技醫療類指數', null],
+  ['CHEMICAL', '化學類指數', '化學工業'],
+  ['BIOTECH', '生技醫療類指數', '生技醫療業'],
+  ['GLASS_CERAMICS', '玻璃陶瓷類指數', '玻璃陶瓷'],
+  ['PAPER', '造紙類指數', '造紙工業'],
+  ['STEEL', '鋼鐵類指數', '鋼鐵工業'],
+  ['RUBBER', '橡膠類指數', '橡膠工業'],
+  ['AUTOMOBILE', '汽車類指數', '汽車工業'],
+  ['ELECTRONICS', '電子工業類指數', null],
+  ['SEMICONDUCTOR', '半導體類指數', '半導體業'],
+  ['COMPUTER', '電腦及週邊設備類指數', '電腦及週邊設備業'],
+  ['OPTOELECTRONICS', '光電類指數', '光電業'],
+  ['COMMUNICATIONS', '通信網路類指數', '通信網路業'],
+  ['ELECTRONIC_COMPONENTS', '電子零組件類指數', '電子零組件業'],
+  ['ELECTRONIC_DISTRIBUTION', '電子通路類指數', '電子通路業'],
+  ['INFORMATION_SERVICE', '資訊服務類指數', '資訊服務業'],
+  ['OTHER_ELECTRONICS', '其他電子類指數', '其他電子業'],
+  ['CONSTRUCTION', '建材營造類指數', '建材營造業'],
+  ['SHIPPING', '航運類指數', '航運業'],
+  ['TOURISM', '觀光餐旅類指數', '觀光餐旅'],
+  ['FINANCE', '金融保險類指數', '金融保險業'],
+  ['TRADING', '貿易百貨類指數', '貿易百貨業'],
+  ['OIL_GAS', '油電燃氣類指數', '油電燃氣業'],
+  ['GREEN_ENERGY', '綠能環保類指數', '綠能環保'],
+  ['DIGITAL_CLOUD', '數位雲端類指數', '數位雲端'],
+  ['SPORTS_LEISURE', '運動休閒類指數', '運動休閒'],
+  ['HOME_LIVING', '居家生活類指數', '居家生活'],
+  ['OTHER', '其他類指數', '其他業']
+].map(([indexId, name, industry]) => ({
+  index_id: indexId, index_name: name, market_type: MARKET_TWSE, category: 'sector', industry
+}));
+
+const INDEX_DEFINITIONS = [...MARKET_INDICES, ...TWSE_SECTOR_INDICES];
+
+// 證交所報表中的指數名稱 -> index_id（舊名稱一併對應）
+const TWSE_INDEX_NAMES = new Map([
+  ...[MARKET_INDICES[0], ...TWSE_SECTOR_INDICES].map(i => [i.index_name, i.index_id]),
+  ['電子類指數', 'ELECTRONICS'],
+  ['觀光事業類指數', 'TOURISM']
+]);
+
+const stripTags = (str) => String(str).replace(/<[^>]*>/g, '').trim();
+
+/**
+ * 抓取上市指數收盤（TWSE MI_INDEX，type=IND）
+ * 回應含多個指數表格，依指數名稱取出追蹤中的大盤與類股指數
+ * 欄位：指數、收盤指數、漲跌(+/-)、漲跌點數、漲跌百分比(%)、特殊處理註記
+ * @param {string} date - YYYYMMDD 格式
+ * @returns {Promise<Map>} index_id -> { close_price, change_amount, change_percent }
+ */
+async function fetchTwseIndexCloses(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/afterTrading/MI_INDEX?response=json&date=${date}&type=IND`;
+
+  const data = await httpGet(url, { archive: { dataset: 'index_prices', date } });
+
+  const result = new Map();
+  if (data.stat !== 'OK') return result;
+
+  for (const table of data.tables || []) {
+    const fields = (table.fields || []).map(f => String(f).trim());
+    if (fields[0] !== '指數' || !table.data) continue;
+
+    for (const row of table.data) {
+      const indexId = TWSE_INDEX_NAMES.get(stripTags(row[0]));
+      if (!indexId || result.has(indexId)) continue;
+
+      const close = parseNum(row[1]);
+      if (close === null) continue;
+
+      const sign = stripTags(row[2]).includes('-') ? -1 : 1;
+      const points = parseNum(row[3]);
+      const percent = parseNum(row[4]);
+      result.set(indexId, {
+        close_price: close,
+        change_amount: points === null ? null : Math.abs(points) * sign,
+        change_percent: percent === null ? null : Math.abs(percent) * sign
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 由每 5 秒指數統計推算上市指數開高低（TWSE MI_5MINS_INDEX）
+ * 欄位：時間、發行量加權股價指數、各類股指數…
+ * @param {string} date - YYYYMMDD 格式
+ * @returns {Promise<Map>} index_id -> { open_price, high_price, low_price }
+ */
+async function fetchTwseIndexRanges(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/TAIEX/MI_5MINS_INDEX?response=json&date=${date}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'index_prices', date } });
+
+  const result = new Map();
+  if (data.stat !== 'OK' || !data.data || data.data.length === 0) return result;
+
+  const fields = (data.fields || []).map(f => String(f).trim());
+  fields.forEach((name, column) => {
+    const indexId = TWSE_INDEX_NAMES.get(name);
+    if (!indexId) return;
+
+    const values = data.data.map(row => parseNum(row[column])).filter(v => v !== null && v > 0);
+    if (values.length === 0) return;
+
+    result.set(indexId, {
+      open_price: values[0],
+      high_price: Math.max(...values),
+      low_price: Math.min(...values)
+    });
+  });
+
+  return result;
+}
+
+/**
+ * 抓取上市大盤與類股指數日K
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTwseIndices(date) {
+  const closes = await fetchTwseIndexCloses(date);
+  if (closes.size === 0) return [];
+
+  const ranges = await fetchTwseIndexRanges(date);
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  return [...closes].map(([indexId, close]) => ({
+    index_id: indexId,
+    trade_date: tradeDate,
+    open_price: null,
+    high_price: null,
+    low_price: null,
+    ...ranges.get(indexId),
+    ...close
+  }));
+}
+
+/**
+ * 抓取櫃買指數日K（TPEx 櫃買指數歷史資料，每次回傳整月）
+ * 保留該月至指定日期為止的每一天，每日更新時也會補齊當月先前漏抓的日期
+ * 欄位：日期、開市、最高、最低、收市、漲/跌
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTpexIndex(date) {
+  const url = `https://www.tpex.org.tw/web/stock/iNdex_info/inxh/Inx_result.php?l=zh-tw&o=json&d=${toRocMonth(date)}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'index_prices', date } });
+
+  if (!data.aaData || data.aaData.length === 0) return [];
+
+  const isoDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  const records = [];
+
+  for (const row of data.aaData) {
+    const tradeDate = rocToISODate(stripTags(row[0]));
+    if (!tradeDate || tradeDate > isoDate) continue;
+
+    const close = parseNum(row[4]);
+    const change = parseNum(row[5]);
+    const prevClose = close !== null && change !== null ? close - change : null;
+
+    records.push({
+      index_id: 'TPEX',
+      trade_date: tradeDate,
+      open_price: parseNum(row[1]),
+      high_price: parseNum(row[2]),
+      low_price: parseNum(row[3]),
+      close_price: close,
+      change_amount: change,
+      change_percent: prevClose ? +(change / prevClose * 100).toFixed(2) : null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定日期的大盤與類股指數（上市 + 上櫃）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchIndexPrices(date) {
+  console.log(`抓取 ${date} 指數資料...`);
+
+  const sources = [
+    { market: MARKET_TWSE, fetch: fetchTwseIndices },
+    { market: MARKET_TPEX, fetch: fetchTpexIndex }
+  ];
+  const records = [];
+
+  for (const source of sources) {
+    const marketRecords = await source.fetch(date);
+    if (marketRecords.length === 0) {
+      console.log(`${date} 無${source.market}指數資料（可能非交易日）`);
+    }
+    records.push(...marketRecords);
+  }
+
+  return records.filter(r => r.close_price !== null);
+}
+
+/**
+ * 寫入指數基本資料（名稱、類別、對應產業）
+ */
+async function saveIndexDefinitions(connection) {
+  for (const d of INDEX_DEFINITIONS) {
+    await connection.query(
+      `INSERT INTO market_indices (index_id, index_name, market_type, category, industry)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+       index_name = VALUES(index_name), market_type = VALUES(market_type),
+       category = VALUES(category), industry = VALUES(industry)`,
+      [d.index_id, d.index_name, d.market_type, d.category, d.industry]
+    );
+  }
+}
+
+/**
+ * 寫入指數日K（含指數基本資料）
+ * @returns {Promise<number>} 寫入筆數
+ */
+async function saveIndexPrices(records) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await saveIndexDefinitions(connection);
+
+    for (const r of records) {
+      await connection.query(
+        `INSERT INTO index_prices
+        (index_id, trade_date, open_price, high_price, low_price, close_price, change_amount, change_percent)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+        open_price = VALUES(open_price), high_price = VALUES(high_price), low_price = VALUES(low_price),
+        close_price = VALUES(close_price), change_amount = VALUES(change_amount),
+        change_percent = VALUES(change_percent)`,
+        [r.index_id, r.trade_date, r.open_price, r.high_price, r.low_price, r.close_price,
+         r.change_amount, r.change_percent]
+      );
+    }
+
+    await connection.commit();
+    console.log(`✓ 成功寫入 ${records.length} 筆指數資料`);
+    return records.length;
+
+  } catch (error) {
+    await connection.rollback();
+    console.error('寫入指數資料失敗:', error.message);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * 抓取並存入資料庫
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchAndSaveIndexPrices(date) {
+  return await recordCrawlRun('index_prices', date, async () => {
+    const records = await fetchIndexPrices(date);
+
+    if (records.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
+    }
+
+    return await saveIndexPrices(records);
+  });
+}
+
+/**
+ * 回補指定月份區間的指數日K
+ * 上市指數逐日抓取；櫃買指數每月只抓一次，再依日期分配到各交易日
+ * 指數技術指標需要至少 20 個交易日（MA60 需要 60 日），新安裝時先回補約三個月
+ * @param {Object} options
+ * @param {string} options.from - 起始年月 YYYY-MM
+ * @param {string} [options.to] - 結束年月 YYYY-MM，預設同 from
+ */
+async function backfillIndexPrices({ from, to = from }) {
+  if (!/^\d{4}-\d{2}$/.test(from) || !/^\d{4}-\d{2}$/.test(to)) {
+    throw new Error(`月份格式錯誤: ${from} ~ ${to}，應為 YYYY-MM`);
+  }
+
+  const [toYear, toMonth] = to.split('-').map(Number);
+  const monthEnd = new Date(Date.UTC(toYear, toMonth, 0)).toISOString().slice(0, 10);
+  const latest = await lastTradingDay({ dataset: 'index_prices' });
+  const days = await tradingDaysBetween(`${from}-01`, monthEnd < latest ? monthEnd : latest);
+
+  console.log(`回補指數日K：${from} ~ ${to}，共 ${days.length} 個交易日`);
+
+  const tpexByMonth = new Map();
+  const summary = { days: days.length, rows: 0, failed: [] };
+
+  for (const day of days) {
+    const month = day.slice(0, 7);
+    try {
+      if (!tpexByMonth.has(month)) {
+        // 以該月最後一個待回補的交易日查詢，一次取得整月
+        const lastDay = days.filter(d => d.startsWith(month)).pop();
+        tpexByMonth.set(month, await fetchTpexIndex(toCompactDate(lastDay)));
+      }
+
+      summary.rows += await recordCrawlRun('index_prices', toCompactDate(day), async () => {
+        const records = [
+          ...await fetchTwseIndices(toCompactDate(day)),
+          ...tpexByMonth.get(month).filter(r => r.trade_date === day)
+        ].filter(r => r.close_price !== null);
+
+        if (records.length === 0) {
+          console.log(`${day} 無指數資料`);
+          return 0;
+        }
+        return await saveIndexPrices(records);
+      });
+    } catch (error) {
+      console.error(`回補 ${day} 指數失敗:`, error.message);
+      summary.failed.push(day);
+    }
+  }
+
+  console.log(`✓ 指數回補完成：${summary.rows} 筆${summary.failed.length > 0 ? `，失敗 ${summary.failed.join(', ')}` : ''}`);
+  return summary;
+}
+
+async function fetchRecentIndexPrices() {
+  const date = await lastTradingDay({ dataset: 'index_prices' });
+  return await fetchAndSaveIndexPrices(toCompactDate(date));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getFlag = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  let fn;
+  if (getFlag('from')) {
+    fn = () => backfillIndexPrices({ from: getFlag('from'), to: getFlag('to') || getFlag('from') });
+  } else if (args[0]) {
+    fn = () => fetchAndSaveIndexPrices(args[0]);
+  } else {
+    fn = fetchRecentIndexPrices;
+  }
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  INDEX_DEFINITIONS,
+  fetchIndexPrices,
+  fetchTwseIndices,
+  fetchTpexIndex,
+  fetchAndSaveIndexPrices,
+  fetchRecentIndexPrices,
+  backfillIndexPrices
+};
@@ -1,63 +1,118 @@
-const axios = require('axios');
 const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { lastTradingDay, toCompactDate } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, toRocDate } = require('./markets');
+
+const parseNum = (str) => {
+  if (!str || str === '--') return 0;
+  return parseInt(String(str).replace(/,/g, ''), 10) || 0;
+};
 
 /**
- * 抓取指定日期的三大法人買賣超資料
+ * 抓取上市股票三大法人買賣超（TWSE T86）
  * @param {string} date - YYYYMMDD 格式
  */
-async function fetchInstitutionalTrading(date) {
-  try {
-    console.log(`抓取 ${date} 三大法人買賣超資料...`);
+async function fetchTwseInstitutionalTrading(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/fund/T86?response=json&date=${date}&selectType=ALL`;
 
-    const url = `https://www.twse.com.tw/rwd/zh/fund/T86?response=json&date=${date}&selectType=ALL`;
+  const data = await httpGet(url, { archive: { dataset: 'institutional', date } });
 
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
+  if (data.stat !== 'OK' || !data.data) {
+    return [];
+  }
+
+  const records = [];
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  for (const row of data.data) {
+    const stockId = row[0].trim();
+
+    // 只處理 4 碼股票代號
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      foreign_buy: parseNum(row[2]),
+      foreign_sell: parseNum(row[3]),
+      foreign_net: parseNum(row[4]),
+      trust_buy: parseNum(row[5]),
+      trust_sell: parseNum(row[6]),
+      trust_net: parseNum(row[7]),
+      dealer_net: parseNum(row[8]),   // 自營商合計買賣超
+      dealer_buy: parseNum(row[9]),   // 自營商自行買賣超 (buy side)
+      dealer_sell: parseNum(row[10]), // 自營商自行買賣超 (sell side)
+      total_net: parseNum(row[11])
     });
+  }
 
-    if (response.data.stat !== 'OK' || !response.data.data) {
-      console.log(`${date} 無三大法人資料（可能非交易日）`);
-      return [];
-    }
+  return records;
+}
 
-    const records = [];
-    const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
-
-    for (const row of response.data.data) {
-      const stockId = row[0].trim();
-
-      // 只處理 4 碼股票代號
-      if (!/^\d{4}$/.test(stockId)) continue;
-
-      const parseNum = (str) => {
-        if (!str || str === '--') return 0;
-        return parseInt(str.replace(/,/g, ''), 10) || 0;
-      };
-
-      records.push({
-        stock_id: stockId,
-        trade_date: tradeDate,
-        foreign_buy: parseNum(row[2]),
-        foreign_sell: parseNum(row[3]),
-        foreign_net: parseNum(row[4]),
-        trust_buy: parseNum(row[5]),
-        trust_sell: parseNum(row[6]),
-        trust_net: parseNum(row[7]),
-        dealer_net: parseNum(row[8]),   // 自營商合計買賣超
-        dealer_buy: parseNum(row[9]),   // 自營商自行買賣超 (buy side)
-        dealer_sell: parseNum(row[10]), // 自營商自行買賣超 (sell side)
-        total_net: parseNum(row[11])
-      });
-    }
+/**
+ * 抓取上櫃股票三大法人買賣超（TPEx 三大法人買賣明細）
+ * 欄位：代號、名稱、外資(不含自營)買/賣/超、外資自營商買/賣/超、外資合計買/賣/超、
+ *       投信買/賣/超、自營商(自行)買/賣/超、自營商(避險)買/賣/超、自營商合計買/賣/超、三大法人合計
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTpexInstitutionalTrading(date) {
+  const url = `https://www.tpex.org.tw/web/stock/3insti/daily_trade/3itrade_hedge_result.php?l=zh-tw&se=EW&t=D&d=${toRocDate(date)}`;
 
-    return records;
+  const data = await httpGet(url, { archive: { dataset: 'institutional', date } });
 
-  } catch (error) {
-    console.error(`抓取 ${date} 法人資料失敗:`, error.message);
+  if (!data.aaData || data.aaData.length === 0) {
     return [];
   }
+
+  const records = [];
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  for (const row of data.aaData) {
+    const stockId = String(row[0]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      foreign_buy: parseNum(row[8]),
+      foreign_sell: parseNum(row[9]),
+      foreign_net: parseNum(row[10]),
+      trust_buy: parseNum(row[11]),
+      trust_sell: parseNum(row[12]),
+      trust_net: parseNum(row[13]),
+      dealer_buy: parseNum(row[20]),
+      dealer_sell: parseNum(row[21]),
+      dealer_net: parseNum(row[22]),
+      total_net: parseNum(row[23])
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定日期的三大法人買賣超資料（上市 + 上櫃）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchInstitutionalTrading(date) {
+  console.log(`抓取 ${date} 三大法人買賣超資料...`);
+
+  const sources = [
+    { market: MARKET_TWSE, fetch: fetchTwseInstitutionalTrading },
+    { market: MARKET_TPEX, fetch: fetchTpexInstitutionalTrading }
+  ];
+  const records = [];
+
+  for (const source of sources) {
+    const marketRecords = await source.fetch(date);
+    if (marketRecords.length === 0) {
+      console.log(`${date} 無${source.market}三大法人資料（可能非交易日）`);
+    }
+    records.push(...marketRecords);
+  }
+
+  return records;
 }
 
 /**
@@ -65,57 +120,56 @@ async function fetchInstitutionalTrading(date) {
  * @param {string} date - YYYYMMDD 格式
  */
 async function fetchAndSaveInstitutionalTrading(date) {
-  const records = await fetchInstitutionalTrading(date);
-
-  if (records.length === 0) {
-    console.log('無資料可寫入');
-    return 0;
-  }
+  return await recordCrawlRun('institutional', date, async () => {
+    const records = await fetchInstitutionalTrading(date);
 
-  const connection = await pool.getConnection();
-  try {
-    await connection.beginTransaction();
-
-    for (const r of records) {
-      await connection.query(
-        `INSERT INTO institutional_trading
-        (stock_id, trade_date, foreign_buy, foreign_sell, foreign_net,
-         trust_buy, trust_sell, trust_net, dealer_buy, dealer_sell, dealer_net, total_net)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-        foreign_buy = VALUES(foreign_buy), foreign_sell = VALUES(foreign_sell),
-        foreign_net = VALUES(foreign_net), trust_buy = VALUES(trust_buy),
-        trust_sell = VALUES(trust_sell), trust_net = VALUES(trust_net),
-        dealer_buy = VALUES(dealer_buy), dealer_sell = VALUES(dealer_sell),
-        dealer_net = VALUES(dealer_net), total_net = VALUES(total_net)`,
-        [r.stock_id, r.trade_date, r.foreign_buy, r.foreign_sell, r.foreign_net,
-         r.trust_buy, r.trust_sell, r.trust_net, r.dealer_buy, r.dealer_sell,
-         r.dealer_net, r.total_net]
-      );
+    if (records.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
     }
 
-    await connection.commit();
-    console.log(`✓ 成功寫入 ${records.length} 筆法人買賣超資料`);
-    return records.length;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO institutional_trading
+          (stock_id, trade_date, foreign_buy, foreign_sell, foreign_net,
+           trust_buy, trust_sell, trust_net, dealer_buy, dealer_sell, dealer_net, total_net)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          foreign_buy = VALUES(foreign_buy), foreign_sell = VALUES(foreign_sell),
+          foreign_net = VALUES(foreign_net), trust_buy = VALUES(trust_buy),
+          trust_sell = VALUES(trust_sell), trust_net = VALUES(trust_net),
+          dealer_buy = VALUES(dealer_buy), dealer_sell = VALUES(dealer_sell),
+          dealer_net = VALUES(dealer_net), total_net = VALUES(total_net)`,
+          [r.stock_id, r.trade_date, r.foreign_buy, r.foreign_sell, r.foreign_net,
+           r.trust_buy, r.trust_sell, r.trust_net, r.dealer_buy, r.dealer_sell,
+           r.dealer_net, r.total_net]
+        );
+      }
 
-  } catch (error) {
-    await connection.rollback();
-    console.error('寫入法人資料失敗:', error.message);
-    throw error;
-  } finally {
-    connection.release();
-  }
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆法人買賣超資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入法人資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
 }
 
 /**
  * 抓取最近交易日的法人資料
  */
 async function fetchRecentInstitutionalTrading() {
-  const now = new Date();
-  const date = now.getFullYear().toString() +
-    String(now.getMonth() + 1).padStart(2, '0') +
-    String(now.getDate()).padStart(2, '0');
-  return await fetchAndSaveInstitutionalTrading(date);
+  const date = await lastTradingDay({ dataset: 'institutional' });
+  return await fetchAndSaveInstitutionalTrading(toCompactDate(date));
 }
 
 if (require.main === module) {
@@ -131,6 +185,8 @@ if (require.main === module) {
 
 module.exports = {
   fetchInstitutionalTrading,
+  fetchTwseInstitutionalTrading,
+  fetchTpexInstitutionalTrading,
   fetchAndSaveInstitutionalTrading,
   fetchRecentInstitutionalTrading
 };
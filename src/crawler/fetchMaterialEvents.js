@@ -0,0 +1,187 @@
+const cheerio = require('cheerio');
+const { pool } = require('../database/connection');
+const { httpPost } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { rocToISODate } = require('./markets');
+const { lastTradingDay, previousTradingDay, addDays, toCompactDate } = require('../utils/tradingCalendar');
+
+// 主旨關鍵字分類，依序比對（澄清報導常提及營收或獲利，需優先判斷）
+const EVENT_CATEGORIES = [
+  { category: 'clarification', keywords: ['澄清', '媒體報導', '新聞報導'] },
+  { category: 'investor_conference', keywords: ['法人說明會', '法說會'] },
+  { category: 'merger', keywords: ['合併', '收購', '分割', '股份轉換'] },
+  { category: 'treasury_stock', keywords: ['庫藏股', '買回本公司股份'] },
+  { category: 'dividend', keywords: ['股利', '除息', '除權', '配息', '盈餘分配'] },
+  { category: 'earnings', keywords: ['財務報告', '財務報表', '自結', '營收', '獲利', '損益', '每股盈餘'] },
+  { category: 'financing', keywords: ['增資', '減資', '私募', '公司債', '背書保證', '資金貸與', '聯貸'] },
+  { category: 'asset', keywords: ['取得', '處分', '不動產', '機器設備', '有價證券'] },
+  { category: 'personnel', keywords: ['董事長', '總經理', '發言人', '財務主管', '會計主管', '稽核主管', '辭任', '異動'] },
+  { category: 'governance', keywords: ['董事會', '股東會', '股東常會', '股東臨時會'] }
+];
+
+const normalizeHeader = (str) => str.replace(/\s/g, '');
+
+// 發言時間缺漏或無法解析時的替代值；event_time 在唯一鍵中，不能為 NULL
+const UNKNOWN_EVENT_TIME = '00:00:00';
+
+/**
+ * 依主旨判斷重大訊息類別
+ * @param {string} subject - 主旨
+ * @returns {string} 類別代碼，無法判斷時為 other
+ */
+function classifyAnnouncement(subject) {
+  const match = EVENT_CATEGORIES.find(({ keywords }) => keywords.some(k => subject.includes(k)));
+  return match ? match.category : 'other';
+}
+
+/**
+ * 發言時間可能為 HH:MM:SS 或 HHMMSS
+ */
+function parseTime(str) {
+  const s = String(str).trim();
+  if (/^\d{1,2}:\d{2}(:\d{2})?$/.test(s)) {
+    const [h, m, sec = '00'] = s.split(':');
+    return `${h.padStart(2, '0')}:${m}:${sec}`;
+  }
+  if (/^\d{5,6}$/.test(s)) {
+    const padded = s.padStart(6, '0');
+    return `${padded.slice(0, 2)}:${padded.slice(2, 4)}:${padded.slice(4, 6)}`;
+  }
+  return null;
+}
+
+/**
+ * 解析 MOPS 當日重大訊息列表
+ * 欄位：公司代號、公司簡稱、發言日期、發言時間、主旨（欄位順序以表頭判斷）
+ */
+function parseMaterialHTML(html) {
+  const $ = cheerio.load(html);
+  const records = [];
+
+  $('table').each((_, table) => {
+    const headers = $(table).find('tr').first().find('th')
+      .map((i, th) => normalizeHeader($(th).text())).get();
+
+    const stockIdIndex = headers.indexOf('公司代號');
+    const dateIndex = headers.indexOf('發言日期');
+    const timeIndex = headers.indexOf('發言時間');
+    const subjectIndex = headers.indexOf('主旨');
+    if (stockIdIndex < 0 || dateIndex < 0 || subjectIndex < 0) return;
+
+    $(table).find('tr').each((_, row) => {
+      const cells = $(row).find('td');
+      if (cells.length <= subjectIndex) return;
+
+      const stockId = $(cells[stockIdIndex]).text().trim();
+      if (!/^\d{4}$/.test(stockId)) return;
+
+      const eventDate = rocToISODate($(cells[dateIndex]).text().trim());
+      const subject = $(cells[subjectIndex]).text().replace(/\s+/g, ' ').trim();
+      if (!eventDate || !subject) return;
+
+      records.push({
+        stock_id: stockId,
+        event_date: eventDate,
+        event_time: (timeIndex >= 0 ? parseTime($(cells[timeIndex]).text()) : null) || UNKNOWN_EVENT_TIME,
+        subject: subject.slice(0, 1000),
+        category: classifyAnnouncement(subject)
+      });
+    });
+  });
+
+  return records;
+}
+
+/**
+ * 抓取指定日期的重大訊息（上市櫃、興櫃、公開發行公司合併列出）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchMaterialEvents(date) {
+  const rocYear = parseInt(date.slice(0, 4)) - 1911;
+  console.log(`抓取 ${date} 重大訊息...`);
+
+  const html = await httpPost('https://mops.twse.com.tw/mops/web/ajax_t05st02',
+    `encodeURIComponent=1&step=1&firstin=1&off=1&TYPEK=all&year=${rocYear}&month=${date.slice(4, 6)}&day=${date.slice(6, 8)}`,
+    { expect: 'html', archive: { dataset: 'material_events', date } }
+  );
+
+  return parseMaterialHTML(html);
+}
+
+/**
+ * 抓取並存入資料庫（只保留 stocks 中的上市櫃股票）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchAndSaveMaterialEvents(date) {
+  return await recordCrawlRun('material_events', date, async () => {
+    const fetched = await fetchMaterialEvents(date);
+
+    if (fetched.length === 0) {
+      console.log(`${date} 無重大訊息`);
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO stock_events (stock_id, event_date, event_time, subject, category)
+          VALUES (?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE subject = VALUES(subject), category = VALUES(category)`,
+          [r.stock_id, r.event_date, r.event_time, r.subject, r.category]
+        );
+      }
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆重大訊息`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入重大訊息失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+/**
+ * 抓取前一交易日至最近交易日之間的每一天
+ * 涵蓋假日發布的重大訊息，並補上前一交易日晚間才發布的訊息
+ */
+async function fetchRecentMaterialEvents() {
+  const to = await lastTradingDay({ dataset: 'material_events' });
+  const from = await previousTradingDay(1, to);
+  let total = 0;
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    total += await fetchAndSaveMaterialEvents(toCompactDate(date));
+  }
+  return total;
+}
+
+if (require.main === module) {
+  const dateArg = process.argv[2];
+  const fn = dateArg
+    ? () => fetchAndSaveMaterialEvents(dateArg)
+    : fetchRecentMaterialEvents;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  classifyAnnouncement,
+  parseMaterialHTML,
+  fetchMaterialEvents,
+  fetchAndSaveMaterialEvents,
+  fetchRecentMaterialEvents
+};
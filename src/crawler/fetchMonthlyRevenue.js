@@ -1,7 +1,8 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-const iconv = require('iconv-lite');
 const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { taipeiToday } = require('../utils/tradingCalendar');
 
 /**
  * 抓取指定年月的月營收資料（上市公司）
@@ -15,14 +16,11 @@ async function fetchMonthlyRevenue(year, month) {
 
     const url = `https://mops.twse.com.tw/nas/t21/sii/t21sc03_${rocYear}_${month}_0.html`;
 
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      responseType: 'arraybuffer'
+    const html = await httpGet(url, {
+      expect: 'html',
+      encoding: 'big5',
+      archive: { dataset: 'monthly_revenue', date: `${year}${String(month).padStart(2, '0')}`, params: { year, month } }
     });
-
-    const html = iconv.decode(Buffer.from(response.data), 'big5');
     const $ = cheerio.load(html);
     const records = [];
 
@@ -54,7 +52,7 @@ async function fetchMonthlyRevenue(year, month) {
 
   } catch (error) {
     console.error(`抓取 ${year}/${month} 月營收失敗:`, error.message);
-    return [];
+    throw error;
   }
 }
 
@@ -62,42 +60,44 @@ async function fetchMonthlyRevenue(year, month) {
  * 抓取並存入資料庫
  */
 async function fetchAndSaveMonthlyRevenue(year, month) {
-  const records = await fetchMonthlyRevenue(year, month);
+  return await recordCrawlRun('monthly_revenue', `${year}-${String(month).padStart(2, '0')}`, async () => {
+    const records = await fetchMonthlyRevenue(year, month);
 
-  if (records.length === 0) {
-    console.log('無資料可寫入');
-    return 0;
-  }
-
-  const connection = await pool.getConnection();
-  try {
-    await connection.beginTransaction();
-
-    for (const r of records) {
-      await connection.query(
-        `INSERT INTO monthly_revenue
-        (stock_id, year, month, revenue, revenue_mom, revenue_yoy, cumulative_revenue, cumulative_yoy)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-        revenue = VALUES(revenue), revenue_mom = VALUES(revenue_mom),
-        revenue_yoy = VALUES(revenue_yoy), cumulative_revenue = VALUES(cumulative_revenue),
-        cumulative_yoy = VALUES(cumulative_yoy)`,
-        [r.stock_id, r.year, r.month, r.revenue, r.revenue_mom, r.revenue_yoy,
-         r.cumulative_revenue, r.cumulative_yoy]
-      );
+    if (records.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
     }
 
-    await connection.commit();
-    console.log(`✓ 成功寫入 ${records.length} 筆月營收資料`);
-    return records.length;
-
-  } catch (error) {
-    await connection.rollback();
-    console.error('寫入月營收資料失敗:', error.message);
-    throw error;
-  } finally {
-    connection.release();
-  }
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO monthly_revenue
+          (stock_id, year, month, revenue, revenue_mom, revenue_yoy, cumulative_revenue, cumulative_yoy)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          revenue = VALUES(revenue), revenue_mom = VALUES(revenue_mom),
+          revenue_yoy = VALUES(revenue_yoy), cumulative_revenue = VALUES(cumulative_revenue),
+          cumulative_yoy = VALUES(cumulative_yoy)`,
+          [r.stock_id, r.year, r.month, r.revenue, r.revenue_mom, r.revenue_yoy,
+           r.cumulative_revenue, r.cumulative_yoy]
+        );
+      }
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆月營收資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入月營收資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
 }
 
 /**
@@ -105,9 +105,9 @@ async function fetchAndSaveMonthlyRevenue(year, month) {
  */
 async function fetchRecentMonthlyRevenue() {
   // 月營收通常在次月 10 號後公佈，抓前一個月
-  const now = new Date();
-  let year = now.getFullYear();
-  let month = now.getMonth(); // 0-based, 所以就是上個月
+  const today = taipeiToday();
+  let year = parseInt(today.slice(0, 4));
+  let month = parseInt(today.slice(5, 7)) - 1;
   if (month === 0) {
     year -= 1;
     month = 12;
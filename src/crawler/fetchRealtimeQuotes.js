@@ -0,0 +1,59 @@
+const { httpGet } = require('./httpClient');
+const { MARKET_TPEX, getMarketTypes } = require('./markets');
+
+// 基本市況報導網站一次查詢的股票數上限（超過時網址過長會被拒絕）
+const BATCH_SIZE = 50;
+
+const parsePrice = (str) => {
+  if (!str || str === '-' || str.trim() === '') return null;
+  const val = parseFloat(str);
+  return isNaN(val) ? null : val;
+};
+
+/**
+ * 解析單檔即時報價
+ * z 為最近成交價（該次揭示無成交時為 "-"）、v 為當日累計成交量（張）、t 為揭示時間
+ * @returns {Object} { stock_id, quote_time, price, open, high, low, prev_close, volume(股) }
+ */
+function parseRealtimeQuote(item) {
+  const d = String(item.d || '');
+  return {
+    stock_id: String(item.c).trim(),
+    quote_time: `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)} ${item.t}`,
+    price: parsePrice(item.z),
+    open: parsePrice(item.o),
+    high: parsePrice(item.h),
+    low: parsePrice(item.l),
+    prev_close: parsePrice(item.y),
+    volume: (parseInt(item.v) || 0) * 1000
+  };
+}
+
+/**
+ * 抓取即時報價（證交所基本市況報導網站，上市上櫃共用）
+ * 即時資料無法重播，不封存原始回應
+ * @param {Array} stockIds - 股票代號陣列
+ * @returns {Promise<Array>} 報價陣列，查無資料的股票不回傳
+ */
+async function fetchRealtimeQuotes(stockIds) {
+  const markets = await getMarketTypes(stockIds);
+  const channels = stockIds.map(id => `${markets.get(id) === MARKET_TPEX ? 'otc' : 'tse'}_${id}.tw`);
+  const quotes = [];
+
+  for (let i = 0; i < channels.length; i += BATCH_SIZE) {
+    const exCh = channels.slice(i, i + BATCH_SIZE).join('|');
+    const url = `https://mis.twse.com.tw/stock/api/getStockInfo.jsp?ex_ch=${encodeURIComponent(exCh)}&json=1&delay=0&_=${Date.now()}`;
+
+    const data = await httpGet(url);
+    if (data.rtcode !== '0000' || !data.msgArray) continue;
+
+    quotes.push(...data.msgArray.filter(item => item.c && item.d && item.t).map(parseRealtimeQuote));
+  }
+
+  return quotes;
+}
+
+module.exports = {
+  parseRealtimeQuote,
+  fetchRealtimeQuotes
+};
@@ -0,0 +1,236 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { lastTradingDay, toCompactDate } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, toRocDate } = require('./markets');
+
+const parseNum = (str) => {
+  if (!str || str === '--' || str === '') return 0;
+  return parseInt(String(str).replace(/,/g, ''), 10) || 0;
+};
+
+/**
+ * 融券借券賣出餘額表的借券賣出欄位（上市、上櫃格式相同）
+ * 欄位：代號、名稱、融券（前日餘額、賣出、買進、現券、今日餘額、限額）、
+ *       借券賣出（前日餘額、當日賣出、當日還券、當日調整、當日餘額、次一營業日可限額）、備註
+ */
+function parseSblRow(row, tradeDate) {
+  return {
+    stock_id: String(row[0]).trim(),
+    trade_date: tradeDate,
+    sbl_prev_balance: parseNum(row[8]),
+    sbl_short_sell: parseNum(row[9]),
+    sbl_return: parseNum(row[10]),
+    sbl_adjustment: parseNum(row[11]),
+    sbl_balance: parseNum(row[12]),
+    sbl_limit: parseNum(row[13])
+  };
+}
+
+/**
+ * 抓取上市股票借券賣出餘額（TWSE TWT93U）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTwseSblTrading(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/marginTrading/TWT93U?response=json&date=${date}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'sbl', date } });
+
+  if (data.stat !== 'OK' || !data.data) {
+    return [];
+  }
+
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  return data.data
+    .filter(row => /^\d{4}$/.test(String(row[0]).trim()))
+    .map(row => parseSblRow(row, tradeDate));
+}
+
+/**
+ * 抓取上櫃股票借券賣出餘額（TPEx 融券借券賣出餘額）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTpexSblTrading(date) {
+  const url = `https://www.tpex.org.tw/web/stock/margin_trading/margin_sbl/margin_sbl_result.php?l=zh-tw&o=json&d=${toRocDate(date)}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'sbl', date } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    return [];
+  }
+
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  return data.aaData
+    .filter(row => /^\d{4}$/.test(String(row[0]).trim()))
+    .map(row => parseSblRow(row, tradeDate));
+}
+
+/**
+ * 抓取借券餘額（TWSE TWT72U：借券系統與證券商營業處所借貸餘額）
+ * 欄位順序依報表版本而異，依標題找出前日餘額與當日餘額欄
+ * @param {string} date - YYYYMMDD 格式
+ * @returns {Promise<Map|null>} stock_id -> { lending_prev_balance, lending_balance }；來源未回應或格式不符時為 null
+ */
+async function fetchLendingBalance(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/SBL/TWT72U?response=json&date=${date}&selectType=SLBNLB`;
+
+  const data = await httpGet(url, { archive: { dataset: 'sbl', date } });
+
+  if (data.stat !== 'OK') return null;
+  if (!data.data) return new Map();
+
+  const fields = (data.fields || []).map(f => String(f));
+  const prevIndex = fields.findIndex(f => f.includes('前日') && f.includes('餘額'));
+  const balanceIndex = fields.findIndex(f => /(當日|本日)/.test(f) && f.includes('餘額') && !f.includes('市值'));
+  if (prevIndex < 0 || balanceIndex < 0) {
+    console.log(`⚠ 借券餘額表欄位無法辨識: ${fields.join(', ')}`);
+    return null;
+  }
+
+  const balances = new Map();
+  for (const row of data.data) {
+    const stockId = String(row[0]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+    balances.set(stockId, {
+      lending_prev_balance: parseNum(row[prevIndex]),
+      lending_balance: parseNum(row[balanceIndex])
+    });
+  }
+  return balances;
+}
+
+/**
+ * 合併借券賣出與借券餘額，只出現在借券餘額表的股票借券賣出欄位為 null
+ * @param {Array} records - 借券賣出資料
+ * @param {Map|null} balances - 借券餘額；null 代表未取得，借券餘額欄位保留資料庫原值
+ */
+function mergeLendingBalance(records, balances, tradeDate) {
+  if (!balances) return records;
+
+  const merged = records.map(r => ({ ...r, ...(balances.get(r.stock_id) || { lending_prev_balance: 0, lending_balance: 0 }) }));
+  const seen = new Set(records.map(r => r.stock_id));
+
+  for (const [stockId, balance] of balances) {
+    if (seen.has(stockId)) continue;
+    merged.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      sbl_prev_balance: null,
+      sbl_short_sell: null,
+      sbl_return: null,
+      sbl_adjustment: null,
+      sbl_balance: null,
+      sbl_limit: null,
+      ...balance
+    });
+  }
+  return merged;
+}
+
+/**
+ * 抓取指定日期的借券賣出資料（上市 + 上櫃）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchSblTrading(date) {
+  console.log(`抓取 ${date} 借券賣出資料...`);
+
+  const sources = [
+    { market: MARKET_TWSE, fetch: fetchTwseSblTrading },
+    { market: MARKET_TPEX, fetch: fetchTpexSblTrading }
+  ];
+  const records = [];
+
+  for (const source of sources) {
+    const marketRecords = await source.fetch(date);
+    if (marketRecords.length === 0) {
+      console.log(`${date} 無${source.market}借券賣出資料（可能非交易日）`);
+    }
+    records.push(...marketRecords);
+  }
+
+  const balances = await fetchLendingBalance(date);
+  if (balances === null) {
+    console.log(`⚠ ${date} 借券餘額表未回應，本次不更新借券餘額`);
+  }
+
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  return mergeLendingBalance(records, balances, tradeDate);
+}
+
+/**
+ * 抓取並存入資料庫
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchAndSaveSblTrading(date) {
+  return await recordCrawlRun('sbl', date, async () => {
+    const fetched = await fetchSblTrading(date);
+
+    if (fetched.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO sbl_trading
+          (stock_id, trade_date, sbl_prev_balance, sbl_short_sell, sbl_return,
+           sbl_adjustment, sbl_balance, sbl_limit, lending_prev_balance, lending_balance)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          sbl_prev_balance = VALUES(sbl_prev_balance), sbl_short_sell = VALUES(sbl_short_sell),
+          sbl_return = VALUES(sbl_return), sbl_adjustment = VALUES(sbl_adjustment),
+          sbl_balance = VALUES(sbl_balance), sbl_limit = VALUES(sbl_limit),
+          lending_prev_balance = COALESCE(VALUES(lending_prev_balance), lending_prev_balance),
+          lending_balance = COALESCE(VALUES(lending_balance), lending_balance)`,
+          [r.stock_id, r.trade_date, r.sbl_prev_balance, r.sbl_short_sell, r.sbl_return,
+           r.sbl_adjustment, r.sbl_balance, r.sbl_limit,
+           r.lending_prev_balance ?? null, r.lending_balance ?? null]
+        );
+      }
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆借券賣出資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入借券賣出資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+async function fetchRecentSblTrading() {
+  const date = await lastTradingDay({ dataset: 'sbl' });
+  return await fetchAndSaveSblTrading(toCompactDate(date));
+}
+
+if (require.main === module) {
+  const dateArg = process.argv[2];
+  const fn = dateArg
+    ? () => fetchAndSaveSblTrading(dateArg)
+    : fetchRecentSblTrading;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchSblTrading,
+  fetchTwseSblTrading,
+  fetchTpexSblTrading,
+  fetchLendingBalance,
+  fetchAndSaveSblTrading,
+  fetchRecentSblTrading
+};
@@ -0,0 +1,144 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun, recordCrawlFailure } = require('./crawlLedger');
+const { splitCSVLine } = require('./csv');
+const { taipeiToday, toCompactDate } = require('../utils/tradingCalendar');
+
+// 持股分級 16 為差異數調整，不列入
+const TOTAL_TIER = 17;
+
+const parseNum = (str) => {
+  if (!str || str.trim() === '') return null;
+  const val = parseFloat(str.replace(/,/g, ''));
+  return isNaN(val) ? null : val;
+};
+
+/**
+ * 解析 TDCC 集保戶股權分散表 CSV
+ * 欄位：資料日期、證券代號、持股分級、人數、股數、占集保庫存數比例%
+ */
+function parseShareholdingCSV(text) {
+  const records = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (const line of lines.slice(1)) {
+    const cols = splitCSVLine(line);
+    if (cols.length < 6) continue;
+
+    const [date, stockId, tierStr, holders, shares, ratio] = cols;
+    if (!/^\d{8}$/.test(date) || !/^\d{4}$/.test(stockId)) continue;
+
+    const tier = parseInt(tierStr);
+    if (!((tier >= 1 && tier <= 15) || tier === TOTAL_TIER)) continue;
+
+    records.push({
+      stock_id: stockId,
+      data_date: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`,
+      tier,
+      holders: parseNum(holders),
+      shares: parseNum(shares),
+      ratio: parseNum(ratio)
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取最新一週的集保股權分散表（上市 + 上櫃 + 興櫃，TDCC 開放資料只提供最新一週）
+ * @param {Object} [options]
+ * @param {string} [options.archiveDate] - 封存日期（YYYYMMDD），重播時指定封存目錄
+ */
+async function fetchShareholdingDistribution({ archiveDate = toCompactDate(taipeiToday()) } = {}) {
+  console.log('抓取集保股權分散表...');
+
+  const url = 'https://opendata.tdcc.com.tw/getOD.ashx?id=1-5';
+  const text = await httpGet(url, { expect: 'html', archive: { dataset: 'shareholding', date: archiveDate } });
+
+  const records = parseShareholdingCSV(text);
+  if (records.length === 0) {
+    console.log('無集保股權分散表資料');
+  }
+  return records;
+}
+
+/**
+ * 批次寫入集保股權分散資料（每批 500 筆）
+ */
+async function upsertShareholding(connection, records) {
+  const CHUNK_SIZE = 500;
+
+  for (let i = 0; i < records.length; i += CHUNK_SIZE) {
+    const values = records.slice(i, i + CHUNK_SIZE).map(r => [
+      r.stock_id, r.data_date, r.tier, r.holders, r.shares, r.ratio
+    ]);
+
+    await connection.query(
+      `INSERT INTO shareholding_distribution (stock_id, data_date, tier, holders, shares, ratio)
+      VALUES ?
+      ON DUPLICATE KEY UPDATE
+      holders = VALUES(holders), shares = VALUES(shares), ratio = VALUES(ratio)`,
+      [values]
+    );
+  }
+}
+
+/**
+ * 抓取並存入資料庫
+ * 抓取紀錄以 TDCC 資料日期為目標（抓取失敗或無資料時才用抓取日期），缺漏比對與重抓才會對應到正確的週別
+ */
+async function fetchAndSaveShareholding(options = {}) {
+  const archiveDate = options.archiveDate || toCompactDate(taipeiToday());
+
+  // 資料日期要抓取後才知道，抓取本身失敗時以抓取日期記錄
+  const startedAt = Date.now();
+  let fetched;
+  try {
+    fetched = await fetchShareholdingDistribution({ archiveDate });
+  } catch (error) {
+    await recordCrawlFailure('shareholding', archiveDate, error, startedAt);
+    throw error;
+  }
+
+  const target = fetched.length > 0 ? toCompactDate(fetched[0].data_date) : archiveDate;
+
+  return await recordCrawlRun('shareholding', target, async () => {
+    if (fetched.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+      await upsertShareholding(connection, records);
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆集保股權分散資料（資料日期 ${fetched[0].data_date}）`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入集保股權分散資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+if (require.main === module) {
+  fetchAndSaveShareholding()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  TOTAL_TIER,
+  parseShareholdingCSV,
+  fetchShareholdingDistribution,
+  fetchAndSaveShareholding
+};
@@ -1,85 +1,348 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-const iconv = require('iconv-lite');
 const { pool } = require('../database/connection');
+const { MARKET_TWSE, MARKET_TPEX, rocToISODate } = require('./markets');
+const { httpGet } = require('./httpClient');
+const { taipeiToday, toCompactDate } = require('../utils/tradingCalendar');
+
+// 證券編碼查詢頁面：上市 (market=1) 與上櫃 (market=2) 股票
+const STOCK_LIST_SOURCES = [
+  { market: MARKET_TWSE, url: 'https://isin.twse.com.tw/isin/class_main.jsp?market=1&issuetype=1' },
+  { market: MARKET_TPEX, url: 'https://isin.twse.com.tw/isin/class_main.jsp?market=2&issuetype=4' }
+];
+
+// 公司基本資料（實收資本額、上市櫃日期），開放資料欄位名稱依來源不同
+const COMPANY_PROFILE_SOURCES = [
+  { market: MARKET_TWSE, url: 'https://openapi.twse.com.tw/v1/opendata/t187ap03_L' },
+  { market: MARKET_TPEX, url: 'https://www.tpex.org.tw/openapi/v1/mopsfe_t187ap03_O' }
+];
+const PROFILE_FIELDS = {
+  stock_id: ['公司代號', 'SecuritiesCompanyCode'],
+  capital: ['實收資本額', 'Paidin.Capital.NTDollars'],
+  listing_date: ['上市日期', '上櫃日期', 'DateOfListing']
+};
+
+// 暫停交易（停止買賣）現行名單
+const SUSPENSION_SOURCES = [
+  { market: MARKET_TWSE, url: 'https://openapi.twse.com.tw/v1/exchangeReport/TWTAWU' },
+  { market: MARKET_TPEX, url: 'https://www.tpex.org.tw/openapi/v1/tpex_trading_halt_information' }
+];
+const SUSPENSION_FIELDS = {
+  stock_id: ['證券代號', '股票代號', 'Code', 'SecuritiesCompanyCode'],
+  suspend_date: ['停止買賣日期', '暫停交易日期', 'HaltDate', 'Date'],
+  reason: ['停止買賣原因', '暫停交易原因', 'Reason']
+};
+
+// 清單中消失的股票超過此比例時視為來源異常，不執行下市處理
+const MAX_DELIST_RATIO = 0.05;
+
+// 記錄變更歷史的欄位
+const TRACKED_FIELDS = ['stock_name', 'industry', 'market_type'];
+
+const pick = (row, names) => {
+  const name = names.find(n => row[n] !== undefined && row[n] !== null && String(row[n]).trim() !== '');
+  return name === undefined ? null : String(row[name]).trim();
+};
+
+// 日期欄位可能是西元 (1994/09/05、19940905) 或民國 (083/09/05)
+const parseDate = (str) => {
+  if (!str) return null;
+  const s = String(str).trim();
+  if (/^\d{8}$/.test(s)) return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+  if (/^\d{4}\/\d{1,2}\/\d{1,2}$/.test(s)) {
+    const [y, m, d] = s.split('/');
+    return `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+  }
+  if (/^\d{7}$/.test(s)) return rocToISODate(`${s.slice(0, 3)}/${s.slice(3, 5)}/${s.slice(5, 7)}`);
+  return rocToISODate(s);
+};
 
 /**
- * 從台灣證交所抓取上市股票清單
+ * 解析證券編碼查詢頁面
+ * @param {string} html - 已轉碼的 HTML
+ * @param {string} defaultMarket - 頁面未標示市場別時使用的預設值
  */
-async function fetchStockList() {
-  try {
-    console.log('開始抓取股票清單...');
+function parseStockListHTML(html, defaultMarket) {
+  const $ = cheerio.load(html);
+  const stocks = [];
+
+  // 解析表格每一列，欄位順序：頁碼、國際編碼、代號、名稱、市場別、證券別、產業別、日期、CFI、備註
+  $('table.h4 tr').each((_, row) => {
+    const cells = $(row).find('td');
+    if (cells.length < 7) return;
 
-    // 使用證交所的證券編碼查詢頁面（上市股票）
-    const url = 'https://isin.twse.com.tw/isin/class_main.jsp?market=1&issuetype=1';
+    const stockId = $(cells[2]).text().trim();
+    const stockName = $(cells[3]).text().trim();
+    const marketType = $(cells[4]).text().trim();
+    const securityType = $(cells[5]).text().trim();
+    const industry = $(cells[6]).text().trim();
+    // 上市櫃頁面的日期欄位為上市（櫃）日
+    const listingDate = cells.length > 7 ? parseDate($(cells[7]).text().trim()) : null;
 
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      responseType: 'arraybuffer'
+    // 只保留 4 碼數字的普通股票
+    if (!/^\d{4}$/.test(stockId)) return;
+    if (securityType !== '股票') return;
+
+    // 過濾掉 DR、ETF 等
+    if (stockName.includes('DR') ||
+        stockName.includes('存託憑證') ||
+        stockName.includes('ETF') ||
+        stockName.includes('指數股票型')) return;
+
+    stocks.push({
+      stock_id: stockId,
+      stock_name: stockName,
+      market_type: marketType || defaultMarket,
+      industry: industry || null,
+      listing_date: listingDate
     });
+  });
+
+  return stocks;
+}
+
+/**
+ * 抓取公司基本資料（實收資本額單位轉為百萬元）
+ * 只用來補充 stocks 欄位，失敗時印出警告並回傳已取得的部分
+ * @param {string} archiveDate - 封存日期（YYYYMMDD）
+ * @returns {Promise<Map>} stock_id -> { capital, listing_date }
+ */
+async function fetchCompanyProfiles(archiveDate) {
+  const profiles = new Map();
+
+  for (const source of COMPANY_PROFILE_SOURCES) {
+    try {
+      const rows = await httpGet(source.url, { archive: { dataset: 'stock_list', date: archiveDate } });
+      for (const row of Array.isArray(rows) ? rows : []) {
+        const stockId = pick(row, PROFILE_FIELDS.stock_id);
+        if (!stockId || !/^\d{4}$/.test(stockId)) continue;
+
+        const capital = parseFloat(String(pick(row, PROFILE_FIELDS.capital) || '').replace(/,/g, ''));
+        profiles.set(stockId, {
+          capital: isNaN(capital) ? null : Math.round(capital / 1e4) / 100,
+          listing_date: parseDate(pick(row, PROFILE_FIELDS.listing_date))
+        });
+      }
+    } catch (error) {
+      console.log(`⚠ ${source.market}公司基本資料抓取失敗，略過資本額更新: ${error.message}`);
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * 抓取暫停交易（停止買賣）現行名單
+ * @param {string} archiveDate - 封存日期（YYYYMMDD）
+ * @returns {Promise<{ records: Array, markets: Array }>} markets 為成功取得名單的市場
+ */
+async function fetchSuspendedStocks(archiveDate) {
+  const records = [];
+  const markets = [];
+
+  for (const source of SUSPENSION_SOURCES) {
+    try {
+      const rows = await httpGet(source.url, { archive: { dataset: 'stock_list', date: archiveDate } });
+      if (!Array.isArray(rows)) continue;
+
+      markets.push(source.market);
+      for (const row of rows) {
+        const stockId = pick(row, SUSPENSION_FIELDS.stock_id);
+        if (!stockId || !/^\d{4}$/.test(stockId)) continue;
+
+        records.push({
+          stock_id: stockId,
+          suspend_date: parseDate(pick(row, SUSPENSION_FIELDS.suspend_date)),
+          reason: (pick(row, SUSPENSION_FIELDS.reason) || '').slice(0, 500) || null
+        });
+      }
+    } catch (error) {
+      console.log(`⚠ ${source.market}暫停交易名單抓取失敗，略過暫停交易更新: ${error.message}`);
+    }
+  }
+
+  return { records, markets };
+}
+
+/**
+ * 寫入股票清單並記錄名稱、產業別、市場別與上市狀態的變更
+ */
+async function upsertStocks(connection, stocks, existing, profiles, changeDate) {
+  let changes = 0;
+
+  for (const stock of stocks) {
+    const old = existing.get(stock.stock_id);
+    const profile = profiles.get(stock.stock_id) || {};
+
+    if (old) {
+      for (const field of TRACKED_FIELDS) {
+        if ((old[field] || null) !== (stock[field] || null)) {
+          await saveChange(connection, stock.stock_id, changeDate, field, old[field], stock[field]);
+          changes++;
+        }
+      }
+      if (!old.is_active) {
+        await saveChange(connection, stock.stock_id, changeDate, 'is_active', '0', '1');
+        changes++;
+      }
+    }
+
+    await connection.query(
+      `INSERT INTO stocks (stock_id, stock_name, market_type, industry, listing_date, capital, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, TRUE)
+       ON DUPLICATE KEY UPDATE
+       stock_name = VALUES(stock_name),
+       market_type = VALUES(market_type),
+       industry = VALUES(industry),
+       listing_date = COALESCE(VALUES(listing_date), listing_date),
+       capital = COALESCE(VALUES(capital), capital),
+       is_active = TRUE,
+       delist_date = NULL,
+       updated_at = CURRENT_TIMESTAMP`,
+      [stock.stock_id, stock.stock_name, stock.market_type, stock.industry,
+       stock.listing_date || profile.listing_date || null, profile.capital ?? null]
+    );
+  }
+
+  return changes;
+}
+
+async function saveChange(connection, stockId, changeDate, field, oldValue, newValue) {
+  await connection.query(
+    `INSERT INTO stock_changes (stock_id, change_date, field, old_value, new_value)
+     VALUES (?, ?, ?, ?, ?)`,
+    [stockId, changeDate, field, oldValue, newValue]
+  );
+}
+
+/**
+ * 清單中已不存在的股票設為下市，下市日為最後一筆股價日期（無股價時為同步日期）
+ * 歷史股價、財報等資料保留，回補與查詢歷史時以 listing_date / delist_date 還原當時的股票池
+ * @returns {Promise<number>} 本次下市的股票數
+ */
+async function deactivateMissingStocks(connection, stocks, existing, changeDate) {
+  const seen = new Set(stocks.map(s => s.stock_id));
+  const missing = [...existing.values()].filter(s => s.is_active && !seen.has(s.stock_id));
+  if (missing.length === 0) return 0;
+
+  const activeCount = [...existing.values()].filter(s => s.is_active).length;
+  if (missing.length > activeCount * MAX_DELIST_RATIO) {
+    console.log(`⚠ 清單缺少 ${missing.length} 檔原有股票（超過 ${MAX_DELIST_RATIO * 100}%），疑似來源異常，略過下市處理`);
+    return 0;
+  }
+
+  for (const stock of missing) {
+    const [[last]] = await connection.query(
+      `SELECT DATE_FORMAT(MAX(trade_date), '%Y-%m-%d') AS last_date FROM daily_prices WHERE stock_id = ?`,
+      [stock.stock_id]
+    );
+    await connection.query(
+      'UPDATE stocks SET is_active = FALSE, delist_date = ? WHERE stock_id = ?',
+      [last.last_date || changeDate, stock.stock_id]
+    );
+    await saveChange(connection, stock.stock_id, changeDate, 'is_active', '1', '0');
+    console.log(`${stock.stock_id} ${stock.stock_name} 已不在清單中，設為下市（${last.last_date || changeDate}）`);
+  }
+
+  return missing.length;
+}
+
+/**
+ * 更新暫停交易紀錄
+ * 名單上的股票建立未結束的暫停紀錄；原本暫停但已不在名單上的股票（同市場）以同步日期恢復交易
+ */
+async function saveSuspensions(connection, suspended, known, changeDate) {
+  const records = suspended.records.filter(r => known.has(r.stock_id));
+
+  for (const r of records) {
+    const [open] = await connection.query(
+      'SELECT id FROM stock_suspensions WHERE stock_id = ? AND resume_date IS NULL',
+      [r.stock_id]
+    );
+    if (open.length === 0) {
+      await connection.query(
+        `INSERT INTO stock_suspensions (stock_id, suspend_date, reason) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE resume_date = NULL, reason = VALUES(reason)`,
+        [r.stock_id, r.suspend_date || changeDate, r.reason]
+      );
+    }
+  }
+
+  if (suspended.markets.length > 0) {
+    const current = records.map(r => r.stock_id);
+    await connection.query(
+      `UPDATE stock_suspensions ss
+       JOIN stocks s ON s.stock_id = ss.stock_id
+       SET ss.resume_date = GREATEST(ss.suspend_date, ?)
+       WHERE ss.resume_date IS NULL AND s.market_type IN (?) AND ss.stock_id NOT IN (?)`,
+      [changeDate, suspended.markets, current.length > 0 ? current : ['']]
+    );
+  }
+
+  await connection.query(
+    `UPDATE stocks s
+     SET s.is_suspended = EXISTS (
+       SELECT 1 FROM stock_suspensions ss WHERE ss.stock_id = s.stock_id AND ss.resume_date IS NULL
+     )`
+  );
+
+  return records.length;
+}
+
+/**
+ * 從台灣證交所抓取上市、上櫃股票清單，並與 stocks 主檔比對
+ * - 新股票新增、既有股票更新名稱／產業別／市場別（變更記錄於 stock_changes）
+ * - 補上上市日期與實收資本額
+ * - 不在清單上的股票設為下市（is_active = FALSE、delist_date）
+ * - 更新暫停交易名單（stock_suspensions、stocks.is_suspended）
+ * @param {Object} [options]
+ * @param {string} [options.archiveDate] - 封存日期（YYYYMMDD），重播時指定封存目錄，也作為變更日期
+ */
+async function fetchStockList({ archiveDate = toCompactDate(taipeiToday()) } = {}) {
+  try {
+    console.log('開始抓取股票清單...');
 
-    // 網頁編碼為 MS950 (Big5)，需要轉換
-    const html = iconv.decode(Buffer.from(response.data), 'big5');
-    const $ = cheerio.load(html);
     const stocks = [];
 
-    // 解析表格每一列，欄位順序：頁碼、國際編碼、代號、名稱、市場別、證券別、產業別、日期、CFI、備註
-    $('table.h4 tr').each((_, row) => {
-      const cells = $(row).find('td');
-      if (cells.length < 7) return;
-
-      const stockId = $(cells[2]).text().trim();
-      const stockName = $(cells[3]).text().trim();
-      const marketType = $(cells[4]).text().trim();
-      const securityType = $(cells[5]).text().trim();
-      const industry = $(cells[6]).text().trim();
-
-      // 只保留 4 碼數字的普通股票
-      if (!/^\d{4}$/.test(stockId)) return;
-      if (securityType !== '股票') return;
-
-      // 過濾掉 DR、ETF 等
-      if (stockName.includes('DR') ||
-          stockName.includes('存託憑證') ||
-          stockName.includes('ETF') ||
-          stockName.includes('指數股票型')) return;
-
-      stocks.push({
-        stock_id: stockId,
-        stock_name: stockName,
-        market_type: marketType.trim(),
-        industry: industry || null
+    for (const source of STOCK_LIST_SOURCES) {
+      // 網頁編碼為 MS950 (Big5)，需要轉換
+      const html = await httpGet(source.url, {
+        expect: 'html',
+        encoding: 'big5',
+        archive: { dataset: 'stock_list', date: archiveDate }
       });
-    });
+      const marketStocks = parseStockListHTML(html, source.market);
+      console.log(`${source.market}: ${marketStocks.length} 檔`);
+
+      if (marketStocks.length === 0) {
+        throw new Error(`未能取得任何${source.market}股票資料，請檢查網路連線或網站是否正常`);
+      }
+      stocks.push(...marketStocks);
+    }
 
     console.log(`找到 ${stocks.length} 檔股票`);
 
-    if (stocks.length === 0) {
-      throw new Error('未能從 TWSE 取得任何股票資料，請檢查網路連線或網站是否正常');
-    }
+    const profiles = await fetchCompanyProfiles(archiveDate);
+    const suspended = await fetchSuspendedStocks(archiveDate);
+    const changeDate = `${archiveDate.slice(0, 4)}-${archiveDate.slice(4, 6)}-${archiveDate.slice(6, 8)}`;
 
     // 寫入資料庫
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
 
-      for (const stock of stocks) {
-        await connection.query(
-          `INSERT INTO stocks (stock_id, stock_name, market_type, industry, is_active)
-           VALUES (?, ?, ?, ?, TRUE)
-           ON DUPLICATE KEY UPDATE
-           stock_name = VALUES(stock_name),
-           market_type = VALUES(market_type),
-           industry = VALUES(industry),
-           updated_at = CURRENT_TIMESTAMP`,
-          [stock.stock_id, stock.stock_name, stock.market_type, stock.industry]
-        );
-      }
+      const [rows] = await connection.query(
+        'SELECT stock_id, stock_name, industry, market_type, is_active FROM stocks'
+      );
+      const existing = new Map(rows.map(r => [r.stock_id, { ...r, is_active: Boolean(r.is_active) }]));
+
+      const changes = await upsertStocks(connection, stocks, existing, profiles, changeDate);
+      const delisted = await deactivateMissingStocks(connection, stocks, existing, changeDate);
+
+      const known = new Set([...existing.keys(), ...stocks.map(s => s.stock_id)]);
+      const suspendedCount = await saveSuspensions(connection, suspended, known, changeDate);
 
       await connection.commit();
-      console.log(`✓ 成功寫入 ${stocks.length} 檔股票到資料庫`);
+      console.log(`✓ 成功寫入 ${stocks.length} 檔股票到資料庫（變更 ${changes} 筆、下市 ${delisted} 檔、暫停交易 ${suspendedCount} 檔）`);
 
     } catch (error) {
       await connection.rollback();
@@ -109,4 +372,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { fetchStockList };
\ No newline at end of file
+module.exports = { fetchStockList, parseStockListHTML };
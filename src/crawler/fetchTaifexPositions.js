@@ -0,0 +1,290 @@
+const { pool } = require('../database/connection');
+const { httpPost } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { parseCSVWithHeader } = require('./csv');
+const { lastTradingDay, toCompactDate } = require('../utils/tradingCalendar');
+
+const BASE_URL = 'https://www.taifex.com.tw/cht/3';
+
+// 期交所商品名稱 -> 代號
+const FUTURES_PRODUCTS = { '臺股期貨': 'TX', '小型臺指期貨': 'MTX' };
+const OPTIONS_PRODUCTS = { '臺指選擇權': 'TXO' };
+const LARGE_TRADER_PRODUCTS = ['TX'];
+// 大額交易人「到期月份」為所有月份合計的代碼
+const ALL_MONTHS = '999999';
+
+const parseNum = (str) => {
+  if (str === undefined || str === null || String(str).trim() === '' || str === '-') return null;
+  const val = parseFloat(String(str).replace(/,/g, ''));
+  return isNaN(val) ? null : val;
+};
+
+/**
+ * 取第一個存在的欄位值（各報表同一欄位的名稱略有差異）
+ */
+const pick = (row, names) => {
+  const name = names.find(n => row[n] !== undefined);
+  return name === undefined ? undefined : row[name];
+};
+
+function toInvestorType(name) {
+  if (name.includes('外資')) return 'foreign';
+  if (name.includes('投信')) return 'trust';
+  if (name.includes('自營')) return 'dealer';
+  return null;
+}
+
+/**
+ * 期交所下載 API（POST，回應為 Big5 編碼 CSV）
+ * @param {string} path - 報表路徑
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function downloadCSV(path, date) {
+  const slashDate = `${date.slice(0, 4)}/${date.slice(4, 6)}/${date.slice(6, 8)}`;
+  const text = await httpPost(`${BASE_URL}/${path}`,
+    `queryStartDate=${encodeURIComponent(slashDate)}&queryEndDate=${encodeURIComponent(slashDate)}`,
+    { expect: 'html', encoding: 'big5', archive: { dataset: 'taifex', date } }
+  );
+  return parseCSVWithHeader(text);
+}
+
+/**
+ * 三大法人期貨未平倉（區分各期貨契約）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchFuturesInstitutional(date) {
+  const rows = await downloadCSV('futContractsDateDown', date);
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  const records = [];
+
+  for (const row of rows) {
+    const productId = FUTURES_PRODUCTS[row['商品名稱']];
+    const investorType = toInvestorType(row['身份別'] || '');
+    if (!productId || !investorType) continue;
+
+    records.push({
+      trade_date: tradeDate,
+      product_id: productId,
+      investor_type: investorType,
+      long_trade_volume: parseNum(row['多方交易口數']),
+      short_trade_volume: parseNum(row['空方交易口數']),
+      net_trade_volume: parseNum(row['多空交易口數淨額']),
+      long_oi: parseNum(row['多方未平倉口數']),
+      short_oi: parseNum(row['空方未平倉口數']),
+      net_oi: parseNum(row['多空未平倉口數淨額']),
+      net_oi_value: parseNum(pick(row, ['多空未平倉契約金額淨額(千元)', '多空未平倉契約金額淨額']))
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 三大法人選擇權買賣權未平倉（區分買賣權）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchOptionsInstitutional(date) {
+  const rows = await downloadCSV('callsAndPutsDateDown', date);
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  const records = [];
+
+  for (const row of rows) {
+    const productId = OPTIONS_PRODUCTS[row['商品名稱']];
+    const investorType = toInvestorType(row['身份別'] || '');
+    const side = row['買賣權別'] || '';
+    const callPut = side.includes('買權') || side.toUpperCase() === 'CALL' ? 'call'
+      : side.includes('賣權') || side.toUpperCase() === 'PUT' ? 'put' : null;
+    if (!productId || !investorType || !callPut) continue;
+
+    records.push({
+      trade_date: tradeDate,
+      product_id: productId,
+      call_put: callPut,
+      investor_type: investorType,
+      buy_oi: parseNum(row['買方未平倉口數']),
+      sell_oi: parseNum(row['賣方未平倉口數']),
+      net_oi: parseNum(row['未平倉口數買賣淨額']),
+      net_oi_value: parseNum(pick(row, ['未平倉契約金額買賣淨額(千元)', '未平倉契約金額買賣淨額']))
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 臺指選擇權 Put/Call Ratio
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchPutCallRatio(date) {
+  const rows = await downloadCSV('pcRatioDown', date);
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  return rows.slice(0, 1).map(row => ({
+    trade_date: tradeDate,
+    put_volume: parseNum(row['賣權成交量']),
+    call_volume: parseNum(row['買權成交量']),
+    volume_ratio: parseNum(pick(row, ['買賣權成交量比率%', '買賣權成交量比率(%)'])),
+    put_oi: parseNum(row['賣權未平倉量']),
+    call_oi: parseNum(row['買權未平倉量']),
+    oi_ratio: parseNum(pick(row, ['買賣權未平倉量比率%', '買賣權未平倉量比率(%)']))
+  })).filter(r => r.put_oi !== null);
+}
+
+/**
+ * 期貨大額交易人未沖銷部位（只取所有月份合計）
+ * 交易人類別：0 全部交易人、1 特定法人
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchLargeTraderPositions(date) {
+  const rows = await downloadCSV('largeTraderFutDown', date);
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  const records = [];
+
+  for (const row of rows) {
+    const productId = String(pick(row, ['商品(契約)', '商品']) || '').trim();
+    const month = String(pick(row, ['到期月份(週別)', '到期月份']) || '').trim();
+    if (!LARGE_TRADER_PRODUCTS.includes(productId) || month !== ALL_MONTHS) continue;
+
+    const category = String(row['交易人類別'] || '').trim();
+    records.push({
+      trade_date: tradeDate,
+      product_id: productId,
+      trader_type: category === '1' ? 'institution' : 'all',
+      top5_long: parseNum(row['前五大交易人買方']),
+      top5_short: parseNum(row['前五大交易人賣方']),
+      top10_long: parseNum(row['前十大交易人買方']),
+      top10_short: parseNum(row['前十大交易人賣方']),
+      market_oi: parseNum(row['全市場未沖銷部位數'])
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定日期的期貨選擇權籌碼資料
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTaifexPositions(date) {
+  console.log(`抓取 ${date} 期交所籌碼資料...`);
+
+  return {
+    futures: await fetchFuturesInstitutional(date),
+    options: await fetchOptionsInstitutional(date),
+    pcRatio: await fetchPutCallRatio(date),
+    largeTraders: await fetchLargeTraderPositions(date)
+  };
+}
+
+/**
+ * 抓取並存入資料庫
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchAndSaveTaifexPositions(date) {
+  return await recordCrawlRun('taifex', date, async () => {
+    const { futures, options, pcRatio, largeTraders } = await fetchTaifexPositions(date);
+    const total = futures.length + options.length + pcRatio.length + largeTraders.length;
+
+    if (futures.length === 0) {
+      console.log(`${date} 無期貨三大法人資料（可能非交易日）`);
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const r of futures) {
+        await connection.query(
+          `INSERT INTO futures_institutional
+          (trade_date, product_id, investor_type, long_trade_volume, short_trade_volume, net_trade_volume,
+           long_oi, short_oi, net_oi, net_oi_value)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          long_trade_volume = VALUES(long_trade_volume), short_trade_volume = VALUES(short_trade_volume),
+          net_trade_volume = VALUES(net_trade_volume), long_oi = VALUES(long_oi),
+          short_oi = VALUES(short_oi), net_oi = VALUES(net_oi), net_oi_value = VALUES(net_oi_value)`,
+          [r.trade_date, r.product_id, r.investor_type, r.long_trade_volume, r.short_trade_volume,
+           r.net_trade_volume, r.long_oi, r.short_oi, r.net_oi, r.net_oi_value]
+        );
+      }
+
+      for (const r of options) {
+        await connection.query(
+          `INSERT INTO options_institutional
+          (trade_date, product_id, call_put, investor_type, buy_oi, sell_oi, net_oi, net_oi_value)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          buy_oi = VALUES(buy_oi), sell_oi = VALUES(sell_oi), net_oi = VALUES(net_oi),
+          net_oi_value = VALUES(net_oi_value)`,
+          [r.trade_date, r.product_id, r.call_put, r.investor_type, r.buy_oi, r.sell_oi,
+           r.net_oi, r.net_oi_value]
+        );
+      }
+
+      for (const r of pcRatio) {
+        await connection.query(
+          `INSERT INTO put_call_ratio
+          (trade_date, put_volume, call_volume, volume_ratio, put_oi, call_oi, oi_ratio)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          put_volume = VALUES(put_volume), call_volume = VALUES(call_volume),
+          volume_ratio = VALUES(volume_ratio), put_oi = VALUES(put_oi),
+          call_oi = VALUES(call_oi), oi_ratio = VALUES(oi_ratio)`,
+          [r.trade_date, r.put_volume, r.call_volume, r.volume_ratio, r.put_oi, r.call_oi, r.oi_ratio]
+        );
+      }
+
+      for (const r of largeTraders) {
+        await connection.query(
+          `INSERT INTO large_trader_positions
+          (trade_date, product_id, trader_type, top5_long, top5_short, top10_long, top10_short, market_oi)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          top5_long = VALUES(top5_long), top5_short = VALUES(top5_short),
+          top10_long = VALUES(top10_long), top10_short = VALUES(top10_short),
+          market_oi = VALUES(market_oi)`,
+          [r.trade_date, r.product_id, r.trader_type, r.top5_long, r.top5_short,
+           r.top10_long, r.top10_short, r.market_oi]
+        );
+      }
+
+      await connection.commit();
+      console.log(`✓ 成功寫入期貨 ${futures.length}、選擇權 ${options.length}、P/C ${pcRatio.length}、大額交易人 ${largeTraders.length} 筆`);
+      return total;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入期交所籌碼資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+async function fetchRecentTaifexPositions() {
+  const date = await lastTradingDay({ dataset: 'taifex' });
+  return await fetchAndSaveTaifexPositions(toCompactDate(date));
+}
+
+if (require.main === module) {
+  const dateArg = process.argv[2];
+  const fn = dateArg
+    ? () => fetchAndSaveTaifexPositions(dateArg)
+    : fetchRecentTaifexPositions;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchFuturesInstitutional,
+  fetchOptionsInstitutional,
+  fetchPutCallRatio,
+  fetchLargeTraderPositions,
+  fetchTaifexPositions,
+  fetchAndSaveTaifexPositions,
+  fetchRecentTaifexPositions
+};
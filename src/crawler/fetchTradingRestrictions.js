@@ -0,0 +1,406 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { lastTradingDay, previousTradingDay, toCompactDate } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, toRocDate, rocToISODate } = require('./markets');
+
+const clean = (str) => String(str === undefined || str === null ? '' : str).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+// 日期欄位可能是民國 (113/01/15) 或西元 (20240115)
+const parseDate = (str) => {
+  const s = clean(str);
+  if (/^\d{8}$/.test(s)) return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+  return rocToISODate(s);
+};
+
+/**
+ * 解析處置起迄時間，例如「113/01/03～113/01/16」
+ * @returns {{ start_date: string, end_date: string }|null}
+ */
+function parseDateRange(str) {
+  const parts = clean(str).split(/[～~至]/).map(s => s.trim());
+  if (parts.length !== 2) return null;
+  const start = parseDate(parts[0]);
+  const end = parseDate(parts[1]);
+  return start && end ? { start_date: start, end_date: end } : null;
+}
+
+/**
+ * TWSE 回應依 fields 找出欄位位置，找不到時使用預設位置
+ */
+function fieldIndex(fields, spec) {
+  const names = (fields || []).map(f => clean(f));
+  const index = {};
+  for (const [key, [candidates, fallback]] of Object.entries(spec)) {
+    const found = candidates.map(n => names.indexOf(n)).find(i => i >= 0);
+    index[key] = found === undefined ? fallback : found;
+  }
+  return index;
+}
+
+/**
+ * 上市注意股票（TWSE 公布注意股票）
+ * 欄位：編號、證券代號、證券名稱、累計次數、注意交易資訊、日期、收盤價、本益比
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTwseAttention(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/announcement/notice?querytype=1&startDate=${date}&endDate=${date}&response=json`;
+
+  const data = await httpGet(url, { archive: { dataset: 'trading_restrictions', date } });
+
+  if (data.stat !== 'OK' || !data.data) {
+    return [];
+  }
+
+  const index = fieldIndex(data.fields, {
+    stock_id: [['證券代號'], 1],
+    reason: [['注意交易資訊'], 4],
+    date: [['日期', '公布日期'], 5]
+  });
+
+  const records = [];
+  for (const row of data.data) {
+    const stockId = clean(row[index.stock_id]);
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    const announceDate = parseDate(row[index.date]);
+    if (!announceDate) continue;
+
+    records.push({
+      stock_id: stockId,
+      restriction_type: 'attention',
+      start_date: announceDate,
+      end_date: announceDate,
+      announce_date: announceDate,
+      reason: clean(row[index.reason]).slice(0, 1000) || null,
+      measure: null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 上櫃注意股票（TPEx 公布注意股票資訊）
+ * 欄位：編號、證券代號、證券名稱、累計次數、注意交易資訊、公告日期、收盤價、本益比
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTpexAttention(date) {
+  const url = `https://www.tpex.org.tw/web/bulletin/attention_information/trading_attention_information_result.php?l=zh-tw&o=json&d=${toRocDate(date)}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'trading_restrictions', date } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    return [];
+  }
+
+  const records = [];
+  for (const row of data.aaData) {
+    const stockId = clean(row[1]);
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    const announceDate = parseDate(row[5]);
+    if (!announceDate) continue;
+
+    records.push({
+      stock_id: stockId,
+      restriction_type: 'attention',
+      start_date: announceDate,
+      end_date: announceDate,
+      announce_date: announceDate,
+      reason: clean(row[4]).slice(0, 1000) || null,
+      measure: null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 上市處置股票（TWSE 公布處置股票）
+ * 欄位：編號、公布日期、證券代號、證券名稱、累計、處置條件、處置起迄時間、處置措施、處置內容、備註
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTwseDisposition(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/announcement/punish?querytype=3&startDate=${date}&endDate=${date}&response=json`;
+
+  const data = await httpGet(url, { archive: { dataset: 'trading_restrictions', date } });
+
+  if (data.stat !== 'OK' || !data.data) {
+    return [];
+  }
+
+  const index = fieldIndex(data.fields, {
+    announce_date: [['公布日期'], 1],
+    stock_id: [['證券代號'], 2],
+    reason: [['處置條件'], 5],
+    period: [['處置起迄時間', '處置起訖時間'], 6],
+    measure: [['處置措施'], 7],
+    content: [['處置內容'], 8]
+  });
+
+  const records = [];
+  for (const row of data.data) {
+    const stockId = clean(row[index.stock_id]);
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    const period = parseDateRange(row[index.period]);
+    if (!period) continue;
+
+    records.push({
+      stock_id: stockId,
+      restriction_type: 'disposition',
+      ...period,
+      announce_date: parseDate(row[index.announce_date]),
+      reason: clean(row[index.reason]).slice(0, 1000) || null,
+      measure: [clean(row[index.measure]), clean(row[index.content])].filter(Boolean).join('：').slice(0, 1000) || null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 上櫃處置股票（TPEx 公布處置股票資訊）
+ * 欄位：編號、公布日期、證券代號、證券名稱、累計、處置起訖時間、處置條件、處置內容
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTpexDisposition(date) {
+  const url = `https://www.tpex.org.tw/web/bulletin/disposal_information/disposal_information_result.php?l=zh-tw&o=json&d=${toRocDate(date)}`;
+
+  const data = await httpGet(url, { archive: { dataset: 'trading_restrictions', date } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    return [];
+  }
+
+  const records = [];
+  for (const row of data.aaData) {
+    const stockId = clean(row[2]);
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    const period = parseDateRange(row[5]);
+    if (!period) continue;
+
+    records.push({
+      stock_id: stockId,
+      restriction_type: 'disposition',
+      ...period,
+      announce_date: parseDate(row[1]),
+      reason: clean(row[6]).slice(0, 1000) || null,
+      measure: clean(row[7]).slice(0, 1000) || null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 上市變更交易方法股票（全額交割）現行名單
+ * 欄位：證券代號、證券名稱、變更交易日期、變更原因
+ * @param {string} date - YYYYMMDD 格式（名單只有最新狀態，日期用於封存）
+ * @returns {Promise<Array|null>} 來源未正常回應時為 null；名單為空時為空陣列
+ */
+async function fetchTwseAlteredTrading(date) {
+  const url = 'https://www.twse.com.tw/rwd/zh/announcement/changeTrading?response=json';
+
+  const data = await httpGet(url, { archive: { dataset: 'trading_restrictions', date } });
+
+  if (data.stat !== 'OK') {
+    return null;
+  }
+  if (!data.data) {
+    return [];
+  }
+
+  const index = fieldIndex(data.fields, {
+    stock_id: [['證券代號'], 0],
+    start_date: [['變更交易日期', '實施日期', '變更交易方法日期'], 2],
+    reason: [['變更原因', '原因'], 3]
+  });
+
+  const records = [];
+  for (const row of data.data) {
+    const stockId = clean(row[index.stock_id]);
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    const startDate = parseDate(row[index.start_date]);
+    if (!startDate) continue;
+
+    records.push({
+      stock_id: stockId,
+      restriction_type: 'altered_trading',
+      start_date: startDate,
+      end_date: null,
+      announce_date: null,
+      reason: clean(row[index.reason]).slice(0, 1000) || null,
+      measure: '全額交割'
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 上櫃變更交易方法股票現行名單
+ * 欄位：代號、名稱、實施日期、變更原因
+ * @param {string} date - YYYYMMDD 格式（名單只有最新狀態，日期用於封存）
+ * @returns {Promise<Array|null>} 來源未正常回應時為 null；名單為空時為空陣列
+ */
+async function fetchTpexAlteredTrading(date) {
+  const url = 'https://www.tpex.org.tw/web/bulletin/chg_trading_method/chg_trading_method_result.php?l=zh-tw&o=json';
+
+  const data = await httpGet(url, { archive: { dataset: 'trading_restrictions', date } });
+
+  if (!data || !Array.isArray(data.aaData)) {
+    return null;
+  }
+
+  const records = [];
+  for (const row of data.aaData) {
+    const stockId = clean(row[0]);
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    const startDate = parseDate(row[2]);
+    if (!startDate) continue;
+
+    records.push({
+      stock_id: stockId,
+      restriction_type: 'altered_trading',
+      start_date: startDate,
+      end_date: null,
+      announce_date: null,
+      reason: clean(row[3]).slice(0, 1000) || null,
+      measure: '全額交割'
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定日期的注意、處置與變更交易方法資料（上市 + 上櫃）
+ * @param {string} date - YYYYMMDD 格式
+ * @returns {Promise<{ records: Array, alteredMarkets: Array }>} alteredMarkets 為來源正常回應變更交易名單的市場（含名單為空）
+ */
+async function fetchTradingRestrictions(date) {
+  console.log(`抓取 ${date} 注意／處置股票...`);
+
+  const sources = [
+    { market: MARKET_TWSE, attention: fetchTwseAttention, disposition: fetchTwseDisposition, altered: fetchTwseAlteredTrading },
+    { market: MARKET_TPEX, attention: fetchTpexAttention, disposition: fetchTpexDisposition, altered: fetchTpexAlteredTrading }
+  ];
+  const records = [];
+  const alteredMarkets = [];
+
+  for (const source of sources) {
+    records.push(...await source.attention(date));
+    records.push(...await source.disposition(date));
+
+    // 名單為空也是有效結果（最後一檔恢復正常交易），只有來源未回應時才不做結案比對
+    const altered = await source.altered(date);
+    if (altered === null) {
+      console.log(`⚠ ${date} ${source.market}變更交易方法名單未回應，略過恢復交易比對`);
+      continue;
+    }
+    alteredMarkets.push(source.market);
+    records.push(...altered);
+  }
+
+  return { records, alteredMarkets };
+}
+
+/**
+ * 抓取並存入資料庫
+ * 變更交易方法名單只有現況：名單上的股票維持 end_date 為 NULL，
+ * 原本未結束但已不在名單上的股票（同市場）視為前一交易日恢復正常交易
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchAndSaveTradingRestrictions(date) {
+  return await recordCrawlRun('trading_restrictions', date, async () => {
+    const { records: fetched, alteredMarkets } = await fetchTradingRestrictions(date);
+
+    if (fetched.length === 0 && alteredMarkets.length === 0) {
+      console.log(`${date} 無注意／處置股票資料`);
+      return 0;
+    }
+
+    const isoDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO trading_restrictions
+          (stock_id, restriction_type, start_date, end_date, announce_date, reason, measure)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          end_date = VALUES(end_date), announce_date = COALESCE(VALUES(announce_date), announce_date),
+          reason = VALUES(reason), measure = VALUES(measure)`,
+          [r.stock_id, r.restriction_type, r.start_date, r.end_date, r.announce_date, r.reason, r.measure]
+        );
+      }
+
+      if (alteredMarkets.length > 0) {
+        const current = records.filter(r => r.restriction_type === 'altered_trading').map(r => r.stock_id);
+        const endDate = await previousTradingDay(1, isoDate);
+        const [result] = await connection.query(
+          `UPDATE trading_restrictions tr
+           JOIN stocks s ON s.stock_id = tr.stock_id
+           SET tr.end_date = GREATEST(tr.start_date, ?)
+           WHERE tr.restriction_type = 'altered_trading' AND tr.end_date IS NULL
+             AND s.market_type IN (?) AND tr.stock_id NOT IN (?)`,
+          [endDate, alteredMarkets, current.length > 0 ? current : ['']]
+        );
+        if (result.affectedRows > 0) {
+          console.log(`${result.affectedRows} 檔股票恢復正常交易方法`);
+        }
+      }
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆注意／處置／變更交易資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入注意／處置股票失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+async function fetchRecentTradingRestrictions() {
+  const date = await lastTradingDay({ dataset: 'trading_restrictions' });
+  return await fetchAndSaveTradingRestrictions(toCompactDate(date));
+}
+
+if (require.main === module) {
+  const dateArg = process.argv[2];
+  const fn = dateArg
+    ? () => fetchAndSaveTradingRestrictions(dateArg)
+    : fetchRecentTradingRestrictions;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  parseDateRange,
+  fetchTwseAttention,
+  fetchTpexAttention,
+  fetchTwseDisposition,
+  fetchTpexDisposition,
+  fetchTwseAlteredTrading,
+  fetchTpexAlteredTrading,
+  fetchTradingRestrictions,
+  fetchAndSaveTradingRestrictions,
+  fetchRecentTradingRestrictions
+};
@@ -0,0 +1,208 @@
+const { pool } = require('../database/connection');
+const { httpGet } = require('./httpClient');
+const { recordCrawlRun } = require('./crawlLedger');
+const { lastTradingDay, toCompactDate } = require('../utils/tradingCalendar');
+const { MARKET_TWSE, MARKET_TPEX, toRocDate } = require('./markets');
+
+const parseNum = (str) => {
+  if (str === undefined || str === null || str === '--' || String(str).trim() === '') return null;
+  const val = parseFloat(String(str).replace(/,/g, ''));
+  return isNaN(val) ? null : val;
+};
+
+const parseYear = (str) => {
+  const val = parseInt(String(str || '').trim(), 10);
+  return isNaN(val) ? null : val;
+};
+
+const parsePeriod = (str) => {
+  const val = String(str || '').trim();
+  return val && val !== '-' ? val : null;
+};
+
+// TWSE BWIBBU_d 欄位名稱（依 fields 對應；早期資料沒有股利年度、財報年/季欄位）
+const TWSE_FIELDS = {
+  stock_id: ['證券代號', 0],
+  dividend_yield: ['殖利率(%)', 3],
+  dividend_year: ['股利年度', 4],
+  pe_ratio: ['本益比', 5],
+  pb_ratio: ['股價淨值比', 6],
+  fiscal_period: ['財報年/季', 7]
+};
+
+/**
+ * 抓取上市個股日本益比、殖利率及股價淨值比（TWSE BWIBBU_d）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTwseValuations(date) {
+  const url = `https://www.twse.com.tw/rwd/zh/afterTrading/BWIBBU_d?response=json&date=${date}&selectType=ALL`;
+
+  const data = await httpGet(url, { archive: { dataset: 'valuations', date } });
+
+  if (data.stat !== 'OK' || !data.data) {
+    return [];
+  }
+
+  const fields = (data.fields || []).map(f => String(f).trim());
+  const index = {};
+  for (const [key, [name, fallback]] of Object.entries(TWSE_FIELDS)) {
+    const found = fields.indexOf(name);
+    // 早期格式欄位較少，找不到欄位名稱時不使用預設位置以免錯位
+    index[key] = found >= 0 ? found : (fields.length > 0 ? -1 : fallback);
+  }
+
+  const records = [];
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  const cell = (row, key) => (index[key] >= 0 ? row[index[key]] : null);
+
+  for (const row of data.data) {
+    const stockId = String(cell(row, 'stock_id')).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      pe_ratio: parseNum(cell(row, 'pe_ratio')),
+      pb_ratio: parseNum(cell(row, 'pb_ratio')),
+      dividend_yield: parseNum(cell(row, 'dividend_yield')),
+      dividend_per_share: null,
+      dividend_year: parseYear(cell(row, 'dividend_year')),
+      fiscal_period: parsePeriod(cell(row, 'fiscal_period'))
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取上櫃個股本益比、殖利率、股價淨值比（TPEx）
+ * 欄位：代號、名稱、本益比、每股股利、股利年度、殖利率(%)、股價淨值比、財報年/季
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchTpexValuations(date) {
+  const url = `https://www.tpex.org.tw/web/stock/aftertrading/peratio_analysis/pera_result.php?l=zh-tw&o=json&d=${toRocDate(date)}&c=&s=0,asc`;
+
+  const data = await httpGet(url, { archive: { dataset: 'valuations', date } });
+
+  if (!data.aaData || data.aaData.length === 0) {
+    return [];
+  }
+
+  const records = [];
+  const tradeDate = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+
+  for (const row of data.aaData) {
+    const stockId = String(row[0]).trim();
+    if (!/^\d{4}$/.test(stockId)) continue;
+
+    records.push({
+      stock_id: stockId,
+      trade_date: tradeDate,
+      pe_ratio: parseNum(row[2]),
+      pb_ratio: parseNum(row[6]),
+      dividend_yield: parseNum(row[5]),
+      dividend_per_share: parseNum(row[3]),
+      dividend_year: parseYear(row[4]),
+      fiscal_period: parsePeriod(row[7])
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 抓取指定日期的個股本益比、殖利率、股價淨值比（上市 + 上櫃）
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchValuations(date) {
+  console.log(`抓取 ${date} 本益比、殖利率、股價淨值比...`);
+
+  const sources = [
+    { market: MARKET_TWSE, fetch: fetchTwseValuations },
+    { market: MARKET_TPEX, fetch: fetchTpexValuations }
+  ];
+  const records = [];
+
+  for (const source of sources) {
+    const marketRecords = await source.fetch(date);
+    if (marketRecords.length === 0) {
+      console.log(`${date} 無${source.market}本益比資料（可能非交易日）`);
+    }
+    records.push(...marketRecords);
+  }
+
+  return records;
+}
+
+/**
+ * 抓取並存入資料庫
+ * @param {string} date - YYYYMMDD 格式
+ */
+async function fetchAndSaveValuations(date) {
+  return await recordCrawlRun('valuations', date, async () => {
+    const fetched = await fetchValuations(date);
+
+    if (fetched.length === 0) {
+      console.log('無資料可寫入');
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [stocks] = await connection.query('SELECT stock_id FROM stocks');
+      const known = new Set(stocks.map(s => s.stock_id));
+      const records = fetched.filter(r => known.has(r.stock_id));
+
+      await connection.beginTransaction();
+
+      for (const r of records) {
+        await connection.query(
+          `INSERT INTO valuation_history
+          (stock_id, trade_date, pe_ratio, pb_ratio, dividend_yield, dividend_per_share, dividend_year, fiscal_period)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+          pe_ratio = VALUES(pe_ratio), pb_ratio = VALUES(pb_ratio), dividend_yield = VALUES(dividend_yield),
+          dividend_per_share = VALUES(dividend_per_share), dividend_year = VALUES(dividend_year),
+          fiscal_period = VALUES(fiscal_period)`,
+          [r.stock_id, r.trade_date, r.pe_ratio, r.pb_ratio, r.dividend_yield,
+           r.dividend_per_share, r.dividend_year, r.fiscal_period]
+        );
+      }
+
+      await connection.commit();
+      console.log(`✓ 成功寫入 ${records.length} 筆本益比資料`);
+      return records.length;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('寫入本益比資料失敗:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  });
+}
+
+async function fetchRecentValuations() {
+  const date = await lastTradingDay({ dataset: 'valuations' });
+  return await fetchAndSaveValuations(toCompactDate(date));
+}
+
+if (require.main === module) {
+  const dateArg = process.argv[2];
+  const fn = dateArg
+    ? () => fetchAndSaveValuations(dateArg)
+    : fetchRecentValuations;
+
+  fn()
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  fetchValuations,
+  fetchTwseValuations,
+  fetchTpexValuations,
+  fetchAndSaveValuations,
+  fetchRecentValuations
+};
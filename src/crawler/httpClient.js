@@ -0,0 +1,258 @@
+const axios = require('axios');
+const iconv = require('iconv-lite');
+const { saveRaw, loadRaw } = require('./rawArchive');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+const DEFAULT_TIMEOUT = 30000;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 2000;
+
+// 各主機的請求頻率上限（token bucket：容量 / 每秒補充數）
+// 證交所約每 5 秒 3 次以上就可能被暫時封鎖
+const HOST_LIMITS = {
+  'www.twse.com.tw': { capacity: 3, refillPerSecond: 0.5 },
+  'www.tpex.org.tw': { capacity: 3, refillPerSecond: 0.5 },
+  'mops.twse.com.tw': { capacity: 1, refillPerSecond: 0.3 },
+  'isin.twse.com.tw': { capacity: 2, refillPerSecond: 1 },
+  'mis.twse.com.tw': { capacity: 3, refillPerSecond: 0.5 },
+  'www.taifex.com.tw': { capacity: 2, refillPerSecond: 0.5 },
+  default: { capacity: 5, refillPerSecond: 1 }
+};
+
+// 被封鎖或限流時回傳的 HTML 頁面特徵
+const BLOCKED_PATTERNS = [/THE PAGE CANNOT BE ACCESSED/i, /頁面無法執行/, /因為安全性考量/];
+const THROTTLED_PATTERNS = [/查詢過於頻繁/, /Overrun/i, /Too Many Requests/i];
+
+/**
+ * 爬蟲請求錯誤
+ * code:
+ *   HTTP_ERROR       - 非 2xx 回應（4xx 不重試）
+ *   TIMEOUT          - 請求逾時
+ *   NETWORK          - 連線錯誤
+ *   BLOCKED          - 被來源網站封鎖（307 轉址、403、封鎖頁）
+ *   THROTTLED        - 請求過於頻繁（429、MOPS 查詢過於頻繁）
+ *   INVALID_RESPONSE - 回應格式不符預期（例如預期 JSON 卻收到 HTML）
+ *   NOT_ARCHIVED     - 重播模式下找不到對應的封存回應
+ */
+class CrawlerError extends Error {
+  constructor(message, { code, url, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'CrawlerError';
+    this.code = code;
+    this.url = url;
+    this.status = status;
+    this.cause = cause;
+  }
+
+  get retryable() {
+    return ['TIMEOUT', 'NETWORK', 'THROTTLED'].includes(this.code) ||
+      (this.code === 'HTTP_ERROR' && this.status >= 500);
+  }
+}
+
+/**
+ * Token bucket 限流器
+ */
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  async take() {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const waitMs = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+      await sleep(waitMs);
+    }
+  }
+}
+
+const buckets = new Map();
+
+function getBucket(host) {
+  if (!buckets.has(host)) {
+    const limit = HOST_LIMITS[host] || HOST_LIMITS.default;
+    buckets.set(host, new TokenBucket(limit.capacity, limit.refillPerSecond));
+  }
+  return buckets.get(host);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 檢查回應內容是否為封鎖 / 限流頁面，或不符預期格式
+ */
+function inspectBody(body, expect, url) {
+  if (typeof body !== 'string') return;
+
+  if (BLOCKED_PATTERNS.some(p => p.test(body))) {
+    throw new CrawlerError('來源網站封鎖請求', { code: 'BLOCKED', url });
+  }
+  if (THROTTLED_PATTERNS.some(p => p.test(body))) {
+    throw new CrawlerError('請求過於頻繁', { code: 'THROTTLED', url });
+  }
+  if (expect === 'json') {
+    throw new CrawlerError('預期 JSON 回應但收到其他格式', { code: 'INVALID_RESPONSE', url });
+  }
+}
+
+/**
+ * 將 axios 錯誤轉為 CrawlerError
+ */
+function toCrawlerError(error, url) {
+  if (error instanceof CrawlerError) return error;
+
+  if (error.response) {
+    const status = error.response.status;
+    if (status >= 300 && status < 400) {
+      return new CrawlerError(`來源網站轉址 (${status})，可能已被封鎖`, { code: 'BLOCKED', url, status, cause: error });
+    }
+    if (status === 403) {
+      return new CrawlerError('來源網站拒絕存取 (403)', { code: 'BLOCKED', url, status, cause: error });
+    }
+    if (status === 429) {
+      return new CrawlerError('請求過於頻繁 (429)', { code: 'THROTTLED', url, status, cause: error });
+    }
+    return new CrawlerError(`HTTP ${status}`, { code: 'HTTP_ERROR', url, status, cause: error });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new CrawlerError('請求逾時', { code: 'TIMEOUT', url, cause: error });
+  }
+  return new CrawlerError(`連線失敗: ${error.message}`, { code: 'NETWORK', url, cause: error });
+}
+
+let replayMode = process.env.CRAWLER_REPLAY === '1';
+
+/**
+ * 切換離線重播模式：開啟後所有請求改從原始回應封存讀取，不連網
+ */
+function setReplayMode(enabled) {
+  replayMode = enabled;
+}
+
+function isReplayMode() {
+  return replayMode;
+}
+
+/**
+ * 將原始回應轉為字串或 JSON，並檢查封鎖 / 格式
+ */
+function decodeBody(buffer, { expect, encoding, url }) {
+  const text = encoding ? iconv.decode(buffer, encoding) : buffer.toString('utf8');
+
+  if (expect === 'json') {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      inspectBody(text, expect, url);
+    }
+  }
+
+  inspectBody(text, expect, url);
+  return text;
+}
+
+/**
+ * 發送請求（限流 + 重試 + 封鎖偵測 + 原始回應封存）
+ * @param {Object} config
+ * @param {string} config.method - GET / POST
+ * @param {string} config.url
+ * @param {string} [config.data] - POST 內容 (x-www-form-urlencoded)
+ * @param {string} [config.expect='json'] - 預期回應格式：json / html
+ * @param {string} [config.encoding] - 回應編碼（例如 'big5'），指定時回傳轉碼後字串
+ * @param {Object} [config.archive] - 封存鍵 { dataset, date, params }，重播模式下必填
+ * @param {number} [config.timeout]
+ * @returns {Promise<Object|string>} 回應內容
+ */
+async function request({ method = 'GET', url, data, expect = 'json', encoding, archive, timeout = DEFAULT_TIMEOUT }) {
+  const req = { method, url, data, encoding };
+
+  if (replayMode) {
+    const buffer = archive ? loadRaw(archive, req) : null;
+    if (!buffer) {
+      throw new CrawlerError('重播模式下找不到封存的原始回應', { code: 'NOT_ARCHIVED', url });
+    }
+    return decodeBody(buffer, { expect, encoding, url });
+  }
+
+  const bucket = getBucket(new URL(url).host);
+  let lastError;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      const backoff = BASE_BACKOFF_MS * Math.pow(2, attempt - 1);
+      console.log(`  ↻ ${lastError.message}，${backoff / 1000} 秒後重試 (${attempt}/${MAX_RETRIES})`);
+      await sleep(backoff);
+    }
+
+    await bucket.take();
+
+    try {
+      const response = await axios.request({
+        method,
+        url,
+        data,
+        timeout,
+        maxRedirects: 0,
+        responseType: 'arraybuffer',
+        headers: {
+          'User-Agent': USER_AGENT,
+          ...(method === 'POST' ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {})
+        }
+      });
+
+      const buffer = Buffer.from(response.data);
+      const body = decodeBody(buffer, { expect, encoding, url });
+
+      // 只封存通過檢查的回應，封鎖頁與錯誤頁不寫入
+      if (archive) {
+        try {
+          saveRaw(archive, req, buffer);
+        } catch (error) {
+          console.error('封存原始回應失敗:', error.message);
+        }
+      }
+      return body;
+
+    } catch (error) {
+      lastError = toCrawlerError(error, url);
+      if (!lastError.retryable) throw lastError;
+    }
+  }
+
+  throw lastError;
+}
+
+function httpGet(url, options = {}) {
+  return request({ ...options, method: 'GET', url });
+}
+
+function httpPost(url, data, options = {}) {
+  return request({ ...options, method: 'POST', url, data });
+}
+
+module.exports = {
+  CrawlerError,
+  TokenBucket,
+  httpGet,
+  httpPost,
+  setReplayMode,
+  isReplayMode
+};
@@ -0,0 +1,175 @@
+const { pool } = require('../database/connection');
+const { fetchRealtimeQuotes } = require('./fetchRealtimeQuotes');
+const { loadIntradayContext, evaluateIntradaySignals } = require('../analysis/intradaySignals');
+const { taipeiNow, taipeiToday, isTradingDay } = require('../utils/tradingCalendar');
+require('dotenv').config();
+
+// 盤中時段（含 13:25~13:30 收盤集合競價，收盤撮合結果約 13:30 後揭示）
+const MARKET_OPEN = '09:00';
+const MARKET_CLOSE = '13:35';
+const BAR_INTERVALS = [1, 5];
+
+const DEFAULT_POLL_SECONDS = parseInt(process.env.INTRADAY_POLL_SECONDS) || 15;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 監控清單：INTRADAY_WATCHLIST（逗號分隔的股票代號）
+ */
+function getWatchlist() {
+  return (process.env.INTRADAY_WATCHLIST || '')
+    .split(',').map(s => s.trim()).filter(s => /^\d{4,6}$/.test(s));
+}
+
+/**
+ * 報價時間（YYYY-MM-DD HH:MM:SS）對齊到K棒起始時間
+ */
+function barStart(quoteTime, minutes) {
+  const [date, time] = quoteTime.split(' ');
+  const [h, m] = time.split(':').map(Number);
+  const total = Math.floor((h * 60 + m) / minutes) * minutes;
+  return `${date} ${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}:00`;
+}
+
+/**
+ * 將一筆報價併入 1 分 / 5 分K
+ * 以資料庫的既有K棒合併高低點與成交量，中途重新啟動也不會覆蓋已累積的K棒
+ * @param {number} volumeDelta - 與前一次報價相比新增的成交股數
+ */
+async function upsertBars(quote, volumeDelta) {
+  for (const minutes of BAR_INTERVALS) {
+    await pool.query(
+      `INSERT INTO intraday_bars
+      (stock_id, interval_minutes, bar_time, open_price, high_price, low_price, close_price, volume)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+      high_price = GREATEST(high_price, VALUES(high_price)),
+      low_price = LEAST(low_price, VALUES(low_price)),
+      close_price = VALUES(close_price),
+      volume = volume + VALUES(volume)`,
+      [quote.stock_id, minutes, barStart(quote.quote_time, minutes),
+       quote.price, quote.price, quote.price, quote.price, volumeDelta]
+    );
+  }
+}
+
+/**
+ * 寫入盤中訊號，回傳是否為今日第一次觸發
+ */
+async function saveIntradaySignal(quote, signal) {
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO intraday_signals
+    (stock_id, signal_date, signal_type, signal_time, price, description)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+    [quote.stock_id, signal.date, signal.signal, quote.quote_time, quote.price, signal.description]
+  );
+  return result.affectedRows === 1;
+}
+
+/**
+ * 輪詢一次：更新分K並判斷盤中訊號
+ * @param {Array} stockIds - 監控股票
+ * @param {Map} lastQuotes - stock_id -> 上一次報價，用來計算成交量增量
+ * @param {Map} contexts - stock_id -> loadIntradayContext 的結果
+ * @returns {Promise<number>} 新觸發的訊號數
+ */
+async function pollOnce(stockIds, lastQuotes, contexts) {
+  const quotes = await fetchRealtimeQuotes(stockIds);
+  let triggered = 0;
+
+  for (const quote of quotes) {
+    // 本次揭示無成交價（例如開盤前試撮或僅更新委買賣）
+    if (quote.price === null) continue;
+
+    const last = lastQuotes.get(quote.stock_id);
+    if (last && last.quote_time === quote.quote_time) continue;
+
+    // 程式啟動後的第一筆報價沒有比較基準，成交量增量記為 0
+    const volumeDelta = last ? Math.max(0, quote.volume - last.volume) : 0;
+    lastQuotes.set(quote.stock_id, quote);
+
+    await upsertBars(quote, volumeDelta);
+
+    for (const signal of evaluateIntradaySignals(quote, contexts.get(quote.stock_id))) {
+      if (await saveIntradaySignal(quote, signal)) {
+        triggered++;
+        console.log(`[盤中] ${quote.quote_time.slice(11)} ${quote.stock_id} ${quote.price} ${signal.description}`);
+      }
+    }
+  }
+
+  return triggered;
+}
+
+/**
+ * 盤中輪詢：開盤前啟動會等到 09:00，收盤後自動結束
+ * @param {Object} [options]
+ * @param {Array} [options.stockIds] - 監控股票，預設為 INTRADAY_WATCHLIST
+ * @param {number} [options.pollSeconds] - 輪詢間隔秒數，預設 INTRADAY_POLL_SECONDS 或 15 秒
+ * @returns {Promise<number>} 當日新觸發的訊號數
+ */
+async function runIntradayPoller({ stockIds = getWatchlist(), pollSeconds = DEFAULT_POLL_SECONDS } = {}) {
+  if (stockIds.length === 0) {
+    console.log('未設定盤中監控股票（INTRADAY_WATCHLIST），略過');
+    return 0;
+  }
+
+  const today = taipeiToday();
+  if (!(await isTradingDay(today))) {
+    console.log(`${today} 非交易日，略過盤中監控`);
+    return 0;
+  }
+
+  const contexts = new Map();
+  for (const stockId of stockIds) {
+    const context = await loadIntradayContext(stockId, today);
+    if (!context) console.log(`⚠ ${stockId} 無前一交易日技術指標，只記錄分K`);
+    contexts.set(stockId, context);
+  }
+
+  console.log(`盤中監控 ${stockIds.length} 檔股票，每 ${pollSeconds} 秒更新（${MARKET_OPEN}~${MARKET_CLOSE}）`);
+  const lastQuotes = new Map();
+  let triggered = 0;
+
+  for (;;) {
+    const { time } = taipeiNow();
+    if (time >= MARKET_CLOSE) break;
+
+    if (time >= MARKET_OPEN) {
+      try {
+        triggered += await pollOnce(stockIds, lastQuotes, contexts);
+      } catch (error) {
+        // 被封鎖時持續查詢只會延長封鎖時間，交由排程重試
+        if (error.code === 'BLOCKED') throw error;
+        console.error(`盤中報價更新失敗: ${error.message}`);
+      }
+    }
+
+    await sleep(pollSeconds * 1000);
+  }
+
+  console.log(`✓ 盤中監控結束，共觸發 ${triggered} 個訊號`);
+  return triggered;
+}
+
+// 用法：
+//   node intradayPoller.js                        監控 INTRADAY_WATCHLIST
+//   node intradayPoller.js --stocks 2330,2317     指定股票
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const stocksIndex = args.indexOf('--stocks');
+  const options = stocksIndex >= 0 ? { stockIds: args[stocksIndex + 1].split(',') } : {};
+
+  runIntradayPoller(options)
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  getWatchlist,
+  barStart,
+  pollOnce,
+  runIntradayPoller
+};
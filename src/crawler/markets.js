@@ -0,0 +1,72 @@
+const { pool } = require('../database/connection');
+
+// stocks.market_type 的值（來自 ISIN 頁面的「市場別」欄位）
+const MARKET_TWSE = '上市';
+const MARKET_TPEX = '上櫃';
+
+// MOPS 查詢使用的市場別代碼
+const MOPS_MARKETS = [
+  { market: MARKET_TWSE, typek: 'sii' },
+  { market: MARKET_TPEX, typek: 'otc' }
+];
+
+/**
+ * 西元日期 (YYYYMMDD) 轉為 TPEx 使用的民國日期 (YYY/MM/DD)
+ * @param {string} date - YYYYMMDD 格式
+ */
+function toRocDate(date) {
+  const rocYear = parseInt(date.slice(0, 4)) - 1911;
+  return `${rocYear}/${date.slice(4, 6)}/${date.slice(6, 8)}`;
+}
+
+/**
+ * 西元日期 (YYYYMMDD) 轉為 TPEx 使用的民國年月 (YYY/MM)
+ * @param {string} date - YYYYMMDD 格式
+ */
+function toRocMonth(date) {
+  const rocYear = parseInt(date.slice(0, 4)) - 1911;
+  return `${rocYear}/${date.slice(4, 6)}`;
+}
+
+/**
+ * 民國日期 (YYY/MM/DD) 轉為 YYYY-MM-DD
+ */
+function rocToISODate(str) {
+  if (!str || str === '--') return null;
+  const parts = str.trim().split('/');
+  if (parts.length !== 3) return null;
+  const year = parseInt(parts[0]) + 1911;
+  return `${year}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`;
+}
+
+/**
+ * 查詢股票所屬市場別
+ * @param {Array} stockIds - 股票代號陣列
+ * @returns {Map} stock_id -> market_type，查無資料者視為上市
+ */
+async function getMarketTypes(stockIds) {
+  const result = new Map();
+  if (stockIds.length === 0) return result;
+
+  const [rows] = await pool.query(
+    'SELECT stock_id, market_type FROM stocks WHERE stock_id IN (?)',
+    [stockIds]
+  );
+  for (const row of rows) {
+    result.set(row.stock_id, row.market_type);
+  }
+  for (const stockId of stockIds) {
+    if (!result.has(stockId)) result.set(stockId, MARKET_TWSE);
+  }
+  return result;
+}
+
+module.exports = {
+  MARKET_TWSE,
+  MARKET_TPEX,
+  MOPS_MARKETS,
+  toRocDate,
+  toRocMonth,
+  rocToISODate,
+  getMarketTypes
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// 原始回應封存目錄，結構：<dir>/<dataset>/<date>/<hash>.raw + <hash>.meta.json
+const ARCHIVE_DIR = process.env.RAW_ARCHIVE_DIR || path.join(__dirname, '../../data/raw');
+
+/**
+ * 以 method + url + body 計算封存檔名
+ */
+function requestHash(method, url, data) {
+  return crypto.createHash('sha1')
+    .update(`${method} ${url}\n${data || ''}`)
+    .digest('hex');
+}
+
+/**
+ * 封存原始回應
+ * @param {Object} archive - { dataset, date, params }
+ * @param {Object} req - { method, url, data, encoding }
+ * @param {Buffer} buffer - 原始回應內容
+ */
+function saveRaw(archive, req, buffer) {
+  const dir = path.join(ARCHIVE_DIR, archive.dataset, String(archive.date));
+  const hash = requestHash(req.method, req.url, req.data);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${hash}.raw`), buffer);
+  fs.writeFileSync(path.join(dir, `${hash}.meta.json`), JSON.stringify({
+    dataset: archive.dataset,
+    date: String(archive.date),
+    params: archive.params || {},
+    method: req.method,
+    url: req.url,
+    data: req.data || null,
+    encoding: req.encoding || null,
+    fetched_at: new Date().toISOString()
+  }, null, 2));
+}
+
+/**
+ * 讀取封存的原始回應
+ * 先找同一日期目錄；找不到時（例如股票清單這類網址不含日期的資料）改用最新一次封存
+ * @returns {Buffer|null}
+ */
+function loadRaw(archive, req) {
+  const hash = requestHash(req.method, req.url, req.data);
+  const exact = path.join(ARCHIVE_DIR, archive.dataset, String(archive.date), `${hash}.raw`);
+  if (fs.existsSync(exact)) return fs.readFileSync(exact);
+
+  for (const date of listDates(archive.dataset).reverse()) {
+    const file = path.join(ARCHIVE_DIR, archive.dataset, date, `${hash}.raw`);
+    if (fs.existsSync(file)) return fs.readFileSync(file);
+  }
+  return null;
+}
+
+/**
+ * 列出資料集已封存的日期（由舊到新）
+ */
+function listDates(dataset) {
+  const dir = path.join(ARCHIVE_DIR, dataset);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(d => fs.statSync(path.join(dir, d)).isDirectory()).sort();
+}
+
+/**
+ * 列出資料集的封存項目
+ * @param {string} dataset
+ * @param {Object} [range] - { from, to }，以日期字串比較
+ * @returns {Array} meta 物件陣列
+ */
+function listArchive(dataset, { from, to } = {}) {
+  const entries = [];
+
+  for (const date of listDates(dataset)) {
+    if (from && date < from) continue;
+    if (to && date > to) continue;
+
+    const dir = path.join(ARCHIVE_DIR, dataset, date);
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.meta.json')).sort()) {
+      entries.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    }
+  }
+  return entries;
+}
+
+/**
+ * 列出所有已封存的資料集
+ */
+function listDatasets() {
+  if (!fs.existsSync(ARCHIVE_DIR)) return [];
+  return fs.readdirSync(ARCHIVE_DIR).filter(d => fs.statSync(path.join(ARCHIVE_DIR, d)).isDirectory());
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  saveRaw,
+  loadRaw,
+  listArchive,
+  listDatasets
+};
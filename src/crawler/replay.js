@@ -0,0 +1,117 @@
+const { setReplayMode } = require('./httpClient');
+const { listArchive, listDatasets } = require('./rawArchive');
+const { fetchStockList } = require('./fetchStockList');
+const { fetchAndSaveMarketDailyPrices, fetchBatchDailyPrices } = require('./fetchDailyPrices');
+const { fetchAndSaveInstitutionalTrading } = require('./fetchInstitutionalTrading');
+const { fetchAndSaveMarginTrading } = require('./fetchMarginTrading');
+const { fetchAndSaveForeignHoldings } = require('./fetchForeignHoldings');
+const { fetchAndSaveSblTrading } = require('./fetchSblTrading');
+const { fetchAndSaveDayTrading } = require('./fetchDayTrading');
+const { fetchAndSaveValuations } = require('./fetchValuations');
+const { fetchAndSaveIndexPrices } = require('./fetchIndices');
+const { fetchAndSaveTaifexPositions } = require('./fetchTaifexPositions');
+const { fetchAndSaveMaterialEvents } = require('./fetchMaterialEvents');
+const { fetchAndSaveTradingRestrictions } = require('./fetchTradingRestrictions');
+const { fetchAndSaveMonthlyRevenue } = require('./fetchMonthlyRevenue');
+const { fetchAndSaveFinancialStatements } = require('./fetchFinancialStatements');
+const { fetchAndSaveBalanceSheets } = require('./fetchBalanceSheets');
+const { fetchAndSaveCashFlows } = require('./fetchCashFlows');
+const { fetchAndSaveDividends } = require('./fetchDividends');
+const { fetchAndSaveCapitalChanges } = require('./fetchCapitalChanges');
+const { fetchAndSaveShareholding } = require('./fetchShareholding');
+const { fetchAndSaveHolidaySchedule } = require('./fetchHolidaySchedule');
+
+// 各資料集的重播方式：以封存時的 date / params 重新呼叫原本的寫入流程
+const REPLAY_HANDLERS = {
+  stock_list: (date) => fetchStockList({ archiveDate: date }),
+  daily_prices: (date) => fetchAndSaveMarketDailyPrices(date),
+  daily_prices_stock: (date, params) => fetchBatchDailyPrices([params.stockId], date),
+  institutional: (date) => fetchAndSaveInstitutionalTrading(date),
+  margin: (date) => fetchAndSaveMarginTrading(date),
+  foreign_holdings: (date) => fetchAndSaveForeignHoldings(date),
+  sbl: (date) => fetchAndSaveSblTrading(date),
+  day_trading: (date) => fetchAndSaveDayTrading(date),
+  valuations: (date) => fetchAndSaveValuations(date),
+  index_prices: (date) => fetchAndSaveIndexPrices(date),
+  taifex: (date) => fetchAndSaveTaifexPositions(date),
+  material_events: (date) => fetchAndSaveMaterialEvents(date),
+  trading_restrictions: (date) => fetchAndSaveTradingRestrictions(date),
+  monthly_revenue: (date, params) => fetchAndSaveMonthlyRevenue(params.year, params.month),
+  financial_statements: (date, params) => fetchAndSaveFinancialStatements(params.year, params.quarter),
+  balance_sheets: (date, params) => fetchAndSaveBalanceSheets(params.year, params.quarter),
+  cash_flows: (date, params) => fetchAndSaveCashFlows(params.year, params.quarter, { stockIds: [params.stockId], force: true }),
+  dividends: (date, params) => fetchAndSaveDividends(params.year),
+  capital_changes: (date, params) => fetchAndSaveCapitalChanges(params.year),
+  shareholding: (date) => fetchAndSaveShareholding({ archiveDate: date }),
+  holiday_schedule: (date, params) => fetchAndSaveHolidaySchedule(params.year)
+};
+
+/**
+ * 離線重播：把封存的原始回應重新解析並寫入資料庫，不連網
+ * 用於解析器修正後重新入庫、從零重建資料庫
+ * @param {string} dataset - 資料集名稱，或 'all'
+ * @param {Object} [range] - { from, to } 封存日期範圍（與封存目錄名稱相同格式）
+ */
+async function replayArchive(dataset, range = {}) {
+  const datasets = dataset === 'all'
+    ? listDatasets().filter(d => REPLAY_HANDLERS[d])
+    : [dataset];
+
+  setReplayMode(true);
+  const summary = {};
+
+  try {
+    for (const name of datasets) {
+      const handler = REPLAY_HANDLERS[name];
+      if (!handler) {
+        throw new Error(`不支援的資料集: ${name}，可用: ${Object.keys(REPLAY_HANDLERS).join(', ')}`);
+      }
+
+      // 同一日期可能有多個網址（例如上市 + 上櫃），只需重播一次
+      const units = new Map();
+      for (const entry of listArchive(name, range)) {
+        const key = `${entry.date}|${JSON.stringify(entry.params)}`;
+        if (!units.has(key)) units.set(key, entry);
+      }
+
+      console.log(`重播 ${name}：${units.size} 個封存單位`);
+      summary[name] = { replayed: 0, failed: 0 };
+
+      for (const entry of units.values()) {
+        try {
+          await handler(entry.date, entry.params);
+          summary[name].replayed++;
+        } catch (error) {
+          summary[name].failed++;
+          console.error(`重播 ${name} ${entry.date} 失敗:`, error.message);
+        }
+      }
+    }
+  } finally {
+    setReplayMode(false);
+  }
+
+  console.log('\n重播完成：');
+  for (const [name, s] of Object.entries(summary)) {
+    console.log(`  ${name}: 成功 ${s.replayed}, 失敗 ${s.failed}`);
+  }
+  return summary;
+}
+
+// 用法：node replay.js <dataset|all> [--from 20240101] [--to 20241231]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getFlag = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  replayArchive(args[0] || 'all', { from: getFlag('from'), to: getFlag('to') })
+    .then(() => { console.log('完成！'); process.exit(0); })
+    .catch(error => { console.error(error); process.exit(1); });
+}
+
+module.exports = {
+  REPLAY_HANDLERS,
+  replayArchive
+};
@@ -0,0 +1,12 @@
+-- 股價歷史回補進度（每檔股票每月一筆）
+CREATE TABLE IF NOT EXISTS price_backfill_progress (
+    stock_id VARCHAR(10) NOT NULL,
+    period CHAR(7) NOT NULL,        -- 年月 (YYYY-MM)
+    status VARCHAR(20) NOT NULL,    -- done / partial / empty / failed
+    row_count INT DEFAULT 0,        -- 抓到的交易日筆數
+    expected_count INT,             -- 參考交易日數（全市場該月交易日）
+    error_message VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (stock_id, period),
+    INDEX idx_status (status)
+);
@@ -0,0 +1,7 @@
+-- 台股休市日（交易日曆）
+CREATE TABLE IF NOT EXISTS market_holidays (
+    holiday_date DATE PRIMARY KEY,
+    name VARCHAR(100),              -- 休市原因
+    source VARCHAR(20) DEFAULT 'twse', -- twse: 證交所市場開休市日期表 / manual: 臨時休市（颱風等）
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,28 @@
+-- 爬蟲執行紀錄（每次 fetchAndSave* 呼叫一筆）
+CREATE TABLE IF NOT EXISTS crawl_runs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    dataset VARCHAR(50) NOT NULL,       -- 資料集 (daily_prices / institutional / margin / ...)
+    target VARCHAR(20) NOT NULL,        -- 目標日期或期間 (YYYYMMDD / YYYY-MM / YYYYQn / YYYY)
+    status VARCHAR(20) NOT NULL,        -- success / empty / failed
+    row_count INT DEFAULT 0,            -- 寫入筆數
+    duration_ms INT,                    -- 執行時間 (毫秒)
+    error_message VARCHAR(500),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_dataset_target (dataset, target, started_at DESC),
+    INDEX idx_started (started_at DESC)
+);
+
+-- 待重抓佇列（缺漏或失敗的單位）
+CREATE TABLE IF NOT EXISTS crawl_queue (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    dataset VARCHAR(50) NOT NULL,
+    target VARCHAR(20) NOT NULL,
+    reason VARCHAR(50),                 -- missing / failed / empty
+    status VARCHAR(20) DEFAULT 'pending', -- pending / done / failed
+    attempts INT DEFAULT 0,
+    last_error VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_dataset_target (dataset, target),
+    INDEX idx_status (status)
+);
@@ -0,0 +1,25 @@
+-- 每日訊號掃描結果
+CREATE TABLE IF NOT EXISTS stock_signals (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    signal_date DATE NOT NULL,          -- 訊號發生日
+    signal_type VARCHAR(50) NOT NULL,   -- golden_cross / rsi_bounce / volume_breakout / ...
+    description VARCHAR(200),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date_signal (stock_id, signal_date, signal_type),
+    INDEX idx_date (signal_date DESC)
+);
+
+-- 排程執行紀錄
+CREATE TABLE IF NOT EXISTS scheduler_runs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job VARCHAR(50) NOT NULL,           -- daily / monthly_revenue / financial_statements
+    status VARCHAR(20) NOT NULL,        -- running / success / partial / failed / skipped
+    steps TEXT,                         -- 各步驟結果 (JSON)
+    error_message VARCHAR(500),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    duration_ms INT,
+    INDEX idx_job_started (job, started_at DESC)
+);
@@ -0,0 +1,29 @@
+-- 減資恢復買賣參考價
+CREATE TABLE IF NOT EXISTS capital_changes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    resume_date DATE NOT NULL,              -- 恢復買賣日期
+    prev_close DECIMAL(10, 2),              -- 停止買賣前收盤價
+    reference_price DECIMAL(10, 2),         -- 恢復買賣參考價
+    reason VARCHAR(100),                    -- 減資原因（彌補虧損 / 退還股款 ...）
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date (stock_id, resume_date)
+);
+
+-- 還原股價調整因子
+-- 每個除權息 / 減資事件一筆；事件日之前的價格乘上其後所有事件 factor 的乘積即為還原價
+CREATE TABLE IF NOT EXISTS price_adjustments (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    event_date DATE NOT NULL,               -- 除權息日 / 恢復買賣日
+    event_type VARCHAR(30) NOT NULL,        -- ex_dividend / ex_right / ex_right_dividend / capital_reduction
+    cash_dividend DECIMAL(10, 4),           -- 現金股利 (元)
+    stock_dividend DECIMAL(10, 4),          -- 股票股利 (元，面額 10 元)
+    prev_close DECIMAL(10, 2),              -- 事件前一交易日收盤價
+    reference_price DECIMAL(10, 4),         -- 參考價
+    factor DECIMAL(12, 8) NOT NULL,         -- reference_price / prev_close
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date (stock_id, event_date)
+);
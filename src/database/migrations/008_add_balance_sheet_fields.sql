@@ -0,0 +1,4 @@
+-- 資產負債表補充欄位（計算每股淨值用）
+ALTER TABLE financial_statements
+  ADD COLUMN share_capital DECIMAL(20, 2) AFTER equity,
+  ADD COLUMN equity_attributable DECIMAL(20, 2) AFTER share_capital;
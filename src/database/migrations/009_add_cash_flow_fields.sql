@@ -0,0 +1,8 @@
+-- 現金流量表：MOPS 公布的是年初至今累計數，保留累計值以推算單季
+-- operating_cash_flow / investing_cash_flow / financing_cash_flow / free_cash_flow 存單季值
+ALTER TABLE financial_statements
+  ADD COLUMN capital_expenditure DECIMAL(20, 2) AFTER free_cash_flow,
+  ADD COLUMN operating_cash_flow_ytd DECIMAL(20, 2) AFTER capital_expenditure,
+  ADD COLUMN investing_cash_flow_ytd DECIMAL(20, 2) AFTER operating_cash_flow_ytd,
+  ADD COLUMN financing_cash_flow_ytd DECIMAL(20, 2) AFTER investing_cash_flow_ytd,
+  ADD COLUMN capital_expenditure_ytd DECIMAL(20, 2) AFTER financing_cash_flow_ytd;
@@ -0,0 +1,4 @@
+-- 綜合損益表產業別格式：general / bank / financial_holding / insurance / securities / other
+-- 金融業沒有營業成本與毛利，毛利率等指標需依此判斷是否適用
+ALTER TABLE financial_statements
+  ADD COLUMN statement_template VARCHAR(20) AFTER report_type;
@@ -0,0 +1,51 @@
+-- 綜合損益表：MOPS 公布的是年初至今累計數（Q4 為全年度），累計值存於 *_ytd 欄位
+-- revenue ~ eps 原欄位改存單季值（Q1 同累計值，Q2~Q4 為本季累計 - 前季累計）
+ALTER TABLE financial_statements
+  ADD COLUMN revenue_ytd DECIMAL(20, 2) AFTER eps,
+  ADD COLUMN operating_cost_ytd DECIMAL(20, 2) AFTER revenue_ytd,
+  ADD COLUMN gross_profit_ytd DECIMAL(20, 2) AFTER operating_cost_ytd,
+  ADD COLUMN operating_expense_ytd DECIMAL(20, 2) AFTER gross_profit_ytd,
+  ADD COLUMN operating_income_ytd DECIMAL(20, 2) AFTER operating_expense_ytd,
+  ADD COLUMN non_operating_income_ytd DECIMAL(20, 2) AFTER operating_income_ytd,
+  ADD COLUMN pretax_income_ytd DECIMAL(20, 2) AFTER non_operating_income_ytd,
+  ADD COLUMN net_income_ytd DECIMAL(20, 2) AFTER pretax_income_ytd,
+  ADD COLUMN eps_ytd DECIMAL(10, 4) AFTER net_income_ytd;
+
+-- 既有資料為累計值，先搬到 *_ytd 欄位
+UPDATE financial_statements
+SET revenue_ytd = revenue,
+    operating_cost_ytd = operating_cost,
+    gross_profit_ytd = gross_profit,
+    operating_expense_ytd = operating_expense,
+    operating_income_ytd = operating_income,
+    non_operating_income_ytd = non_operating_income,
+    pretax_income_ytd = pretax_income,
+    net_income_ytd = net_income,
+    eps_ytd = eps
+WHERE eps IS NOT NULL OR revenue IS NOT NULL OR net_income IS NOT NULL;
+
+-- 由累計值推算單季值（與 deriveQuarterlyIncome 相同）：Q1 即單季，Q2~Q4 為本季累計 - 前季累計，前季缺漏時為 NULL
+UPDATE financial_statements cur
+LEFT JOIN financial_statements prev
+  ON prev.stock_id = cur.stock_id AND prev.year = cur.year AND prev.quarter = cur.quarter - 1
+SET cur.revenue = IF(cur.quarter = 1, cur.revenue_ytd, cur.revenue_ytd - prev.revenue_ytd),
+    cur.operating_cost = IF(cur.quarter = 1, cur.operating_cost_ytd, cur.operating_cost_ytd - prev.operating_cost_ytd),
+    cur.gross_profit = IF(cur.quarter = 1, cur.gross_profit_ytd, cur.gross_profit_ytd - prev.gross_profit_ytd),
+    cur.operating_expense = IF(cur.quarter = 1, cur.operating_expense_ytd, cur.operating_expense_ytd - prev.operating_expense_ytd),
+    cur.operating_income = IF(cur.quarter = 1, cur.operating_income_ytd, cur.operating_income_ytd - prev.operating_income_ytd),
+    cur.non_operating_income = IF(cur.quarter = 1, cur.non_operating_income_ytd, cur.non_operating_income_ytd - prev.non_operating_income_ytd),
+    cur.pretax_income = IF(cur.quarter = 1, cur.pretax_income_ytd, cur.pretax_income_ytd - prev.pretax_income_ytd),
+    cur.net_income = IF(cur.quarter = 1, cur.net_income_ytd, cur.net_income_ytd - prev.net_income_ytd),
+    cur.eps = IF(cur.quarter = 1, cur.eps_ytd, cur.eps_ytd - prev.eps_ytd)
+WHERE cur.eps_ytd IS NOT NULL OR cur.revenue_ytd IS NOT NULL;
+
+-- 以單季值重算利潤率；ROE / ROA 於下次抓取財報或執行 --rederive 時重算
+UPDATE financial_ratios fr
+JOIN financial_statements fs ON fs.stock_id = fr.stock_id AND fs.year = fr.year AND fs.quarter = fr.quarter
+SET fr.gross_margin = CASE WHEN fs.revenue > 0 AND fs.gross_profit IS NOT NULL
+      THEN LEAST(GREATEST(fs.gross_profit / fs.revenue * 100, -999.99), 999.99) END,
+    fr.operating_margin = CASE WHEN fs.revenue > 0 AND fs.operating_income IS NOT NULL
+      THEN LEAST(GREATEST(fs.operating_income / fs.revenue * 100, -999.99), 999.99) END,
+    fr.net_margin = CASE WHEN fs.revenue > 0 AND fs.net_income IS NOT NULL
+      THEN LEAST(GREATEST(fs.net_income / fs.revenue * 100, -999.99), 999.99) END
+WHERE fs.revenue IS NOT NULL;
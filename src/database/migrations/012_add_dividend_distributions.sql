@@ -0,0 +1,39 @@
+-- 股利改為每次分派一筆（季配、半年配公司一年有多筆除權息）
+CREATE TABLE IF NOT EXISTS dividend_distributions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,              -- 股票代號
+    fiscal_year INT NOT NULL,                   -- 股利所屬年度（西元）
+    fiscal_period VARCHAR(4) NOT NULL,          -- 股利所屬期間：Q1~Q4 / H1 / H2 / FY
+    ex_dividend_date DATE,                      -- 除息交易日
+    ex_right_date DATE,                         -- 除權交易日
+    pay_date DATE,                              -- 現金股利發放日
+    cash_dividend DECIMAL(10, 4),               -- 現金股利（元/股）
+    stock_dividend DECIMAL(10, 4),              -- 股票股利（元/股）
+    dividend_yield DECIMAL(5, 2),               -- 殖利率 (%)，以除息前一日收盤價計算
+    payout_ratio DECIMAL(5, 2),                 -- 配息率 (%) = 現金股利 / 同期間 EPS
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_period (stock_id, fiscal_year, fiscal_period),
+    INDEX idx_ex_dividend_date (ex_dividend_date),
+    INDEX idx_ex_right_date (ex_right_date)
+);
+
+-- 舊表每年只有一筆且只保留第一個除息日，無法拆回個別分派，保留備查
+-- 升級後請重新執行 npm run fetch-dividends -- <年度> 抓取各年度資料
+RENAME TABLE dividends TO dividends_legacy;
+
+-- 年度彙總（依除權息日所屬年度），欄位與舊 dividends 表相容
+CREATE VIEW dividends AS
+SELECT
+    stock_id,
+    YEAR(COALESCE(ex_dividend_date, ex_right_date)) AS year,
+    SUM(cash_dividend) AS cash_dividend,
+    SUM(stock_dividend) AS stock_dividend,
+    SUM(cash_dividend) + SUM(stock_dividend) AS total_dividend,
+    MIN(ex_dividend_date) AS ex_dividend_date,
+    MIN(ex_right_date) AS ex_right_date,
+    SUM(dividend_yield) AS dividend_yield,
+    COUNT(*) AS distributions
+FROM dividend_distributions
+GROUP BY stock_id, YEAR(COALESCE(ex_dividend_date, ex_right_date));
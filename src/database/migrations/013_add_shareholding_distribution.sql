@@ -0,0 +1,15 @@
+-- 集保股權分散表（TDCC 每週公布）
+-- tier 1~15 為持股分級（1: 1-999 股 … 12: 400,001-600,000 股 … 15: 1,000,001 股以上），17 為合計
+CREATE TABLE IF NOT EXISTS shareholding_distribution (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    data_date DATE NOT NULL,            -- 資料日期（每週最後一個交易日）
+    tier TINYINT NOT NULL,              -- 持股分級
+    holders INT,                        -- 人數
+    shares BIGINT,                      -- 股數
+    ratio DECIMAL(6, 2),                -- 占集保庫存數比例 (%)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date_tier (stock_id, data_date, tier),
+    INDEX idx_stock_date (stock_id, data_date DESC)
+);
@@ -0,0 +1,16 @@
+-- 外資及陸資持股統計（每日）
+CREATE TABLE IF NOT EXISTS foreign_holdings (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    trade_date DATE NOT NULL,
+    issued_shares BIGINT,               -- 發行股數
+    foreign_shares BIGINT,              -- 全體外資及陸資持有股數
+    available_shares BIGINT,            -- 外資及陸資尚可投資股數
+    holding_ratio DECIMAL(6, 2),        -- 全體外資及陸資持股比率 (%)
+    available_ratio DECIMAL(6, 2),      -- 外資及陸資尚可投資比率 (%)
+    limit_ratio DECIMAL(6, 2),          -- 法令投資上限比率 (%)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date (stock_id, trade_date),
+    INDEX idx_trade_date (trade_date)
+);
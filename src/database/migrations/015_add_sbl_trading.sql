@@ -0,0 +1,16 @@
+-- 借券賣出（SBL）每日餘額，單位為股（margin_trading 為張）
+CREATE TABLE IF NOT EXISTS sbl_trading (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    trade_date DATE NOT NULL,
+    sbl_prev_balance BIGINT,        -- 借券賣出前日餘額 (股)
+    sbl_short_sell BIGINT,          -- 當日借券賣出 (股)
+    sbl_return BIGINT,              -- 當日還券 (股)
+    sbl_adjustment BIGINT,          -- 當日調整 (股)
+    sbl_balance BIGINT,             -- 借券賣出當日餘額 (股)
+    sbl_limit BIGINT,               -- 次一營業日可借券賣出限額 (股)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date (stock_id, trade_date),
+    INDEX idx_trade_date (trade_date)
+);
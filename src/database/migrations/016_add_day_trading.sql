@@ -0,0 +1,16 @@
+-- 當日沖銷交易統計
+-- day_trade_ratio = 當沖成交股數 / daily_prices.volume，股價晚於當沖資料寫入時於下次抓取重算
+CREATE TABLE IF NOT EXISTS day_trading (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    trade_date DATE NOT NULL,
+    day_trade_volume BIGINT,            -- 當沖成交股數
+    day_trade_buy_value BIGINT,         -- 當沖買進成交金額 (元)
+    day_trade_sell_value BIGINT,        -- 當沖賣出成交金額 (元)
+    day_trade_ratio DECIMAL(6, 2),      -- 當沖成交股數占總成交量比率 (%)
+    suspended_flag BOOLEAN DEFAULT FALSE, -- 暫停先賣後買當日沖銷
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date (stock_id, trade_date),
+    INDEX idx_trade_date (trade_date)
+);
@@ -0,0 +1,32 @@
+-- 盤中即時報價彙整的分K（1 分 / 5 分）
+-- bar_time 為該根K棒的起始時間（台北時間），volume 為該時段成交股數
+CREATE TABLE IF NOT EXISTS intraday_bars (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    interval_minutes TINYINT NOT NULL,  -- 1 / 5
+    bar_time DATETIME NOT NULL,
+    open_price DECIMAL(10, 2),
+    high_price DECIMAL(10, 2),
+    low_price DECIMAL(10, 2),
+    close_price DECIMAL(10, 2),
+    volume BIGINT DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_interval_time (stock_id, interval_minutes, bar_time),
+    INDEX idx_bar_time (bar_time)
+);
+
+-- 盤中訊號（以前一交易日技術指標判斷），同一股票同一訊號每日只記錄第一次觸發
+CREATE TABLE IF NOT EXISTS intraday_signals (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    signal_date DATE NOT NULL,
+    signal_type VARCHAR(50) NOT NULL,   -- bollinger_breakout_up / ma20_cross_up / volume_breakout / ...
+    signal_time DATETIME NOT NULL,      -- 首次觸發時間
+    price DECIMAL(10, 2),
+    description VARCHAR(200),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date_signal (stock_id, signal_date, signal_type),
+    INDEX idx_signal_time (signal_time DESC)
+);
@@ -0,0 +1,56 @@
+-- 大盤與類股指數
+CREATE TABLE IF NOT EXISTS market_indices (
+    index_id VARCHAR(30) PRIMARY KEY,   -- TAIEX / TPEX / 類股代號（例如 SEMICONDUCTOR）
+    index_name VARCHAR(50) NOT NULL,    -- 交易所公布的指數名稱
+    market_type VARCHAR(20),            -- 上市 / 上櫃
+    category VARCHAR(20) NOT NULL,      -- market（大盤） / sector（類股）
+    industry VARCHAR(50),               -- 對應 stocks.industry，供個股與所屬類股比較
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_industry (industry)
+);
+
+-- 指數日K；類股指數只公布收盤，開高低由盤中 5 分鐘指數推算，無資料時為 NULL
+CREATE TABLE IF NOT EXISTS index_prices (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    index_id VARCHAR(30) NOT NULL,
+    trade_date DATE NOT NULL,
+    open_price DECIMAL(10, 2),
+    high_price DECIMAL(10, 2),
+    low_price DECIMAL(10, 2),
+    close_price DECIMAL(10, 2) NOT NULL,
+    change_amount DECIMAL(10, 2),
+    change_percent DECIMAL(6, 2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (index_id) REFERENCES market_indices(index_id),
+    UNIQUE KEY unique_index_date (index_id, trade_date),
+    INDEX idx_trade_date (trade_date)
+);
+
+-- 指數技術指標（欄位同 technical_indicators；指數無成交量，不計算 VWAP / OBV）
+CREATE TABLE IF NOT EXISTS index_indicators (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    index_id VARCHAR(30) NOT NULL,
+    trade_date DATE NOT NULL,
+    ma5 DECIMAL(10, 2),
+    ma10 DECIMAL(10, 2),
+    ma20 DECIMAL(10, 2),
+    ma60 DECIMAL(10, 2),
+    rsi DECIMAL(5, 2),
+    macd DECIMAL(10, 4),
+    macd_signal DECIMAL(10, 4),
+    macd_histogram DECIMAL(10, 4),
+    kd_k DECIMAL(5, 2),
+    kd_d DECIMAL(5, 2),
+    bollinger_upper DECIMAL(10, 2),
+    bollinger_middle DECIMAL(10, 2),
+    bollinger_lower DECIMAL(10, 2),
+    atr DECIMAL(10, 4),
+    adx DECIMAL(5, 2),
+    plus_di DECIMAL(5, 2),
+    minus_di DECIMAL(5, 2),
+    williams_r DECIMAL(5, 2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (index_id) REFERENCES market_indices(index_id),
+    UNIQUE KEY unique_index_date (index_id, trade_date),
+    INDEX idx_index_date (index_id, trade_date DESC)
+);
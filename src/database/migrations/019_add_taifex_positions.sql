@@ -0,0 +1,60 @@
+-- 期交所三大法人期貨未平倉（口數；契約金額單位為仟元）
+CREATE TABLE IF NOT EXISTS futures_institutional (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    trade_date DATE NOT NULL,
+    product_id VARCHAR(10) NOT NULL,    -- TX 臺股期貨 / MTX 小型臺指期貨
+    investor_type VARCHAR(10) NOT NULL, -- foreign / trust / dealer
+    long_trade_volume INT,              -- 多方交易口數
+    short_trade_volume INT,             -- 空方交易口數
+    net_trade_volume INT,               -- 多空交易口數淨額
+    long_oi INT,                        -- 多方未平倉口數
+    short_oi INT,                       -- 空方未平倉口數
+    net_oi INT,                         -- 多空未平倉口數淨額
+    net_oi_value BIGINT,                -- 多空未平倉契約金額淨額 (仟元)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_date_product_investor (trade_date, product_id, investor_type)
+);
+
+-- 期交所三大法人選擇權買賣權未平倉
+CREATE TABLE IF NOT EXISTS options_institutional (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    trade_date DATE NOT NULL,
+    product_id VARCHAR(10) NOT NULL,    -- TXO 臺指選擇權
+    call_put VARCHAR(4) NOT NULL,       -- call / put
+    investor_type VARCHAR(10) NOT NULL, -- foreign / trust / dealer
+    buy_oi INT,                         -- 買方未平倉口數
+    sell_oi INT,                        -- 賣方未平倉口數
+    net_oi INT,                         -- 未平倉口數買賣淨額
+    net_oi_value BIGINT,                -- 未平倉契約金額買賣淨額 (仟元)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_date_product_side_investor (trade_date, product_id, call_put, investor_type)
+);
+
+-- 臺指選擇權買賣權比（Put/Call Ratio）
+CREATE TABLE IF NOT EXISTS put_call_ratio (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    trade_date DATE NOT NULL,
+    put_volume INT,
+    call_volume INT,
+    volume_ratio DECIMAL(8, 2),         -- 買賣權成交量比率 (%)
+    put_oi INT,
+    call_oi INT,
+    oi_ratio DECIMAL(8, 2),             -- 買賣權未平倉量比率 (%)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_date (trade_date)
+);
+
+-- 期貨大額交易人未沖銷部位（所有月份合計）
+CREATE TABLE IF NOT EXISTS large_trader_positions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    trade_date DATE NOT NULL,
+    product_id VARCHAR(10) NOT NULL,    -- TX
+    trader_type VARCHAR(12) NOT NULL,   -- all 全部交易人 / institution 特定法人
+    top5_long INT,
+    top5_short INT,
+    top10_long INT,
+    top10_short INT,
+    market_oi INT,                      -- 全市場未沖銷部位數
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_date_product_trader (trade_date, product_id, trader_type)
+);
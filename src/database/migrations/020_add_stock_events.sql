@@ -0,0 +1,15 @@
+-- 公開資訊觀測站重大訊息
+-- category 依主旨關鍵字分類（見 fetchMaterialEvents.classifyAnnouncement）
+CREATE TABLE IF NOT EXISTS stock_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    event_date DATE NOT NULL,           -- 發言日期
+    event_time TIME NOT NULL DEFAULT '00:00:00', -- 發言時間，來源缺漏時為 00:00:00（唯一鍵不可含 NULL，否則重抓會重複寫入）
+    subject VARCHAR(1000) NOT NULL,     -- 主旨
+    category VARCHAR(30) NOT NULL DEFAULT 'other',
+    source VARCHAR(20) NOT NULL DEFAULT 'mops_material',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_event (stock_id, event_date, event_time, subject(200)),
+    INDEX idx_event_date (event_date)
+);
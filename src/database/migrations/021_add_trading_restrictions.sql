@@ -0,0 +1,19 @@
+-- 注意股票、處置股票與變更交易方法（全額交割）
+-- attention: 公布當日的注意交易資訊，start_date = end_date = 公布日期
+-- disposition: 處置期間（處置起迄時間）
+-- altered_trading: 變更交易方法期間，尚未恢復者 end_date 為 NULL；不再出現在名單時以前一交易日結束
+CREATE TABLE IF NOT EXISTS trading_restrictions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    restriction_type VARCHAR(20) NOT NULL, -- attention / disposition / altered_trading
+    start_date DATE NOT NULL,
+    end_date DATE,
+    announce_date DATE,                 -- 公布日期
+    reason VARCHAR(1000),               -- 注意交易資訊 / 處置條件 / 變更原因
+    measure VARCHAR(1000),              -- 處置措施與內容（例如人工管制撮合、預收款券）
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_type_start (stock_id, restriction_type, start_date),
+    INDEX idx_type_end (restriction_type, end_date)
+);
@@ -0,0 +1,32 @@
+-- 股票上下市與暫停交易紀錄
+-- 同步股票清單時不在清單上的股票設為 is_active = FALSE，delist_date 為最後交易日
+ALTER TABLE stocks
+  ADD COLUMN delist_date DATE AFTER listing_date,
+  ADD COLUMN is_suspended BOOLEAN DEFAULT FALSE AFTER is_active,
+  ADD INDEX idx_active (is_active);
+
+-- 暫停交易（停止買賣）期間，尚未恢復者 resume_date 為 NULL
+CREATE TABLE IF NOT EXISTS stock_suspensions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    suspend_date DATE NOT NULL,
+    resume_date DATE,
+    reason VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_suspend (stock_id, suspend_date)
+);
+
+-- 股票名稱、產業別、市場別與上下市狀態變更紀錄
+CREATE TABLE IF NOT EXISTS stock_changes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    change_date DATE NOT NULL,          -- 偵測到變更的同步日期
+    field VARCHAR(20) NOT NULL,         -- stock_name / industry / market_type / is_active
+    old_value VARCHAR(100),
+    new_value VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    INDEX idx_stock_date (stock_id, change_date)
+);
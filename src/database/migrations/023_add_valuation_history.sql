@@ -0,0 +1,17 @@
+-- 證交所／櫃買中心每日公布的個股本益比、股價淨值比、殖利率
+-- 本益比以近四季 EPS 計算，虧損時來源為空白（NULL）
+CREATE TABLE IF NOT EXISTS valuation_history (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stock_id VARCHAR(10) NOT NULL,
+    trade_date DATE NOT NULL,
+    pe_ratio DECIMAL(10, 2),            -- 本益比
+    pb_ratio DECIMAL(10, 2),            -- 股價淨值比
+    dividend_yield DECIMAL(6, 2),       -- 殖利率 (%)
+    dividend_per_share DECIMAL(10, 4),  -- 每股股利（僅上櫃提供）
+    dividend_year SMALLINT,             -- 股利年度（民國年）
+    fiscal_period VARCHAR(10),          -- 財報年/季，例如 113/3
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stock_id) REFERENCES stocks(stock_id),
+    UNIQUE KEY unique_stock_date (stock_id, trade_date),
+    INDEX idx_trade_date (trade_date)
+);
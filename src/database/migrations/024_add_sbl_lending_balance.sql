@@ -0,0 +1,5 @@
+-- 借券餘額（證交所借券系統與證券商營業處所借貸，TWT72U），單位為股
+-- 借券餘額為已借出尚未返還的股數，包含借入後尚未賣出的部位；借券賣出餘額（sbl_balance）才是實際空單
+ALTER TABLE sbl_trading
+  ADD COLUMN lending_prev_balance BIGINT AFTER sbl_limit,       -- 借券前日餘額 (股)
+  ADD COLUMN lending_balance BIGINT AFTER lending_prev_balance; -- 借券當日餘額 (股)
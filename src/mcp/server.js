@@ -2,8 +2,9 @@ const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const { z } = require('zod');
 const { pool } = require('../database/connection');
+const { taipeiToday, toCompactDate } = require('../utils/tradingCalendar');
 const { fetchStockList } = require('../crawler/fetchStockList');
-const { fetchRecentPrices, fetchBatchDailyPrices } = require('../crawler/fetchDailyPrices');
+const { fetchRecentPrices, fetchBatchDailyPrices, fetchAndSaveMarketDailyPrices } = require('../crawler/fetchDailyPrices');
 const { calculateIndicatorsForStock, calculateAllIndicators } = require('../analysis/calculateIndicators');
 const { fetchAndSaveInstitutionalTrading, fetchRecentInstitutionalTrading } = require('../crawler/fetchInstitutionalTrading');
 const { fetchAndSaveMarginTrading, fetchRecentMarginTrading } = require('../crawler/fetchMarginTrading');
@@ -11,8 +12,15 @@ const { fetchAndSaveMonthlyRevenue, fetchRecentMonthlyRevenue } = require('../cr
 const { fetchAndSaveFinancialStatements, fetchRecentFinancialStatements } = require('../crawler/fetchFinancialStatements');
 const { fetchAndSaveDividends, fetchRecentDividends } = require('../crawler/fetchDividends');
 const { detectAllSignals, scoreStock, screenByStrategy } = require('../analysis/strategies');
-const { analyzeInstitutionalTrend, detectAccumulation, analyzeConsensus, analyzeMarginTrend, screenByInstitutional } = require('../analysis/institutionalAnalysis');
-const { analyzeRevenueTrend, calculateValuation, getFinancialSummary, scoreFundamental } = require('../analysis/fundamentalAnalysis');
+const { getPriceSeries } = require('../analysis/adjustedPrices');
+const { getIntradayBars, getIntradaySignals } = require('../analysis/intradaySignals');
+const { listIndices, getIndexPrices } = require('../analysis/marketIndices');
+const { getMarketSentiment } = require('../analysis/marketSentiment');
+const { getStockEvents } = require('../analysis/stockEvents');
+const { EXCLUDE_RESTRICTED, restrictedStockFilter, getTradingStatus } = require('../analysis/tradingRestrictions');
+const { listedOnFilter, getStockHistory } = require('../analysis/stockLifecycle');
+const { analyzeInstitutionalTrend, detectAccumulation, analyzeConsensus, analyzeMarginTrend, analyzeDayTrading, analyzeConcentrationTrend, screenByInstitutional, screenForeignHoldingRising, screenShortSqueeze } = require('../analysis/institutionalAnalysis');
+const { analyzeRevenueTrend, calculateValuation, findValuationDiscrepancies, getFinancialSummary, scoreFundamental } = require('../analysis/fundamentalAnalysis');
 
 const server = new McpServer({
   name: 'taiwan-stock-analysis',
@@ -25,11 +33,16 @@ const server = new McpServer({
 
 server.tool(
   'get_stock_list',
-  '取得所有上市股票清單,可用 keyword 模糊搜尋股票名稱或代號',
-  { keyword: z.string().optional().describe('搜尋關鍵字（股票名稱或代號）') },
-  async ({ keyword }) => {
+  '取得所有上市、上櫃股票清單,可用 keyword 模糊搜尋股票名稱或代號；指定 as_of 時列出該日當時掛牌的股票（含之後下市者）',
+  {
+    keyword: z.string().optional().describe('搜尋關鍵字（股票名稱或代號）'),
+    as_of: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe('歷史日期 YYYY-MM-DD，回測時用來避免存活者偏差'),
+  },
+  async ({ keyword, as_of }) => {
     try {
-      let query = 'SELECT stock_id, stock_name, industry, market_type FROM stocks WHERE is_active = TRUE';
+      let query = as_of
+        ? `SELECT stock_id, stock_name, industry, market_type, is_active, delist_date FROM stocks WHERE ${listedOnFilter('', as_of)}`
+        : 'SELECT stock_id, stock_name, industry, market_type FROM stocks WHERE is_active = TRUE';
       const params = [];
 
       if (keyword) {
@@ -52,7 +65,7 @@ server.tool(
 
 server.tool(
   'get_stock_detail',
-  '取得單一股票的詳細資訊',
+  '取得單一股票的詳細資訊（含注意股、處置股、變更交易方法狀態）',
   { stock_id: z.string().describe('股票代號,例如 2330') },
   async ({ stock_id }) => {
     try {
@@ -60,7 +73,25 @@ server.tool(
       if (rows.length === 0) {
         return { content: [{ type: 'text', text: `找不到股票 ${stock_id}` }], isError: true };
       }
-      return { content: [{ type: 'text', text: JSON.stringify(rows[0], null, 2) }] };
+      const tradingStatus = await getTradingStatus(stock_id);
+      return { content: [{ type: 'text', text: JSON.stringify({ ...rows[0], trading_status: tradingStatus }, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+server.tool(
+  'get_stock_history',
+  '取得股票上下市日期、暫停交易紀錄與名稱／產業別／市場別變更歷史',
+  { stock_id: z.string().describe('股票代號,例如 2330') },
+  async ({ stock_id }) => {
+    try {
+      const history = await getStockHistory(stock_id);
+      if (!history) {
+        return { content: [{ type: 'text', text: `找不到股票 ${stock_id}` }], isError: true };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(history, null, 2) }] };
     } catch (error) {
       return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
     }
@@ -73,15 +104,13 @@ server.tool(
   {
     stock_id: z.string().describe('股票代號,例如 2330'),
     limit: z.number().optional().default(30).describe('回傳筆數,預設 30'),
+    adjusted: z.boolean().optional().default(false).describe('是否回傳還原權息後的股價'),
   },
-  async ({ stock_id, limit }) => {
+  async ({ stock_id, limit, adjusted }) => {
     try {
-      const [rows] = await pool.query(
-        `SELECT * FROM daily_prices WHERE stock_id = ? ORDER BY trade_date DESC LIMIT ?`,
-        [stock_id, limit]
-      );
+      const rows = await getPriceSeries(stock_id, { limit, adjusted });
       return {
-        content: [{ type: 'text', text: JSON.stringify({ count: rows.length, data: rows.reverse() }, null, 2) }],
+        content: [{ type: 'text', text: JSON.stringify({ count: rows.length, data: rows }, null, 2) }],
       };
     } catch (error) {
       return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
@@ -89,6 +118,61 @@ server.tool(
   }
 );
 
+server.tool(
+  'get_index_list',
+  '取得大盤（加權指數、櫃買指數）與上市類股指數清單及最新收盤',
+  {
+    category: z.enum(['market', 'sector']).optional().describe('market: 大盤, sector: 類股,預設全部'),
+  },
+  async ({ category }) => {
+    try {
+      const rows = await listIndices({ category });
+      return { content: [{ type: 'text', text: JSON.stringify({ count: rows.length, data: rows }, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+server.tool(
+  'get_index_prices',
+  '取得指數歷史日K與技術指標（MA、RSI、MACD、KD、布林通道、ATR、ADX、Williams %R）',
+  {
+    index_id: z.string().describe('指數代號,例如 TAIEX、TPEX、SEMICONDUCTOR（可由 get_index_list 查詢）'),
+    limit: z.number().optional().default(30).describe('回傳筆數,預設 30'),
+  },
+  async ({ index_id, limit }) => {
+    try {
+      const result = await getIndexPrices(index_id.toUpperCase(), { limit });
+      if (!result) {
+        return { content: [{ type: 'text', text: `找不到指數 ${index_id}` }], isError: true };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+server.tool(
+  'get_market_sentiment',
+  '取得市場情緒：三大法人臺指期貨與選擇權未平倉、Put/Call Ratio、大額交易人部位與現貨買賣超金額',
+  {
+    days: z.number().optional().default(20).describe('分析天數,預設 20'),
+  },
+  async ({ days }) => {
+    try {
+      const result = await getMarketSentiment(days);
+      if (!result) {
+        return { content: [{ type: 'text', text: '無期貨選擇權或法人資料' }], isError: true };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
 server.tool(
   'get_stock_latest',
   '取得股票最新股價與技術指標（MA、RSI、MACD、KD、布林通道、VWAP、ATR、ADX、Williams %R、OBV）',
@@ -136,8 +220,9 @@ server.tool(
     kd_golden_cross: z.boolean().optional().describe('篩選 K > D 的股票'),
     macd_positive: z.boolean().optional().describe('篩選 MACD 柱狀圖 > 0 的股票'),
     adx_min: z.number().optional().describe('ADX 最小值（趨勢強度）'),
+    exclude_restricted: z.boolean().optional().describe('排除處置股與變更交易方法（全額交割）股票,預設依 EXCLUDE_RESTRICTED_STOCKS 設定'),
   },
-  async ({ rsi_min, rsi_max, ma_position, volume_min, kd_golden_cross, macd_positive, adx_min }) => {
+  async ({ rsi_min, rsi_max, ma_position, volume_min, kd_golden_cross, macd_positive, adx_min, exclude_restricted }) => {
     try {
       let query = `
         SELECT
@@ -161,6 +246,7 @@ server.tool(
       if (kd_golden_cross) query += ' AND ti.kd_k > ti.kd_d';
       if (macd_positive) query += ' AND ti.macd_histogram > 0';
       if (adx_min !== undefined) { query += ' AND ti.adx >= ?'; params.push(adx_min); }
+      if (exclude_restricted ?? EXCLUDE_RESTRICTED) query += ` AND ${restrictedStockFilter('s.stock_id')}`;
 
       query += ' ORDER BY dp.change_percent DESC LIMIT 50';
 
@@ -190,9 +276,10 @@ server.tool(
       const trend = await analyzeInstitutionalTrend(stock_id, days);
       const consensus = await analyzeConsensus(stock_id);
       const accumulation = await detectAccumulation(stock_id);
+      const concentration = await analyzeConcentrationTrend(stock_id);
 
       return {
-        content: [{ type: 'text', text: JSON.stringify({ trend, consensus, accumulation }, null, 2) }],
+        content: [{ type: 'text', text: JSON.stringify({ trend, consensus, accumulation, concentration }, null, 2) }],
       };
     } catch (error) {
       return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
@@ -200,6 +287,26 @@ server.tool(
   }
 );
 
+server.tool(
+  'get_shareholding_distribution',
+  '查看指定股票的集保股權分散：400 張以上大戶持股比例、50 張以下散戶人數變化與籌碼集中度趨勢',
+  {
+    stock_id: z.string().describe('股票代號'),
+    weeks: z.number().optional().default(8).describe('分析週數,預設 8'),
+  },
+  async ({ stock_id, weeks }) => {
+    try {
+      const result = await analyzeConcentrationTrend(stock_id, weeks);
+      if (!result) {
+        return { content: [{ type: 'text', text: `找不到股票 ${stock_id} 的集保股權分散資料（至少需要兩週）` }] };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
 server.tool(
   'get_margin_trading',
   '查看指定股票的融資融券資料與趨勢分析',
@@ -220,6 +327,26 @@ server.tool(
   }
 );
 
+server.tool(
+  'get_day_trading',
+  '查看指定股票的當沖成交量、當沖比率與非當沖成交量',
+  {
+    stock_id: z.string().describe('股票代號'),
+    days: z.number().optional().default(20).describe('查詢天數,預設 20'),
+  },
+  async ({ stock_id, days }) => {
+    try {
+      const result = await analyzeDayTrading(stock_id, days);
+      if (!result) {
+        return { content: [{ type: 'text', text: `找不到股票 ${stock_id} 的當沖資料` }] };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
 // ============================================
 // 基本面查詢 Tools
 // ============================================
@@ -260,11 +387,14 @@ server.tool(
 
 server.tool(
   'get_valuation',
-  '查看指定股票的估值指標（本益比 PE、股價淨值比 PB、殖利率）',
-  { stock_id: z.string().describe('股票代號') },
-  async ({ stock_id }) => {
+  '查看指定股票的估值指標（本益比 PE、股價淨值比 PB、殖利率），同時列出自行計算值、交易所公布值（official）與差異（differences, %）',
+  {
+    stock_id: z.string().describe('股票代號'),
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe('歷史日期 YYYY-MM-DD,預設最新'),
+  },
+  async ({ stock_id, date }) => {
     try {
-      const result = await calculateValuation(stock_id);
+      const result = await calculateValuation(stock_id, { date });
       if (!result) {
         return { content: [{ type: 'text', text: `找不到股票 ${stock_id} 的估值資料` }] };
       }
@@ -275,17 +405,42 @@ server.tool(
   }
 );
 
+server.tool(
+  'find_valuation_discrepancies',
+  '列出交易所公布的本益比、股價淨值比、殖利率與自行計算值差異超過門檻的股票，用來檢查財報與股利資料缺漏',
+  {
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe('日期 YYYY-MM-DD,預設為最新公布日'),
+    threshold: z.number().optional().default(20).describe('相對差異門檻（%）,預設 20'),
+    metric: z.enum(['pe_ratio', 'pb_ratio', 'dividend_yield']).optional().describe('只比較單一指標'),
+  },
+  async ({ date, threshold, metric }) => {
+    try {
+      const result = await findValuationDiscrepancies({ date, threshold, metric });
+      if (!result) {
+        return { content: [{ type: 'text', text: '尚無交易所估值資料，請先執行 fetch-valuations' }] };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
 // ============================================
 // 分析類 Tools
 // ============================================
 
 server.tool(
   'detect_signals',
-  '偵測指定股票的交易訊號（黃金交叉、RSI 超賣反彈、MACD 交叉、量能突破、布林通道突破）',
-  { stock_id: z.string().describe('股票代號') },
-  async ({ stock_id }) => {
+  '偵測指定股票的交易訊號（黃金交叉、RSI 超賣反彈、MACD 交叉、量能突破、布林通道突破），並附上訊號當日的重大訊息',
+  {
+    stock_id: z.string().describe('股票代號'),
+    exclude_day_trade: z.boolean().optional().describe('量能突破是否扣除當沖成交量,預設依 EXCLUDE_DAY_TRADE_VOLUME 設定'),
+  },
+  async ({ stock_id, exclude_day_trade }) => {
     try {
-      const signals = await detectAllSignals(stock_id);
+      const options = exclude_day_trade === undefined ? {} : { excludeDayTrade: exclude_day_trade };
+      const signals = await detectAllSignals(stock_id, options);
       return {
         content: [{ type: 'text', text: JSON.stringify({
           stock_id,
@@ -299,13 +454,79 @@ server.tool(
   }
 );
 
+server.tool(
+  'get_stock_events',
+  '查看指定股票的重大訊息時間軸（公開資訊觀測站發言日期、時間、主旨與分類）',
+  {
+    stock_id: z.string().describe('股票代號'),
+    days: z.number().optional().default(90).describe('最近幾天,預設 90'),
+    category: z.enum(['clarification', 'investor_conference', 'merger', 'treasury_stock', 'dividend', 'earnings',
+      'financing', 'asset', 'personnel', 'governance', 'other']).optional().describe('只列出指定分類'),
+  },
+  async ({ stock_id, days, category }) => {
+    try {
+      const events = await getStockEvents(stock_id, { days, category });
+      return {
+        content: [{ type: 'text', text: JSON.stringify({
+          stock_id,
+          event_count: events.length,
+          events
+        }, null, 2) }],
+      };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+server.tool(
+  'get_intraday_bars',
+  '查看監控股票的盤中 1 分 / 5 分K 與當日盤中訊號（需執行盤中監控）',
+  {
+    stock_id: z.string().describe('股票代號'),
+    interval: z.number().optional().default(1).describe('K棒週期（分鐘）: 1 或 5,預設 1'),
+    date: z.string().optional().describe('日期 YYYY-MM-DD,預設為最近有分K的日期'),
+  },
+  async ({ stock_id, interval, date }) => {
+    try {
+      const result = await getIntradayBars(stock_id, { interval: interval === 5 ? 5 : 1, date });
+      if (!result) {
+        return { content: [{ type: 'text', text: `找不到股票 ${stock_id} 的盤中資料` }] };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+server.tool(
+  'get_intraday_signals',
+  '查看盤中訊號（突破布林通道、穿越 MA20、盤中爆量），以前一交易日技術指標判斷',
+  {
+    date: z.string().optional().describe('日期 YYYY-MM-DD,預設為最近有訊號的日期'),
+  },
+  async ({ date }) => {
+    try {
+      const signals = await getIntradaySignals({ date });
+      return { content: [{ type: 'text', text: JSON.stringify({ count: signals.length, signals }, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
 server.tool(
   'score_stock',
   '對指定股票進行綜合評分（技術面 + 基本面,0-100分）',
-  { stock_id: z.string().describe('股票代號') },
-  async ({ stock_id }) => {
+  {
+    stock_id: z.string().describe('股票代號'),
+    exclude_day_trade: z.boolean().optional().describe('量能評分是否扣除當沖成交量,預設依 EXCLUDE_DAY_TRADE_VOLUME 設定'),
+  },
+  async ({ stock_id, exclude_day_trade }) => {
     try {
-      const technical = await scoreStock(stock_id);
+      const technical = await scoreStock(stock_id,
+        exclude_day_trade === undefined ? {} : { excludeDayTrade: exclude_day_trade });
       const fundamental = await scoreFundamental(stock_id);
 
       const combined = {
@@ -338,10 +559,12 @@ server.tool(
   {
     strategy: z.string().describe('策略名稱: golden_cross, rsi_oversold, macd_golden_cross, volume_breakout, bollinger_squeeze'),
     rsi_threshold: z.number().optional().default(30).describe('RSI 閾值（僅 rsi_oversold 策略使用）'),
+    exclude_day_trade: z.boolean().optional().describe('以非當沖成交量判斷（僅 volume_breakout 策略使用）'),
+    exclude_restricted: z.boolean().optional().describe('排除處置股與變更交易方法（全額交割）股票,預設依 EXCLUDE_RESTRICTED_STOCKS 設定'),
   },
-  async ({ strategy, rsi_threshold }) => {
+  async ({ strategy, rsi_threshold, exclude_day_trade, exclude_restricted }) => {
     try {
-      const result = await screenByStrategy(strategy, { rsi_threshold });
+      const result = await screenByStrategy(strategy, { rsi_threshold, exclude_day_trade, exclude_restricted });
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     } catch (error) {
       return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
@@ -356,10 +579,51 @@ server.tool(
     foreign_net_min: z.number().optional().describe('外資累計淨買超最低值（股）'),
     trust_net_min: z.number().optional().describe('投信累計淨買超最低值（股）'),
     days: z.number().optional().default(5).describe('累計天數,預設 5'),
+    exclude_restricted: z.boolean().optional().describe('排除處置股與變更交易方法（全額交割）股票,預設依 EXCLUDE_RESTRICTED_STOCKS 設定'),
+  },
+  async ({ foreign_net_min, trust_net_min, days, exclude_restricted }) => {
+    try {
+      const result = await screenByInstitutional({ foreign_net_min, trust_net_min, days, exclude_restricted });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+server.tool(
+  'screen_short_squeeze',
+  '篩選軋空候選股：融券 + 借券賣出總空單的回補天數高、空單增加且股價站上 20 日均線',
+  {
+    days: z.number().optional().default(20).describe('觀察交易日數,預設 20'),
+    min_days_to_cover: z.number().optional().default(3).describe('回補天數下限,預設 3'),
+    min_short_change_pct: z.number().optional().default(0).describe('總空單區間增幅下限（%）,預設 0'),
+    require_uptrend: z.boolean().optional().default(true).describe('是否要求收盤高於 MA20,預設 true'),
+    exclude_restricted: z.boolean().optional().describe('排除處置股與變更交易方法（全額交割）股票,預設依 EXCLUDE_RESTRICTED_STOCKS 設定'),
+  },
+  async ({ days, min_days_to_cover, min_short_change_pct, require_uptrend, exclude_restricted }) => {
+    try {
+      const result = await screenShortSqueeze({ days, min_days_to_cover, min_short_change_pct, require_uptrend, exclude_restricted });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+server.tool(
+  'screen_foreign_holding_rising',
+  '篩選外資持股比率穩定上升的股票',
+  {
+    days: z.number().optional().default(20).describe('觀察交易日數,預設 20'),
+    min_increase: z.number().optional().default(1).describe('持股比率最少增加（百分點）,預設 1'),
+    min_up_ratio: z.number().optional().default(0.6).describe('上升天數占比（0~1）,預設 0.6'),
+    min_available_ratio: z.number().optional().describe('外資尚可投資比率下限（%）,排除接近持股上限的股票'),
+    exclude_restricted: z.boolean().optional().describe('排除處置股與變更交易方法（全額交割）股票,預設依 EXCLUDE_RESTRICTED_STOCKS 設定'),
   },
-  async ({ foreign_net_min, trust_net_min, days }) => {
+  async ({ days, min_increase, min_up_ratio, min_available_ratio, exclude_restricted }) => {
     try {
-      const result = await screenByInstitutional({ foreign_net_min, trust_net_min, days });
+      const result = await screenForeignHoldingRising({ days, min_increase, min_up_ratio, min_available_ratio, exclude_restricted });
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     } catch (error) {
       return { content: [{ type: 'text', text: `錯誤: ${error.message}` }], isError: true };
@@ -373,7 +637,7 @@ server.tool(
 
 server.tool(
   'sync_stock_list',
-  '從台灣證交所 (TWSE) 同步最新的上市股票清單到資料庫',
+  '從台灣證交所 (TWSE) 同步最新的上市、上櫃股票清單到資料庫',
   {},
   async () => {
     try {
@@ -387,22 +651,20 @@ server.tool(
 
 server.tool(
   'sync_daily_prices',
-  '從 TWSE 抓取最新每日股價資料並存入資料庫',
+  '從 TWSE / TPEx 抓取最新每日股價資料並存入資料庫',
   {
-    stock_id: z.string().optional().describe('指定股票代號,不填則抓取前 10 檔股票'),
+    stock_id: z.string().optional().describe('指定股票代號（抓取當月資料）,不填則抓取全市場單日收盤行情'),
+    date: z.string().optional().describe('日期 YYYYMMDD 格式（全市場模式）,不填則抓取最近交易日'),
   },
-  async ({ stock_id }) => {
+  async ({ stock_id, date }) => {
     try {
       if (stock_id) {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const date = `${year}${month}01`;
-        await fetchBatchDailyPrices([stock_id], date);
+        const monthDate = `${toCompactDate(taipeiToday()).slice(0, 6)}01`;
+        await fetchBatchDailyPrices([stock_id], monthDate);
         return { content: [{ type: 'text', text: `成功抓取股票 ${stock_id} 的股價資料` }] };
       } else {
-        await fetchRecentPrices();
-        return { content: [{ type: 'text', text: '成功抓取最近股價資料（前 10 檔）' }] };
+        const count = date ? await fetchAndSaveMarketDailyPrices(date) : await fetchRecentPrices();
+        return { content: [{ type: 'text', text: `成功同步 ${count} 筆全市場股價資料` }] };
       }
     } catch (error) {
       return { content: [{ type: 'text', text: `抓取失敗: ${error.message}` }], isError: true };
@@ -0,0 +1,298 @@
+const cron = require('node-cron');
+const { pool } = require('../database/connection');
+require('dotenv').config();
+
+const { fetchStockList } = require('../crawler/fetchStockList');
+const { fetchRecentPrices } = require('../crawler/fetchDailyPrices');
+const { fetchRecentInstitutionalTrading } = require('../crawler/fetchInstitutionalTrading');
+const { fetchRecentMarginTrading } = require('../crawler/fetchMarginTrading');
+const { fetchRecentForeignHoldings } = require('../crawler/fetchForeignHoldings');
+const { fetchRecentSblTrading } = require('../crawler/fetchSblTrading');
+const { fetchRecentDayTrading } = require('../crawler/fetchDayTrading');
+const { fetchRecentValuations } = require('../crawler/fetchValuations');
+const { fetchRecentIndexPrices } = require('../crawler/fetchIndices');
+const { fetchRecentTaifexPositions } = require('../crawler/fetchTaifexPositions');
+const { fetchRecentMaterialEvents } = require('../crawler/fetchMaterialEvents');
+const { fetchRecentTradingRestrictions } = require('../crawler/fetchTradingRestrictions');
+const { fetchRecentMonthlyRevenue } = require('../crawler/fetchMonthlyRevenue');
+const { fetchRecentFinancialStatements } = require('../crawler/fetchFinancialStatements');
+const { fetchRecentBalanceSheets } = require('../crawler/fetchBalanceSheets');
+const { fetchRecentCashFlows } = require('../crawler/fetchCashFlows');
+const { fetchRecentDividends } = require('../crawler/fetchDividends');
+const { fetchRecentCapitalChanges } = require('../crawler/fetchCapitalChanges');
+const { fetchAndSaveShareholding } = require('../crawler/fetchShareholding');
+const { runIntradayPoller } = require('../crawler/intradayPoller');
+const { detectGaps, queueGaps, processCrawlQueue } = require('../crawler/crawlGaps');
+const { rebuildPriceAdjustments } = require('../analysis/adjustedPrices');
+const { calculateAllIndicators, calculateAllIndexIndicators } = require('../analysis/calculateIndicators');
+const { scanAllSignals } = require('../analysis/strategies');
+const { taipeiToday, addDays, isTradingDay } = require('../utils/tradingCalendar');
+
+const TIME_ZONE = 'Asia/Taipei';
+const LOCK_PREFIX = 'tw_stock_scheduler:';
+
+/**
+ * 排程工作定義
+ * 步驟依序執行；required 步驟失敗時中止後續步驟（例如股價失敗就不計算指標）
+ * 每個步驟失敗後會重試 retries 次，間隔 retryDelayMs × 第幾次
+ */
+const JOBS = {
+  daily: {
+    description: '每日收盤資料更新',
+    schedule: process.env.DAILY_UPDATE_CRON || '0 22 * * 1-5',
+    tradingDayOnly: true,
+    retries: 2,
+    retryDelayMs: 10 * 60 * 1000,
+    steps: [
+      { name: 'stock_list', run: async () => (await fetchStockList()).length },
+      { name: 'prices', run: fetchRecentPrices, required: true },
+      { name: 'indices', run: fetchRecentIndexPrices },
+      { name: 'institutional', run: fetchRecentInstitutionalTrading },
+      // 當沖比率以當日成交量計算，需在股價之後
+      { name: 'day_trading', run: fetchRecentDayTrading },
+      { name: 'valuations', run: fetchRecentValuations },
+      { name: 'foreign_holdings', run: fetchRecentForeignHoldings },
+      { name: 'margin', run: fetchRecentMarginTrading },
+      { name: 'sbl', run: fetchRecentSblTrading },
+      { name: 'taifex', run: fetchRecentTaifexPositions },
+      { name: 'material_events', run: fetchRecentMaterialEvents },
+      { name: 'trading_restrictions', run: fetchRecentTradingRestrictions },
+      // 補抓近 30 天漏抓的日期，讓接下來的指標計算使用完整資料
+      { name: 'refetch_gaps', run: async () => {
+        await queueGaps(await detectGaps());
+        return (await processCrawlQueue()).done;
+      } },
+      // 除權息、減資後更新還原因子，指標以還原股價計算時才不會出現假跌破
+      { name: 'dividends', run: fetchRecentDividends },
+      { name: 'capital_changes', run: fetchRecentCapitalChanges },
+      { name: 'adjustments', run: () => rebuildPriceAdjustments({ since: addDays(taipeiToday(), -30) }) },
+      { name: 'indicators', run: () => calculateAllIndicators(), required: true },
+      { name: 'index_indicators', run: calculateAllIndexIndicators },
+      { name: 'signals', run: scanAllSignals }
+    ]
+  },
+  monthly_revenue: {
+    description: '月營收（次月 10 日前公布，公布後數日內每日補抓）',
+    schedule: '0 20 10-15 * *',
+    retries: 2,
+    retryDelayMs: 30 * 60 * 1000,
+    steps: [
+      { name: 'monthly_revenue', run: fetchRecentMonthlyRevenue, required: true }
+    ]
+  },
+  financial_statements: {
+    description: '季報（法定申報期限 3/31、5/15、8/14、11/14 後一週內每日抓取）',
+    schedule: ['0 21 31 3 *', '0 21 1-6 4 *', '0 21 15-21 5 *', '0 21 14-20 8,11 *'],
+    retries: 2,
+    retryDelayMs: 30 * 60 * 1000,
+    steps: [
+      { name: 'financial_statements', run: fetchRecentFinancialStatements, required: true },
+      { name: 'balance_sheets', run: fetchRecentBalanceSheets },
+      // 逐家查詢耗時最久，放在最後；中斷後下次執行會從未完成的公司繼續
+      { name: 'cash_flows', run: fetchRecentCashFlows }
+    ]
+  },
+  shareholding: {
+    description: '集保股權分散表（每週最後一個交易日資料，TDCC 於週末前公布）',
+    schedule: '0 10 * * 6',
+    retries: 2,
+    retryDelayMs: 30 * 60 * 1000,
+    steps: [
+      { name: 'shareholding', run: () => fetchAndSaveShareholding(), required: true }
+    ]
+  },
+  intraday: {
+    description: '盤中即時報價與分K（INTRADAY_WATCHLIST，收盤後結束）',
+    schedule: process.env.INTRADAY_CRON || '55 8 * * 1-5',
+    tradingDayOnly: true,
+    retries: 1,
+    retryDelayMs: 60 * 1000,
+    steps: [
+      { name: 'intraday', run: () => runIntradayPoller(), required: true }
+    ]
+  }
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 執行單一步驟，失敗時重試
+ */
+async function runStep(step, { retries = 0, retryDelayMs = 0 }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await step.run();
+    } catch (error) {
+      if (attempt > retries) throw error;
+      console.error(`步驟 ${step.name} 第 ${attempt} 次失敗: ${error.message}，${retryDelayMs * attempt / 1000} 秒後重試`);
+      await sleep(retryDelayMs * attempt);
+    }
+  }
+}
+
+async function saveRunResult(runId, { status, steps, errorMessage, durationMs }) {
+  await pool.query(
+    `UPDATE scheduler_runs
+     SET status = ?, steps = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP, duration_ms = ?
+     WHERE id = ?`,
+    [status, JSON.stringify(steps), errorMessage ? errorMessage.substring(0, 500) : null, durationMs, runId]
+  );
+}
+
+/**
+ * 執行一個排程工作
+ * 以 MySQL GET_LOCK 鎖定，同一工作不會重疊執行（包含手動執行與其他排程程序）
+ * @param {string} name - JOBS 中的工作名稱
+ * @returns {Promise<Object>} { status, steps }
+ */
+async function runJob(name) {
+  const job = JOBS[name];
+  if (!job) {
+    throw new Error(`未知的排程工作: ${name}，可用: ${Object.keys(JOBS).join(', ')}`);
+  }
+
+  // 鎖綁定在連線上，整個工作期間保留這條連線
+  const lockConnection = await pool.getConnection();
+  const startedAt = Date.now();
+
+  try {
+    const [[{ acquired }]] = await lockConnection.query(
+      'SELECT GET_LOCK(?, 0) AS acquired', [LOCK_PREFIX + name]
+    );
+    if (acquired !== 1) {
+      console.log(`[${name}] 上一次執行尚未結束，略過本次`);
+      return { status: 'locked', steps: {} };
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO scheduler_runs (job, status) VALUES (?, 'running')`, [name]
+    );
+    const runId = result.insertId;
+
+    // 步驟以外的錯誤（例如交易日曆查詢失敗）也要結束這筆紀錄，避免狀態停在 running
+    const steps = {};
+    try {
+      if (job.tradingDayOnly && !(await isTradingDay(taipeiToday()))) {
+        console.log(`[${name}] ${taipeiToday()} 非交易日，略過`);
+        await saveRunResult(runId, { status: 'skipped', steps: {}, durationMs: Date.now() - startedAt });
+        return { status: 'skipped', steps: {} };
+      }
+
+      console.log(`[${name}] 開始執行 ${job.description}`);
+      let status = 'success';
+      let errorMessage = null;
+
+      for (const step of job.steps) {
+        try {
+          const count = await runStep(step, job);
+          steps[step.name] = { status: 'success', count: count ?? null };
+          console.log(`[${name}] ✓ ${step.name}`);
+        } catch (error) {
+          steps[step.name] = { status: 'failed', error: error.message };
+          errorMessage = `${step.name}: ${error.message}`;
+          console.error(`[${name}] ✗ ${step.name}: ${error.message}`);
+
+          if (step.required) {
+            status = 'failed';
+            break;
+          }
+          status = 'partial';
+        }
+      }
+
+      await saveRunResult(runId, { status, steps, errorMessage, durationMs: Date.now() - startedAt });
+      console.log(`[${name}] 執行結束：${status}（${Math.round((Date.now() - startedAt) / 1000)} 秒）`);
+      return { status, steps };
+    } catch (error) {
+      console.error(`[${name}] 執行失敗: ${error.message}`);
+      await saveRunResult(runId, {
+        status: 'failed', steps, errorMessage: error.message, durationMs: Date.now() - startedAt
+      }).catch(() => {});
+      throw error;
+    }
+
+  } finally {
+    await lockConnection.query('SELECT RELEASE_LOCK(?)', [LOCK_PREFIX + name]).catch(() => {});
+    lockConnection.release();
+  }
+}
+
+/**
+ * 啟動排程常駐程序
+ */
+function startScheduler() {
+  for (const [name, job] of Object.entries(JOBS)) {
+    const schedules = Array.isArray(job.schedule) ? job.schedule : [job.schedule];
+
+    for (const expression of schedules) {
+      if (!cron.validate(expression)) {
+        throw new Error(`排程 ${name} 的 cron 格式錯誤: ${expression}`);
+      }
+      cron.schedule(expression, () => {
+        runJob(name).catch(error => console.error(`[${name}] 執行失敗:`, error.message));
+      }, { timezone: TIME_ZONE });
+    }
+
+    console.log(`已排程 ${name}: ${schedules.join(' | ')}（${job.description}）`);
+  }
+  console.log('\n排程程序啟動，按 Ctrl+C 停止\n');
+}
+
+/**
+ * 各排程工作狀態：排程設定、是否執行中、最近一次執行與最近一次成功
+ */
+async function getSchedulerStatus() {
+  const status = [];
+
+  for (const [name, job] of Object.entries(JOBS)) {
+    const [[lock]] = await pool.query('SELECT IS_USED_LOCK(?) AS holder', [LOCK_PREFIX + name]);
+    const [lastRuns] = await pool.query(
+      `SELECT status, steps, error_message, started_at, finished_at, duration_ms
+       FROM scheduler_runs WHERE job = ? ORDER BY id DESC LIMIT 1`,
+      [name]
+    );
+    const [lastSuccess] = await pool.query(
+      `SELECT MAX(finished_at) AS finished_at FROM scheduler_runs WHERE job = ? AND status = 'success'`,
+      [name]
+    );
+
+    const lastRun = lastRuns[0] || null;
+    if (lastRun && lastRun.steps) lastRun.steps = JSON.parse(lastRun.steps);
+
+    status.push({
+      job: name,
+      description: job.description,
+      schedule: job.schedule,
+      running: lock.holder !== null,
+      last_run: lastRun,
+      last_success_at: lastSuccess[0].finished_at
+    });
+  }
+
+  return status;
+}
+
+// 用法：
+//   node scheduler.js                常駐執行排程
+//   node scheduler.js --run daily    立即執行一次指定工作後結束
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const runIndex = args.indexOf('--run');
+
+  if (runIndex >= 0) {
+    runJob(args[runIndex + 1] || 'daily')
+      .then(result => { process.exit(result.status === 'failed' ? 1 : 0); })
+      .catch(error => { console.error(error); process.exit(1); });
+  } else {
+    startScheduler();
+  }
+}
+
+module.exports = {
+  JOBS,
+  runJob,
+  startScheduler,
+  getSchedulerStatus
+};
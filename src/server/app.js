@@ -4,8 +4,17 @@ const path = require('path');
 require('dotenv').config();
 
 const { detectAllSignals, scoreStock, screenByStrategy } = require('../analysis/strategies');
-const { analyzeInstitutionalTrend, detectAccumulation, analyzeConsensus, analyzeMarginTrend, screenByInstitutional } = require('../analysis/institutionalAnalysis');
-const { analyzeRevenueTrend, calculateValuation, getFinancialSummary, scoreFundamental } = require('../analysis/fundamentalAnalysis');
+const { analyzeInstitutionalTrend, detectAccumulation, analyzeConsensus, analyzeMarginTrend, analyzeDayTrading, analyzeConcentrationTrend, screenByInstitutional, screenForeignHoldingRising, screenShortSqueeze } = require('../analysis/institutionalAnalysis');
+const { analyzeRevenueTrend, calculateValuation, findValuationDiscrepancies, getFinancialSummary, scoreFundamental } = require('../analysis/fundamentalAnalysis');
+const { getPriceSeries } = require('../analysis/adjustedPrices');
+const { getIntradayBars, getIntradaySignals } = require('../analysis/intradaySignals');
+const { listIndices, getIndexPrices } = require('../analysis/marketIndices');
+const { getMarketSentiment } = require('../analysis/marketSentiment');
+const { getStockEvents } = require('../analysis/stockEvents');
+const { EXCLUDE_RESTRICTED, restrictedStockFilter, getTradingStatus } = require('../analysis/tradingRestrictions');
+const { listedOnFilter, getStockHistory } = require('../analysis/stockLifecycle');
+const { getFreshnessSummary } = require('../crawler/crawlLedger');
+const { getSchedulerStatus } = require('../scheduler/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,8 +28,14 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 app.get('/api/stocks', async (req, res) => {
   try {
-    const { keyword } = req.query;
-    let query = 'SELECT stock_id, stock_name, industry, market_type FROM stocks WHERE is_active = TRUE';
+    const { keyword, as_of } = req.query;
+    if (as_of !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(as_of)) {
+      return res.status(400).json({ success: false, error: 'as_of 格式應為 YYYY-MM-DD' });
+    }
+    // as_of：列出該日當時掛牌的股票（含之後下市者），供回測避免存活者偏差
+    let query = as_of
+      ? `SELECT stock_id, stock_name, industry, market_type, is_active, delist_date FROM stocks WHERE ${listedOnFilter('', as_of)}`
+      : 'SELECT stock_id, stock_name, industry, market_type FROM stocks WHERE is_active = TRUE';
     const params = [];
 
     if (keyword) {
@@ -44,7 +59,20 @@ app.get('/api/stocks/:stockId', async (req, res) => {
     if (rows.length === 0) {
       return res.status(404).json({ success: false, error: '股票不存在' });
     }
-    res.json({ success: true, data: rows[0] });
+    const tradingStatus = await getTradingStatus(stockId);
+    res.json({ success: true, data: { ...rows[0], trading_status: tradingStatus } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/stocks/:stockId/history', async (req, res) => {
+  try {
+    const history = await getStockHistory(req.params.stockId);
+    if (!history) {
+      return res.status(404).json({ success: false, error: '股票不存在' });
+    }
+    res.json({ success: true, data: history });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -53,12 +81,51 @@ app.get('/api/stocks/:stockId', async (req, res) => {
 app.get('/api/stocks/:stockId/prices', async (req, res) => {
   try {
     const { stockId } = req.params;
-    const { limit = 30 } = req.query;
-    const [rows] = await pool.query(
-      `SELECT * FROM daily_prices WHERE stock_id = ? ORDER BY trade_date DESC LIMIT ?`,
-      [stockId, parseInt(limit)]
-    );
-    res.json({ success: true, data: rows.reverse() });
+    const { limit = 30, adjusted } = req.query;
+    const rows = await getPriceSeries(stockId, {
+      limit: parseInt(limit),
+      adjusted: adjusted === 'true'
+    });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// 大盤與類股指數 API
+// ============================================
+
+app.get('/api/indices', async (req, res) => {
+  try {
+    const rows = await listIndices({ category: req.query.category });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/indices/:indexId/prices', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 30;
+    const result = await getIndexPrices(req.params.indexId.toUpperCase(), { limit });
+    if (!result) {
+      return res.status(404).json({ success: false, error: '指數不存在' });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/market/sentiment', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 20;
+    const result = await getMarketSentiment(days);
+    if (!result) {
+      return res.status(404).json({ success: false, error: '無期貨選擇權或法人資料' });
+    }
+    res.json({ success: true, data: result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -101,7 +168,7 @@ app.get('/api/stocks/:stockId/latest', async (req, res) => {
 
 app.get('/api/analysis/screen', async (req, res) => {
   try {
-    const { rsi_min, rsi_max, ma_position, volume_min, kd_golden_cross, macd_positive, adx_min } = req.query;
+    const { rsi_min, rsi_max, ma_position, volume_min, kd_golden_cross, macd_positive, adx_min, exclude_restricted } = req.query;
 
     let query = `
       SELECT
@@ -125,6 +192,9 @@ app.get('/api/analysis/screen', async (req, res) => {
     if (kd_golden_cross === 'true') query += ' AND ti.kd_k > ti.kd_d';
     if (macd_positive === 'true') query += ' AND ti.macd_histogram > 0';
     if (adx_min) { query += ' AND ti.adx >= ?'; params.push(parseFloat(adx_min)); }
+    if (exclude_restricted === undefined ? EXCLUDE_RESTRICTED : exclude_restricted === 'true') {
+      query += ` AND ${restrictedStockFilter('s.stock_id')}`;
+    }
 
     query += ' ORDER BY dp.change_percent DESC LIMIT 50';
     const [rows] = await pool.query(query, params);
@@ -137,8 +207,12 @@ app.get('/api/analysis/screen', async (req, res) => {
 app.get('/api/analysis/screen/strategy/:strategy', async (req, res) => {
   try {
     const { strategy } = req.params;
-    const { rsi_threshold } = req.query;
-    const result = await screenByStrategy(strategy, { rsi_threshold: rsi_threshold ? parseFloat(rsi_threshold) : 30 });
+    const { rsi_threshold, exclude_day_trade, exclude_restricted } = req.query;
+    const result = await screenByStrategy(strategy, {
+      rsi_threshold: rsi_threshold ? parseFloat(rsi_threshold) : 30,
+      exclude_day_trade: exclude_day_trade === undefined ? undefined : exclude_day_trade === 'true',
+      exclude_restricted: exclude_restricted === undefined ? undefined : exclude_restricted === 'true'
+    });
     res.json({ success: true, ...result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -151,17 +225,52 @@ app.get('/api/analysis/screen/strategy/:strategy', async (req, res) => {
 
 app.get('/api/stocks/:stockId/signals', async (req, res) => {
   try {
-    const signals = await detectAllSignals(req.params.stockId);
+    const { exclude_day_trade } = req.query;
+    const options = exclude_day_trade === undefined ? {} : { excludeDayTrade: exclude_day_trade === 'true' };
+    const signals = await detectAllSignals(req.params.stockId, options);
     res.json({ success: true, stock_id: req.params.stockId, signals });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// 重大訊息時間軸
+app.get('/api/stocks/:stockId/events', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 90;
+    const events = await getStockEvents(req.params.stockId, { days, category: req.query.category });
+    res.json({ success: true, stock_id: req.params.stockId, data: events });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 盤中分K與盤中訊號
+app.get('/api/stocks/:stockId/intraday', async (req, res) => {
+  try {
+    const interval = parseInt(req.query.interval) === 5 ? 5 : 1;
+    const result = await getIntradayBars(req.params.stockId, { interval, date: req.query.date });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/intraday/signals', async (req, res) => {
+  try {
+    const signals = await getIntradaySignals({ date: req.query.date });
+    res.json({ success: true, count: signals.length, data: signals });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/api/stocks/:stockId/score', async (req, res) => {
   try {
     const stockId = req.params.stockId;
-    const technical = await scoreStock(stockId);
+    const { exclude_day_trade } = req.query;
+    const technical = await scoreStock(stockId,
+      exclude_day_trade === undefined ? {} : { excludeDayTrade: exclude_day_trade === 'true' });
     const fundamental = await scoreFundamental(stockId);
 
     let totalScore = null;
@@ -195,8 +304,20 @@ app.get('/api/stocks/:stockId/institutional', async (req, res) => {
     const trend = await analyzeInstitutionalTrend(stockId, days);
     const consensus = await analyzeConsensus(stockId);
     const accumulation = await detectAccumulation(stockId);
+    const concentration = await analyzeConcentrationTrend(stockId);
 
-    res.json({ success: true, trend, consensus, accumulation });
+    res.json({ success: true, trend, consensus, accumulation, concentration });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 集保股權分散：大戶持股比例、散戶人數與籌碼集中度
+app.get('/api/stocks/:stockId/shareholding', async (req, res) => {
+  try {
+    const weeks = parseInt(req.query.weeks) || 8;
+    const result = await analyzeConcentrationTrend(req.params.stockId, weeks);
+    res.json({ success: true, data: result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -213,13 +334,59 @@ app.get('/api/stocks/:stockId/margin', async (req, res) => {
   }
 });
 
+// 當沖成交量與當沖比率
+app.get('/api/stocks/:stockId/day-trading', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 20;
+    const result = await analyzeDayTrading(req.params.stockId, days);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/api/analysis/screen/institutional', async (req, res) => {
   try {
-    const { foreign_net_min, trust_net_min, days } = req.query;
+    const { foreign_net_min, trust_net_min, days, exclude_restricted } = req.query;
     const result = await screenByInstitutional({
       foreign_net_min: foreign_net_min ? parseInt(foreign_net_min) : undefined,
       trust_net_min: trust_net_min ? parseInt(trust_net_min) : undefined,
-      days: days ? parseInt(days) : 5
+      days: days ? parseInt(days) : 5,
+      exclude_restricted: exclude_restricted === undefined ? undefined : exclude_restricted === 'true'
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 外資持股比率穩定上升
+app.get('/api/analysis/screen/foreign-holding', async (req, res) => {
+  try {
+    const { days, min_increase, min_up_ratio, min_available_ratio, exclude_restricted } = req.query;
+    const result = await screenForeignHoldingRising({
+      days: days ? parseInt(days) : 20,
+      min_increase: min_increase ? parseFloat(min_increase) : 1,
+      min_up_ratio: min_up_ratio ? parseFloat(min_up_ratio) : 0.6,
+      min_available_ratio: min_available_ratio ? parseFloat(min_available_ratio) : undefined,
+      exclude_restricted: exclude_restricted === undefined ? undefined : exclude_restricted === 'true'
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 軋空候選：總空單回補天數高且股價站上 MA20
+app.get('/api/analysis/screen/short-squeeze', async (req, res) => {
+  try {
+    const { days, min_days_to_cover, min_short_change_pct, require_uptrend, exclude_restricted } = req.query;
+    const result = await screenShortSqueeze({
+      days: days ? parseInt(days) : 20,
+      min_days_to_cover: min_days_to_cover ? parseFloat(min_days_to_cover) : 3,
+      min_short_change_pct: min_short_change_pct ? parseFloat(min_short_change_pct) : 0,
+      require_uptrend: require_uptrend !== 'false',
+      exclude_restricted: exclude_restricted === undefined ? undefined : exclude_restricted === 'true'
     });
     res.json({ success: true, ...result });
   } catch (error) {
@@ -252,7 +419,21 @@ app.get('/api/stocks/:stockId/financial', async (req, res) => {
 
 app.get('/api/stocks/:stockId/valuation', async (req, res) => {
   try {
-    const result = await calculateValuation(req.params.stockId);
+    const result = await calculateValuation(req.params.stockId, { date: req.query.date });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/analysis/valuation-discrepancies', async (req, res) => {
+  try {
+    const { date, threshold, metric } = req.query;
+    const result = await findValuationDiscrepancies({
+      date,
+      threshold: threshold ? parseFloat(threshold) : 20,
+      metric
+    });
     res.json({ success: true, data: result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -272,6 +453,24 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+app.get('/api/health/freshness', async (req, res) => {
+  try {
+    const result = await getFreshnessSummary();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/scheduler/status', async (req, res) => {
+  try {
+    const result = await getSchedulerStatus();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // 首頁
 // ============================================
@@ -334,20 +533,34 @@ app.get('/', (req, res) => {
         <div class="card">
           <h2>API Endpoints</h2>
           <ul class="api-list">
-            <li><span class="method">GET</span>/api/stocks<div class="description">股票清單（?keyword=台積電）</div></li>
-            <li><span class="method">GET</span>/api/stocks/:id<div class="description">股票詳情</div></li>
-            <li><span class="method">GET</span>/api/stocks/:id/prices<div class="description">歷史股價（?limit=30）</div></li>
+            <li><span class="method">GET</span>/api/stocks<div class="description">股票清單（?keyword=台積電；?as_of=2020-01-02 列出當時掛牌股票，含已下市）</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id<div class="description">股票詳情（含注意／處置／全額交割狀態 trading_status）</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id/history<div class="description">上下市日期、暫停交易與名稱／產業別變更紀錄</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id/prices<div class="description">歷史股價（?limit=30&adjusted=true 還原權息）</div></li>
+            <li><span class="method">GET</span>/api/indices<div class="description">大盤與類股指數清單（?category=market|sector）</div></li>
+            <li><span class="method">GET</span>/api/indices/:id/prices<div class="description">指數日K與技術指標（?limit=30）</div></li>
+            <li><span class="method">GET</span>/api/market/sentiment <span class="section-label label-chip">籌碼面</span><div class="description">期貨、選擇權與現貨法人動向綜合市場情緒（?days=20）</div></li>
             <li><span class="method">GET</span>/api/stocks/:id/latest<div class="description">最新股價+全部技術指標</div></li>
-            <li><span class="method">GET</span>/api/stocks/:id/signals <span class="section-label label-tech">技術面</span><div class="description">交易訊號偵測</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id/signals <span class="section-label label-tech">技術面</span><div class="description">交易訊號偵測（附當日重大訊息）</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id/intraday <span class="section-label label-tech">技術面</span><div class="description">盤中 1/5 分K（?interval=5&date=2024-01-02）</div></li>
+            <li><span class="method">GET</span>/api/intraday/signals <span class="section-label label-tech">技術面</span><div class="description">觀察清單盤中訊號（?date=2024-01-02）</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id/events<div class="description">重大訊息時間軸（?days=90&category=earnings）</div></li>
             <li><span class="method">GET</span>/api/stocks/:id/score <span class="section-label label-tech">技術面</span><span class="section-label label-fund">基本面</span><div class="description">綜合評分（0-100）</div></li>
             <li><span class="method">GET</span>/api/stocks/:id/institutional <span class="section-label label-chip">籌碼面</span><div class="description">法人買賣超趨勢</div></li>
             <li><span class="method">GET</span>/api/stocks/:id/margin <span class="section-label label-chip">籌碼面</span><div class="description">融資融券分析</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id/shareholding <span class="section-label label-chip">籌碼面</span><div class="description">集保股權分散與大戶持股集中度（?weeks=8）</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id/day-trading <span class="section-label label-chip">籌碼面</span><div class="description">當沖量與當沖比率（?days=20）</div></li>
             <li><span class="method">GET</span>/api/stocks/:id/revenue <span class="section-label label-fund">基本面</span><div class="description">月營收趨勢</div></li>
             <li><span class="method">GET</span>/api/stocks/:id/financial <span class="section-label label-fund">基本面</span><div class="description">財報摘要</div></li>
-            <li><span class="method">GET</span>/api/stocks/:id/valuation <span class="section-label label-fund">基本面</span><div class="description">估值指標（PE/PB/殖利率）</div></li>
+            <li><span class="method">GET</span>/api/stocks/:id/valuation <span class="section-label label-fund">基本面</span><div class="description">估值指標（PE/PB/殖利率，含交易所公布值與差異）</div></li>
+            <li><span class="method">GET</span>/api/analysis/valuation-discrepancies <span class="section-label label-fund">基本面</span><div class="description">官方與自行計算估值差異過大的股票（?threshold=20&metric=pe_ratio）</div></li>
             <li><span class="method">GET</span>/api/analysis/screen<div class="description">技術指標篩選（rsi_min, rsi_max, ma_position, volume_min, kd_golden_cross, macd_positive, adx_min）</div></li>
-            <li><span class="method">GET</span>/api/analysis/screen/strategy/:name<div class="description">策略篩選（golden_cross, rsi_oversold, macd_golden_cross, volume_breakout, bollinger_squeeze）</div></li>
+            <li><span class="method">GET</span>/api/analysis/screen/strategy/:name<div class="description">策略篩選（golden_cross, rsi_oversold, macd_golden_cross, volume_breakout, bollinger_squeeze；exclude_restricted=true 排除處置股）</div></li>
             <li><span class="method">GET</span>/api/analysis/screen/institutional <span class="section-label label-chip">籌碼面</span><div class="description">法人篩選（foreign_net_min, trust_net_min, days）</div></li>
+            <li><span class="method">GET</span>/api/analysis/screen/foreign-holding <span class="section-label label-chip">籌碼面</span><div class="description">外資持股比率穩定上升（days, min_increase, min_up_ratio, min_available_ratio）</div></li>
+            <li><span class="method">GET</span>/api/analysis/screen/short-squeeze <span class="section-label label-chip">籌碼面</span><div class="description">軋空候選股（days, min_days_to_cover, min_short_change_pct, require_uptrend）</div></li>
+            <li><span class="method">GET</span>/api/health/freshness<div class="description">各資料集更新狀態（最新日期、落後交易日、失敗次數）</div></li>
+            <li><span class="method">GET</span>/api/scheduler/status<div class="description">排程工作狀態（是否執行中、最近一次執行結果）</div></li>
           </ul>
         </div>
 
@@ -0,0 +1,187 @@
+const { pool } = require('../database/connection');
+
+const TIME_ZONE = 'Asia/Taipei';
+
+// 各資料集收盤後公布時間（台北時間），早於此時間時「最近交易日」取前一個交易日
+const PUBLISH_CUTOFF = {
+  prices: '14:30',
+  index_prices: '14:30',
+  institutional: '16:00',
+  foreign_holdings: '17:00',
+  margin: '21:30',
+  sbl: '21:30',
+  day_trading: '17:00',
+  valuations: '17:00',
+  taifex: '16:30',
+  material_events: '20:00',
+  trading_restrictions: '18:00'
+};
+
+let holidayCache = null;
+
+/**
+ * 取得台北時間的日期與時間
+ * @returns {{ date: string, time: string }} date 為 YYYY-MM-DD，time 為 HH:MM
+ */
+function taipeiNow(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIME_ZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(now).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * 台北時間今日 (YYYY-MM-DD)
+ */
+function taipeiToday() {
+  return taipeiNow().date;
+}
+
+/**
+ * YYYY-MM-DD 轉為爬蟲使用的 YYYYMMDD
+ */
+function toCompactDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * 日期加減天數（以 UTC 計算，避免時區影響）
+ */
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().slice(0, 10);
+}
+
+function isWeekend(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  const day = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * 載入休市日（含證交所公告與臨時休市），結果快取於記憶體
+ * @returns {Promise<Map>} YYYY-MM-DD -> 休市原因
+ */
+async function loadHolidays() {
+  if (holidayCache) return holidayCache;
+
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, name FROM market_holidays`
+  );
+  holidayCache = new Map(rows.map(r => [r.holiday_date, r.name]));
+  return holidayCache;
+}
+
+/**
+ * 清除休市日快取（新增休市日後呼叫）
+ */
+function clearHolidayCache() {
+  holidayCache = null;
+}
+
+/**
+ * 是否已載入指定年度的休市表
+ */
+async function hasScheduleForYear(year) {
+  const holidays = await loadHolidays();
+  for (const date of holidays.keys()) {
+    if (date.startsWith(`${year}-`)) return true;
+  }
+  return false;
+}
+
+/**
+ * 是否為交易日
+ * @param {string} date - YYYY-MM-DD
+ */
+async function isTradingDay(date) {
+  if (isWeekend(date)) return false;
+  const holidays = await loadHolidays();
+  return !holidays.has(date);
+}
+
+/**
+ * 從指定日期往前 n 個交易日（不含 from 本身）
+ * @param {number} n - 往前幾個交易日，預設 1
+ * @param {string} [from] - YYYY-MM-DD，預設為台北時間今日
+ */
+async function previousTradingDay(n = 1, from = taipeiToday()) {
+  let date = from;
+  let count = 0;
+  while (count < n) {
+    date = addDays(date, -1);
+    if (await isTradingDay(date)) count++;
+  }
+  return date;
+}
+
+/**
+ * 最近一個已有資料的交易日
+ * 今日為交易日且已過該資料集公布時間時回傳今日，否則回傳前一個交易日
+ * @param {Object} [options]
+ * @param {string} [options.dataset] - PUBLISH_CUTOFF 中的資料集名稱
+ * @param {string} [options.cutoff] - 自訂公布時間 HH:MM
+ */
+async function lastTradingDay({ dataset, cutoff } = {}) {
+  const now = taipeiNow();
+  const publishTime = cutoff || PUBLISH_CUTOFF[dataset] || '00:00';
+
+  if (now.time >= publishTime && await isTradingDay(now.date)) {
+    return now.date;
+  }
+  return await previousTradingDay(1, now.date);
+}
+
+/**
+ * 兩日期之間（含頭尾）的所有交易日
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Array>} YYYY-MM-DD 陣列
+ */
+async function tradingDaysBetween(from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (await isTradingDay(date)) days.push(date);
+  }
+  return days;
+}
+
+/**
+ * 依法定申報期限推算最近一季已公布的財報
+ * Q1: 5/15、Q2: 8/14、Q3: 11/14、年報 (Q4): 隔年 3/31
+ * @param {string} [date] - YYYY-MM-DD，預設為台北時間今日
+ * @returns {{ year: number, quarter: number }}
+ */
+function latestReportedQuarter(date = taipeiToday()) {
+  const year = parseInt(date.slice(0, 4));
+  const md = date.slice(5);
+
+  if (md >= '11-14') return { year, quarter: 3 };
+  if (md >= '08-14') return { year, quarter: 2 };
+  if (md >= '05-15') return { year, quarter: 1 };
+  if (md >= '03-31') return { year: year - 1, quarter: 4 };
+  return { year: year - 1, quarter: 3 };
+}
+
+module.exports = {
+  PUBLISH_CUTOFF,
+  taipeiNow,
+  taipeiToday,
+  toCompactDate,
+  addDays,
+  loadHolidays,
+  clearHolidayCache,
+  hasScheduleForYear,
+  isTradingDay,
+  previousTradingDay,
+  lastTradingDay,
+  tradingDaysBetween,
+  latestReportedQuarter
+};